@@ -0,0 +1,191 @@
+/**
+ * Service worker that makes the app work offline and delivers due-date reminders
+ * while it is closed.
+ *
+ * Builds write precache-manifest.js, listing the built files and a version. They are
+ * cached on install and served from the cache, so the app loads with no network. A new
+ * deploy installs a new worker that waits until the app asks it to take over.
+ *
+ * The app posts its upcoming reminders ({ tag, title, body, at }) whenever the todos
+ * change. They are kept in IndexedDB, scheduled with notification triggers where the
+ * browser supports them, and otherwise checked on periodic background sync.
+ */
+
+try {
+  importScripts('/precache-manifest.js');
+} catch (error) {
+  // The development server has no manifest; skip offline caching there
+  self.__PRECACHE_MANIFEST = null;
+}
+
+const CACHE_PREFIX = 'todo-app-';
+const manifest = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = manifest && `${CACHE_PREFIX}${manifest.version}`;
+
+const DB_NAME = 'todo-reminders';
+const STORE_NAME = 'reminders';
+const STATE_KEY = 'state';
+// Reminders missed by more than this are dropped, matching the app
+const MISSED_REMINDER_LIMIT = 24 * 60 * 60 * 1000;
+
+self.addEventListener('install', (event) => {
+  if (manifest) {
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(manifest.urls)));
+  }
+});
+
+// Drop the caches of earlier builds once this one is in charge
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serve the app from the cache, falling back to the network for anything not precached
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (!CACHE_NAME || request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  const cacheKey = request.mode === 'navigate' ? '/' : request;
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(cacheKey, { ignoreSearch: request.mode === 'navigate' }))
+      .then((cached) => cached || fetch(request))
+  );
+});
+
+/**
+ * Runs a request against the worker's key/value store.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} createRequest - Function called with the store that returns a request.
+ * @returns {Promise<*>} The request's result.
+ */
+function runRequest(mode, createRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const transaction = open.result.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Reads the stored reminders and the tags already shown.
+ * @returns {Promise<Object>} { reminders, firedTags }.
+ */
+async function loadState() {
+  const state = await runRequest('readonly', (store) => store.get(STATE_KEY));
+  return state || { reminders: [], firedTags: [] };
+}
+
+/**
+ * Stores the reminders and the tags already shown.
+ * @param {Object} state - { reminders, firedTags }.
+ * @returns {Promise<void>}
+ */
+function saveState(state) {
+  return runRequest('readwrite', (store) => store.put(state, STATE_KEY));
+}
+
+/**
+ * Schedules future reminders with notification triggers, where supported, and
+ * cancels scheduled ones that are no longer wanted.
+ * @param {Array} reminders - The upcoming reminders.
+ */
+async function scheduleTriggers(reminders) {
+  if (typeof TimestampTrigger === 'undefined') {
+    return;
+  }
+  const tags = new Set(reminders.map((reminder) => reminder.tag));
+  const scheduled = await self.registration.getNotifications({ includeTriggered: false });
+  scheduled.filter((notification) => !tags.has(notification.tag)).forEach((notification) => notification.close());
+  const now = Date.now();
+  await Promise.all(
+    reminders
+      .filter((reminder) => reminder.at > now)
+      .map((reminder) =>
+        self.registration.showNotification(reminder.title, {
+          body: reminder.body,
+          tag: reminder.tag,
+          icon: '/icon-192.png',
+          showTrigger: new TimestampTrigger(reminder.at),
+        })
+      )
+  );
+}
+
+/**
+ * Shows the reminders that have come due and not been shown yet.
+ */
+async function showDueReminders() {
+  const state = await loadState();
+  const now = Date.now();
+  const due = state.reminders.filter(
+    (reminder) => reminder.at <= now && reminder.at > now - MISSED_REMINDER_LIMIT && !state.firedTags.includes(reminder.tag)
+  );
+  await Promise.all(
+    due.map((reminder) =>
+      self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: '/icon-192.png',
+      })
+    )
+  );
+  await saveState({
+    reminders: state.reminders,
+    firedTags: [...state.firedTags, ...due.map((reminder) => reminder.tag)].filter(
+      (tag) => Number(tag.split('-').pop()) > now - MISSED_REMINDER_LIMIT
+    ),
+  });
+}
+
+self.addEventListener('message', (event) => {
+  // The app asks a waiting new version to take over when the user chooses to reload
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+  if (event.data && event.data.type === 'schedule-reminders') {
+    const { reminders } = event.data;
+    event.waitUntil(
+      loadState()
+        .then((state) => saveState({ reminders, firedTags: state.firedTags }))
+        .then(() => scheduleTriggers(reminders))
+    );
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'todo-reminders') {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+// Focus the app, or open it, when a reminder is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      if (clients.length) {
+        return clients[0].focus();
+      }
+      return self.clients.openWindow('/');
+    })
+  );
+});
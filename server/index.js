@@ -0,0 +1,99 @@
+// Stand-in sync server for development and tests: a small REST API over a JSON file.
+// Run it with `npm run server`, then start the app with VITE_SYNC_URL=/api.
+import { createServer } from 'node:http';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 3001;
+
+/**
+ * Sends a JSON response.
+ * @param {ServerResponse} response - The response.
+ * @param {number} status - The HTTP status.
+ * @param {*} body - The value to send.
+ */
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON.
+ * @param {IncomingMessage} request - The request.
+ * @returns {Promise<*>} The parsed body.
+ */
+async function readJSON(request) {
+  let raw = '';
+  for await (const chunk of request) {
+    raw += chunk;
+  }
+  return JSON.parse(raw);
+}
+
+/**
+ * Creates the sync server. Each stored todo keeps the client's updatedAt, used to
+ * decide which of two versions wins, and the server's own syncedAt, used to answer
+ * "what changed since" without trusting client clocks.
+ *
+ * GET /todos?since=<ms>  { todos, serverTime }: todos stored after the given server time.
+ * PUT /todos/:id         Stores a todo unless the server has a newer one; returns the winner.
+ *
+ * @param {Object} options - Server options.
+ * @param {string|null} options.file - JSON file to keep the todos in; null keeps them in memory.
+ * @returns {Server} The HTTP server, not yet listening.
+ */
+export function createSyncServer({ file = null } = {}) {
+  const records = new Map(file && existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : []);
+  let lastSyncedAt = Math.max(0, ...[...records.values()].map((record) => record.syncedAt));
+
+  const save = () => {
+    if (file) {
+      writeFileSync(file, JSON.stringify([...records]));
+    }
+  };
+
+  return createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(/^\/todos(?:\/([^/]+))?$/);
+    try {
+      if (match && !match[1] && request.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const todos = [...records.values()]
+          .filter((record) => record.syncedAt > since)
+          .map(({ syncedAt, ...todo }) => todo);
+        sendJSON(response, 200, { todos, serverTime: lastSyncedAt });
+        return;
+      }
+      if (match && match[1] && request.method === 'PUT') {
+        const id = decodeURIComponent(match[1]);
+        const todo = await readJSON(request);
+        if (!todo || String(todo.id) !== id || !Number.isFinite(todo.updatedAt)) {
+          sendJSON(response, 400, { error: 'Expected a todo with a matching id and an updatedAt time.' });
+          return;
+        }
+        const existing = records.get(id);
+        if (!existing || existing.updatedAt <= todo.updatedAt) {
+          // Strictly increasing, so two writes in the same millisecond are both seen by "since"
+          lastSyncedAt = Math.max(Date.now(), lastSyncedAt + 1);
+          records.set(id, { ...todo, syncedAt: lastSyncedAt });
+          save();
+        }
+        const { syncedAt, ...stored } = records.get(id);
+        sendJSON(response, 200, stored);
+        return;
+      }
+      sendJSON(response, 404, { error: 'Not found.' });
+    } catch (error) {
+      sendJSON(response, 400, { error: error.message });
+    }
+  });
+}
+
+// Start listening when run directly rather than imported by the tests
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const file = new URL('./db.json', import.meta.url).pathname;
+  createSyncServer({ file }).listen(port, () => {
+    console.log(`Sync server listening on http://localhost:${port}`);
+  });
+}
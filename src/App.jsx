@@ -1,97 +1,767 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Modal from './Modal';
+import HistoryTimeline from './HistoryTimeline';
+import FilterBar from './FilterBar';
+import TodoCard from './TodoCard';
+import ExportMenu from './ExportMenu';
+import ImportDialog from './ImportDialog';
+import ConflictBanner from './ConflictBanner';
+import CategoryManager from './CategoryManager';
+import CalendarView from './CalendarView';
+import UnscheduledTray from './UnscheduledTray';
+import BulkActionBar from './BulkActionBar';
+import ArchiveView from './ArchiveView';
+import TrashView from './TrashView';
+import StatsView from './StatsView';
+import Toast from './Toast';
+import CommandPalette from './CommandPalette';
+import ShortcutHelp from './ShortcutHelp';
+import SyncStatus from './SyncStatus';
+import BoardManager from './BoardManager';
+import QuickAdd from './QuickAdd';
+import PreferencesPanel from './PreferencesPanel';
+import { pushHistory, currentTodos, describeTodo, describeHistoryChange } from './history';
+import {
+  boardList,
+  boardTodos,
+  pushBoardTodos,
+  distributeTodos,
+  moveTodosToBoard,
+  jumpBoard,
+  removeBoard,
+  applyBoardList,
+  saveBoards,
+} from './boards';
+import { isTypingTarget, moveFocus } from './shortcuts';
+import { EXPORT_FORMATS, downloadTodos } from './importExport';
+import {
+  saveTodos,
+  saveCategories,
+  saveFiredReminders,
+  saveView,
+  saveSettings,
+  saveDrafts,
+  saveSyncState,
+} from './storage';
+import { createTabSync, mergeTodos, reconcileConflicts, sameTodos } from './sync';
+import { createRemoteSync, applyRemoteTodos } from './remoteSync';
+import { DEFAULT_FILTERS, parseFilters, serializeFilters, matchesFilters } from './filters';
+import { PRIORITIES, sortColumn, moveTodo, shiftTodo } from './ordering';
+import { completeOccurrence, nextOccurrence } from './recurrence';
+import { shouldAutoComplete } from './subtasks';
+import { runningEntry, startTimer, stopTimer } from './timeTracking';
+import { applyAppearance, watchSystemTheme } from './preferences';
+import { collectTags, getCategory } from './categories';
+import { isOverdue } from './due';
+import { VIEWS, rescheduleTodo } from './calendar';
+import { registerServiceWorker, applyUpdate } from './serviceWorker';
+import { selectRange, describeCount, completeTodos, updateTodos } from './bulk';
+import {
+  isActive,
+  moveToTrash,
+  restoreFromTrash,
+  archiveTodos,
+  unarchiveTodos,
+  expiredTrash,
+} from './trash';
+import {
+  collectReminders,
+  dueReminders,
+  pruneFiredTags,
+  notificationsSupported,
+  enableBackgroundReminders,
+  scheduleInWorker,
+  showReminder,
+} from './reminders';
 
     /**
      * Main App component that manages the todo list and modal for adding/editing tasks.
+     * @param {Object} props - Component props.
+     * @param {Array} props.initialBoards - The boards loaded from storage, each with its history.
+     * @param {string} props.initialBoardId - The id of the board last shown.
+     * @param {Array} props.initialCategories - The categories loaded from storage.
+     * @param {string|null} props.initialError - Message describing a problem loading the saved todos.
+     * @param {Array} props.initialFiredReminders - Tags of the reminders already shown.
+     * @param {string} props.initialView - The view the list was last shown in.
+     * @param {Object} props.initialSettings - The settings loaded from storage.
+     * @param {Object} props.initialDrafts - Unsaved task dialog input, keyed by todo id.
+     * @param {Object|null} props.initialSyncState - The remote sync state, or null before the first sync.
+     * @param {Object|null} props.syncAdapter - Adapter for the sync server, or null when sync is off.
      */
-    function App() {
-      // State to manage the list of todos
-      const [todos, setTodos] = useState(() => {
-        try {
-          const savedTodos = localStorage.getItem('todos');
-          if (savedTodos) {
-            return JSON.parse(savedTodos);
-          }
-        } catch (error) {
-          console.error('Error loading todos from localStorage:', error);
-          alert('Failed to load todos from local storage. Please try again.');
+    function App({
+      initialBoards,
+      initialBoardId,
+      initialCategories,
+      initialError,
+      initialFiredReminders,
+      initialView,
+      initialSettings,
+      initialDrafts,
+      initialSyncState,
+      syncAdapter,
+    }) {
+      // Named boards ({ id, name, history }), each with its own undo/redo history of named operations
+      const [boards, setBoards] = useState(initialBoards);
+      // The board shown, falling back to the first when it is deleted in another tab
+      const [activeBoardId, setActiveBoardId] = useState(initialBoardId);
+      const activeBoard = boards.find((board) => board.id === activeBoardId) || boards[0];
+      const history = activeBoard.history;
+      // The list of todos at the current history position of the board shown
+      const todos = currentTodos(history);
+      // Every board's todos, for saving, syncing and reminders
+      const allTodos = boardTodos(boards);
+      // Todos on the board and calendar: neither archived nor in the trash
+      const activeTodos = todos.filter(isActive);
+      // Visibility of the board manager
+      const [showBoards, setShowBoards] = useState(false);
+      // State to control the visibility of the history timeline
+      const [showHistory, setShowHistory] = useState(false);
+
+      // State to control the visibility of the import dialog
+      const [showImport, setShowImport] = useState(false);
+
+      // User-defined categories, and the visibility of the category manager
+      const [categories, setCategories] = useState(initialCategories);
+      const [showCategories, setShowCategories] = useState(false);
+
+      // Board, month calendar or week agenda, kept across reloads
+      const [view, setView] = useState(initialView);
+
+      useEffect(() => {
+        saveView(view);
+      }, [view]);
+
+      // User settings, such as how long deleted todos stay in the trash and the theme
+      const [settings, setSettings] = useState(initialSettings);
+      const [showPreferences, setShowPreferences] = useState(false);
+
+      useEffect(() => {
+        saveSettings(settings);
+      }, [settings]);
+
+      // Apply the theme and accent, following the operating system while the theme is "system"
+      useEffect(() => {
+        applyAppearance(settings);
+        if (settings.theme === 'system') {
+          return watchSystemTheme(() => applyAppearance(settings));
         }
-        return [];
-      });
+      }, [settings.theme, settings.accent]);
+
+      // Unsaved task dialog input, keyed by todo id ('new' for a task being added)
+      const [drafts, setDrafts] = useState(initialDrafts);
 
-      // State for undo/redo functionality
-      const [history, setHistory] = useState([[]]);  // Initialize with empty todos array
-      const [currentPosition, setCurrentPosition] = useState(0);
-      
-      // Initialize history with initial todos
+      // Save drafts once typing pauses rather than on every key press
       useEffect(() => {
-        setHistory([todos]);
-      }, []); // Run only once on mount
+        const timer = setTimeout(() => saveDrafts(drafts), 500);
+        return () => clearTimeout(timer);
+      }, [drafts]);
+
+      // Message at the bottom of the screen offering to undo the last delete
+      const [toast, setToast] = useState(null);
 
       // State to control the visibility of the modal
       const [showModal, setShowModal] = useState(false);
       // State to store the currently selected todo for editing
       const [selectedTodo, setSelectedTodo] = useState(null);
+      // Selection mode, the selected todo ids, and the last card clicked without Shift
+      const [selecting, setSelecting] = useState(false);
+      const [selectedIds, setSelectedIds] = useState([]);
+      const selectionAnchorRef = useRef(null);
+      // Card with the keyboard focus, moved with J/K and the arrow keys
+      const [focusedId, setFocusedId] = useState(null);
+      // Visibility of the command palette and the keyboard shortcut overlay
+      const [showPalette, setShowPalette] = useState(false);
+      const [showShortcuts, setShowShortcuts] = useState(false);
+      // Search box of the filter bar, focused with "/"
+      const searchInputRef = useRef(null);
+      // Priority column currently under a dragged card
+      const [dropTarget, setDropTarget] = useState(null);
+      // Filter bar state, kept in the URL query string so filtered views can be shared
+      const [filters, setFilters] = useState(() => parseFilters(window.location.search));
+
+      // Mirror the filters into the URL without adding browser history entries
+      useEffect(() => {
+        const search = serializeFilters(window.location.search, filters);
+        if (search !== window.location.search) {
+          window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+        }
+      }, [filters]);
+
+      // Pick up filters when the user navigates between shared URLs
+      useEffect(() => {
+        const handlePopState = () => setFilters(parseFilters(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+      }, []);
+
+      // Storage problem to show above the board (unreadable data or a failed save)
+      const [storageError, setStorageError] = useState(initialError);
+      // Tasks changed differently in this tab and another tab
+      const [conflicts, setConflicts] = useState([]);
+
+      // Channel to the other open tabs, and the todos, boards and categories last sent to or received from them
+      const tabSyncRef = useRef(null);
+      const syncedTodosRef = useRef(allTodos);
+      const syncedBoardsRef = useRef(boardList(boards));
+      const syncedCategoriesRef = useRef(categories);
+      // Latest todos of every board, for merging changes that arrive from other tabs
+      const todosRef = useRef(allTodos);
+      todosRef.current = allTodos;
+
+      // Merge changes made in other tabs into this one
+      useEffect(() => {
+        const tabSync = createTabSync((message) => {
+          const { todos: remoteTodos, forcedIds, boards: remoteBoards, categories: remoteCategories } = message;
+          if (remoteCategories) {
+            syncedCategoriesRef.current = remoteCategories;
+            setCategories(remoteCategories);
+            return;
+          }
+          const merged = mergeTodos(todosRef.current, syncedTodosRef.current, remoteTodos, forcedIds);
+          syncedTodosRef.current = remoteTodos;
+          setConflicts((prevConflicts) =>
+            reconcileConflicts(prevConflicts, merged.conflicts, merged.todos, remoteTodos)
+          );
+          if (remoteBoards) {
+            syncedBoardsRef.current = remoteBoards;
+          }
+          setBoards((prevBoards) => {
+            const distributed = distributeTodos(prevBoards, merged.todos, 'Synced changes from another tab');
+            return remoteBoards ? applyBoardList(distributed, remoteBoards) : distributed;
+          });
+        });
+        tabSyncRef.current = tabSync;
+        return () => tabSync.close();
+      }, []);
+
+      // Status of the sync server connection, shown in the header; null when sync is off
+      const [syncStatus, setSyncStatus] = useState(null);
+      const remoteSyncRef = useRef(null);
+
+      // Push local changes to the sync server and merge in changes made on other machines
+      useEffect(() => {
+        if (!syncAdapter) {
+          return undefined;
+        }
+        const remoteSync = createRemoteSync(syncAdapter, {
+          state: initialSyncState || { queue: [], known: {}, lastPulled: 0 },
+          onRemoteChanges: (remoteTodos) =>
+            setBoards((prevBoards) => {
+              const currentList = boardTodos(prevBoards);
+              const merged = applyRemoteTodos(currentList, remoteTodos);
+              return merged === currentList
+                ? prevBoards
+                : distributeTodos(prevBoards, merged, 'Synced changes from the server');
+            }),
+          onStatus: setSyncStatus,
+          onStateChange: saveSyncState,
+        });
+        remoteSyncRef.current = remoteSync;
+        remoteSync.update(todosRef.current);
+        return () => remoteSync.close();
+      }, []);
+
+      // Save todos, boards and histories whenever they change, and share local changes with other tabs
+      useEffect(() => {
+        Promise.all([saveTodos(allTodos), saveBoards(boards, activeBoard.id)]).then(([todosResult, boardsResult]) => {
+          if (todosResult.error || boardsResult.error) {
+            setStorageError(todosResult.error || boardsResult.error);
+          }
+        });
+        const list = boardList(boards);
+        if (!sameTodos(allTodos, syncedTodosRef.current) || !sameTodos(list, syncedBoardsRef.current)) {
+          tabSyncRef.current.broadcast({ todos: allTodos, boards: list });
+          syncedTodosRef.current = allTodos;
+          syncedBoardsRef.current = list;
+        }
+        if (remoteSyncRef.current) {
+          remoteSyncRef.current.update(allTodos);
+        }
+      }, [boards, activeBoard.id]);
+
+      // Save categories whenever they change, and share local changes with other tabs
+      useEffect(() => {
+        saveCategories(categories).then(({ error }) => {
+          if (error) {
+            setStorageError(error);
+          }
+        });
+        if (categories !== syncedCategoriesRef.current) {
+          tabSyncRef.current.broadcast({ categories });
+          syncedCategoriesRef.current = categories;
+        }
+      }, [categories]);
+
+      // Latest change, read out by screen readers; the id re-announces a repeated message
+      const [announcement, setAnnouncement] = useState(null);
+      const announcedRef = useRef({ boardId: activeBoard.id, history });
 
-      // Save todos to localStorage whenever they change
+      // Announce every add, complete, delete, undo and redo, and switching boards
       useEffect(() => {
-        try {
-          localStorage.setItem('todos', JSON.stringify(todos));
-        } catch (error) {
-          console.error('Error saving todos to localStorage:', error);
+        const previous = announcedRef.current;
+        announcedRef.current = { boardId: activeBoard.id, history };
+        const message =
+          previous.boardId === activeBoard.id
+            ? describeHistoryChange(previous.history, history)
+            : `Switched to ${activeBoard.name}`;
+        if (message) {
+          setAnnouncement({ id: Date.now(), message });
         }
-      }, [todos]);
+      }, [history, activeBoard.id]);
 
       /**
-       * Updates todos and manages history
+       * Updates the todos of the board shown, stamping the changed ones, and records the
+       * change as a named history entry
        * @param {Array} newTodos - The new todos array
+       * @param {string} label - Description of the operation
        */
-      const updateTodosWithHistory = (newTodos) => {
-        setTodos(newTodos);
-        // Remove any future history after current position
-        const newHistory = history.slice(0, currentPosition + 1);
-        setHistory([...newHistory, newTodos]);
-        setCurrentPosition(currentPosition + 1);
+      const updateTodosWithHistory = (newTodos, label) => {
+        setBoards((prevBoards) => pushBoardTodos(prevBoards, activeBoard.id, newTodos, label, Date.now()));
+      };
+
+      /**
+       * Moves to the given history entry of the board shown and restores its todos
+       * @param {number} position - The index of the history entry
+       */
+      const jumpToHistory = (position) => {
+        setBoards((prevBoards) => jumpBoard(prevBoards, activeBoard.id, position, Date.now()));
       };
 
       /**
        * Undo the last action
        */
       const undo = () => {
-        if (currentPosition > 0) {
-          setCurrentPosition(currentPosition - 1);
-          setTodos(history[currentPosition - 1]);
-        }
+        jumpToHistory(history.position - 1);
       };
 
       /**
        * Redo the last undone action
        */
       const redo = () => {
-        if (currentPosition < history.length - 1) {
-          setCurrentPosition(currentPosition + 1);
-          setTodos(history[currentPosition + 1]);
+        jumpToHistory(history.position + 1);
+      };
+
+      const canUndo = history.position > 0;
+      const canRedo = history.position < history.entries.length - 1;
+
+      // Current time, ticking every minute so due labels and reminders stay up to date
+      const [now, setNow] = useState(() => new Date());
+      // Notification permission, so the reminders button can be hidden once answered
+      const [notificationPermission, setNotificationPermission] = useState(
+        notificationsSupported() ? Notification.permission : 'unsupported'
+      );
+      // Tags of the reminders already shown, so each fires once
+      const firedRemindersRef = useRef(initialFiredReminders);
+
+      useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+      }, []);
+
+      // Service worker registration holding a newly deployed version, once one is ready
+      const [pendingUpdate, setPendingUpdate] = useState(null);
+
+      // Register the service worker that caches the app for offline use and delivers reminders
+      useEffect(() => {
+        registerServiceWorker(setPendingUpdate);
+        if (notificationPermission === 'granted') {
+          enableBackgroundReminders();
+        }
+      }, []);
+
+      // Hand the upcoming reminders to the service worker whenever the todos change
+      useEffect(() => {
+        if (notificationPermission === 'granted') {
+          scheduleInWorker(collectReminders(allTodos.filter(isActive)));
+        }
+      }, [boards, notificationPermission]);
+
+      // Show reminders that have come due while the app is open
+      useEffect(() => {
+        if (notificationPermission !== 'granted') {
+          return;
+        }
+        const due = dueReminders(
+          collectReminders(allTodos.filter(isActive)),
+          firedRemindersRef.current,
+          now.getTime()
+        );
+        if (!due.length) {
+          return;
+        }
+        due.forEach(showReminder);
+        firedRemindersRef.current = pruneFiredTags(
+          [...firedRemindersRef.current, ...due.map((reminder) => reminder.tag)],
+          now.getTime()
+        );
+        saveFiredReminders(firedRemindersRef.current);
+      }, [now, boards, notificationPermission]);
+
+      // Purge todos that have been in the trash longer than the retention period, on every board
+      useEffect(() => {
+        setBoards((prevBoards) => {
+          const newBoards = prevBoards.map((board) => {
+            const currentList = currentTodos(board.history);
+            const expired = expiredTrash(currentList, settings.trashRetentionDays, now.getTime());
+            if (!expired.length) {
+              return board;
+            }
+            return {
+              ...board,
+              history: pushHistory(
+                board.history,
+                currentList.filter((todo) => !expired.includes(todo.id)),
+                `Emptied ${describeCount(expired.length)} from the trash`
+              ),
+            };
+          });
+          return newBoards.every((board, index) => board === prevBoards[index]) ? prevBoards : newBoards;
+        });
+      }, [now, settings.trashRetentionDays]);
+
+      /**
+       * Asks for permission to show reminder notifications.
+       */
+      const enableReminders = async () => {
+        const permission = await Notification.requestPermission();
+        setNotificationPermission(permission);
+        if (permission === 'granted') {
+          enableBackgroundReminders();
         }
       };
 
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) shortcuts, leaving text fields to their native undo
+      useEffect(() => {
+        const handleKeyDown = (event) => {
+          if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+            return;
+          }
+          if (showModal || isTypingTarget(event.target)) {
+            return;
+          }
+          event.preventDefault();
+          const step = event.shiftKey ? 1 : -1;
+          setBoards((prevBoards) => {
+            const board = prevBoards.find((item) => item.id === activeBoard.id);
+            return jumpBoard(prevBoards, board.id, board.history.position + step, Date.now());
+          });
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+      }, [showModal, activeBoard.id]);
+
       /**
        * Toggles the completion status of a todo.
        * @param {number} id - The ID of the todo to toggle.
        */
       const toggleComplete = (id) => {
+        const toggledTodo = todos.find((todo) => todo.id === id);
+        // Completing a recurring todo creates its next occurrence, and completing any todo stops its timer
+        if (toggledTodo.recurrence && !toggledTodo.completed) {
+          const { completed, next } = completeOccurrence(stopTimer(toggledTodo, Date.now()), Date.now());
+          const newTodos = todos.map((todo) => (todo.id === id ? completed : todo));
+          updateTodosWithHistory(
+            next ? [...newTodos, next] : newTodos,
+            `Completed ${describeTodo(toggledTodo)}${next ? ` (next due ${next.dueDate})` : ''}`
+          );
+          return;
+        }
         const newTodos = todos.map((todo) =>
-          todo.id === id ? { ...todo, completed: !todo.completed } : todo
+          todo.id === id ? { ...stopTimer(todo, Date.now()), completed: !todo.completed } : todo
+        );
+        updateTodosWithHistory(
+          newTodos,
+          `${toggledTodo.completed ? 'Reopened' : 'Completed'} ${describeTodo(toggledTodo)}`
         );
-        updateTodosWithHistory(newTodos);
       };
 
       /**
-       * Deletes a todo from the list.
+       * Skips the current occurrence of a recurring todo, moving it to the next due date.
+       * @param {number} id - The ID of the todo to skip.
+       */
+      const skipOccurrence = (id) => {
+        const skippedTodo = todos.find((todo) => todo.id === id);
+        const next = nextOccurrence(skippedTodo);
+        if (!next) {
+          return;
+        }
+        const newTodos = todos.map((todo) => (todo.id === id ? { ...todo, ...next } : todo));
+        updateTodosWithHistory(newTodos, `Skipped ${describeTodo(skippedTodo)} to ${next.dueDate}`);
+      };
+
+      /**
+       * Starts or stops a todo's timer. Only one timer runs at a time, so starting one
+       * stops any other, on whichever board it is running.
+       * @param {number} id - The ID of the todo to time.
+       */
+      const toggleTimer = (id) => {
+        const timedTodo = todos.find((todo) => todo.id === id);
+        const stamp = Date.now();
+        if (runningEntry(timedTodo)) {
+          updateTodosWithHistory(
+            todos.map((todo) => (todo.id === id ? stopTimer(todo, stamp) : todo)),
+            `Stopped timer on ${describeTodo(timedTodo)}`
+          );
+          return;
+        }
+        setBoards((prevBoards) =>
+          prevBoards.reduce((nextBoards, board) => {
+            const onBoard = currentTodos(board.history);
+            const stopped = onBoard.filter((todo) => runningEntry(todo)).map(describeTodo).join(', ');
+            if (board.id !== activeBoard.id && !stopped) {
+              return nextBoards;
+            }
+            const newTodos = onBoard.map((todo) => (todo.id === id ? startTimer(todo, stamp) : stopTimer(todo, stamp)));
+            let label = `Stopped timer on ${stopped}`;
+            if (board.id === activeBoard.id) {
+              label = `Started timer on ${describeTodo(timedTodo)}${stopped ? ` (stopped ${stopped})` : ''}`;
+            }
+            return pushBoardTodos(nextBoards, board.id, newTodos, label, stamp);
+          }, prevBoards)
+        );
+      };
+
+      /**
+       * Applies an import to the board shown. A running timer in the file takes over as
+       * the one running timer, so timers already running stop, on whichever board they are.
+       * @param {Array} newTodos - The board's todos after the import.
+       * @param {string} label - Description of the import.
+       */
+      const importTodos = (newTodos, label) => {
+        const existing = new Set(todos);
+        if (!newTodos.some((todo) => !existing.has(todo) && runningEntry(todo))) {
+          updateTodosWithHistory(newTodos, label);
+          return;
+        }
+        const stamp = Date.now();
+        setBoards((prevBoards) =>
+          prevBoards.reduce((nextBoards, board) => {
+            if (board.id === activeBoard.id) {
+              const imported = newTodos.map((todo) => (existing.has(todo) ? stopTimer(todo, stamp) : todo));
+              return pushBoardTodos(nextBoards, board.id, imported, label, stamp);
+            }
+            const onBoard = currentTodos(board.history);
+            const stopped = onBoard.filter((todo) => runningEntry(todo)).map(describeTodo).join(', ');
+            if (!stopped) {
+              return nextBoards;
+            }
+            const newBoardTodos = onBoard.map((todo) => stopTimer(todo, stamp));
+            return pushBoardTodos(nextBoards, board.id, newBoardTodos, `Stopped timer on ${stopped}`, stamp);
+          }, prevBoards)
+        );
+      };
+
+      /**
+       * Describes one or more todos for history labels and toasts.
+       * @param {Array} ids - The IDs of the todos.
+       * @returns {string} The todo's title in quotes, or the number of todos.
+       */
+      const describeTodos = (ids) =>
+        ids.length === 1 ? describeTodo(todos.find((todo) => todo.id === ids[0])) : describeCount(ids.length);
+
+      /**
+       * Moves todos to the trash and offers to undo it.
+       * @param {Array} ids - The IDs of the todos to delete.
+       */
+      const trashTodos = (ids) => {
+        const label = `Deleted ${describeTodos(ids)}`;
+        updateTodosWithHistory(moveToTrash(todos, ids), label);
+        // The toast remembers the board, so Undo still works after switching boards
+        setToast({ id: Date.now(), message: label, actionLabel: 'Undo', ids, boardId: activeBoard.id });
+      };
+
+      /**
+       * Deletes a todo by moving it to the trash.
        * @param {number} id - The ID of the todo to delete.
        */
       const deleteTodo = (id) => {
-        const newTodos = todos.filter((todo) => todo.id !== id);
-        updateTodosWithHistory(newTodos);
+        trashTodos([id]);
+      };
+
+      /**
+       * Restores todos from the trash.
+       * @param {Array} ids - The IDs of the todos to restore.
+       */
+      const restoreTodos = (ids) => {
+        updateTodosWithHistory(restoreFromTrash(todos, ids), `Restored ${describeTodos(ids)}`);
+      };
+
+      /**
+       * Undoes the deletion the toast offers to undo, on the board it was made on.
+       * @param {Object} deletion - The toast, with the ids of the deleted todos and their board id.
+       */
+      const undoDeletion = ({ ids, boardId }) => {
+        setBoards((prevBoards) => {
+          const board = prevBoards.find((item) => item.id === boardId);
+          const onBoard = board ? currentTodos(board.history) : [];
+          // Todos purged, restored or moved off the board since have nothing to undo
+          const restored = onBoard.filter((todo) => ids.includes(todo.id) && todo.deletedAt);
+          if (!restored.length) {
+            return prevBoards;
+          }
+          const described = restored.length === 1 ? describeTodo(restored[0]) : describeCount(restored.length);
+          return pushBoardTodos(
+            prevBoards,
+            boardId,
+            restoreFromTrash(onBoard, restored.map((todo) => todo.id)),
+            `Restored ${described}`,
+            Date.now()
+          );
+        });
+      };
+
+      /**
+       * Deletes todos from the trash for good.
+       * @param {Array} ids - The IDs of the todos to delete.
+       */
+      const purgeTodos = (ids) => {
+        updateTodosWithHistory(
+          todos.filter((todo) => !ids.includes(todo.id)),
+          `Permanently deleted ${describeTodos(ids)}`
+        );
+      };
+
+      /**
+       * Moves todos to the archive.
+       * @param {Array} ids - The IDs of the todos to archive.
+       */
+      const archiveTodosById = (ids) => {
+        updateTodosWithHistory(archiveTodos(todos, ids), `Archived ${describeTodos(ids)}`);
+      };
+
+      /**
+       * Returns archived todos to the board.
+       * @param {Array} ids - The IDs of the todos to unarchive.
+       */
+      const unarchiveTodosById = (ids) => {
+        updateTodosWithHistory(unarchiveTodos(todos, ids), `Unarchived ${describeTodos(ids)}`);
+      };
+
+      /**
+       * Moves a todo to a position in a priority column.
+       * @param {number} id - The ID of the todo to move.
+       * @param {string} priority - The target column's priority.
+       * @param {number|null} beforeId - The ID of the todo to place it before (null for the end).
+       */
+      const moveTodoTo = (id, priority, beforeId = null) => {
+        const movedTodo = todos.find((todo) => todo.id === id);
+        const newTodos = moveTodo(todos, id, priority, beforeId);
+        if (newTodos === todos) {
+          return;
+        }
+        const label = movedTodo.priority === priority
+          ? `Reordered ${describeTodo(movedTodo)}`
+          : `Moved ${describeTodo(movedTodo)} to ${priority} priority`;
+        updateTodosWithHistory(newTodos, label);
+      };
+
+      /**
+       * Gives a todo dropped on a calendar day that due date, or clears it when dropped on the unscheduled tray.
+       * @param {string} draggedId - The dragged todo's ID, as carried by the drag data.
+       * @param {string} dueDate - The new YYYY-MM-DD due date, or '' to unschedule it.
+       */
+      const rescheduleTodoTo = (draggedId, dueDate) => {
+        const movedTodo = todos.find((todo) => String(todo.id) === draggedId);
+        if (!movedTodo) {
+          return;
+        }
+        const newTodos = rescheduleTodo(todos, movedTodo.id, dueDate);
+        if (newTodos === todos) {
+          return;
+        }
+        const label = dueDate
+          ? `Rescheduled ${describeTodo(movedTodo)} to ${dueDate}`
+          : `Unscheduled ${describeTodo(movedTodo)}`;
+        updateTodosWithHistory(newTodos, label);
+      };
+
+      /**
+       * Moves a todo one step up or down within its column, as the column is shown.
+       * @param {number} id - The ID of the todo to move.
+       * @param {number} offset - -1 to move up, 1 to move down.
+       */
+      const shiftTodoBy = (id, offset) => {
+        const movedTodo = todos.find((todo) => todo.id === id);
+        const newTodos = shiftTodo(todos, id, offset, filteredTodos);
+        if (newTodos !== todos) {
+          updateTodosWithHistory(newTodos, `Reordered ${describeTodo(movedTodo)}`);
+        }
+      };
+
+      /**
+       * Handles a card dropped onto a column or onto another card.
+       * @param {DragEvent} event - The drop event.
+       * @param {string} priority - The column's priority.
+       * @param {number|null} beforeId - The ID of the card dropped onto (null for the column itself).
+       */
+      const handleDrop = (event, priority, beforeId = null) => {
+        event.preventDefault();
+        event.stopPropagation();
+        setDropTarget(null);
+        const draggedId = event.dataTransfer.getData('text/plain');
+        const draggedTodo = todos.find((todo) => String(todo.id) === draggedId);
+        if (draggedTodo) {
+          moveTodoTo(draggedTodo.id, priority, beforeId);
+        }
+      };
+
+      /**
+       * Resolves a conflict with another tab and tells the other tabs which version won.
+       * @param {Object} conflict - The conflict ({ id, local, remote }).
+       * @param {boolean} useRemote - Whether to take the other tab's version.
+       */
+      const resolveConflict = (conflict, useRemote) => {
+        let newTodos = allTodos;
+        if (useRemote) {
+          const exists = allTodos.some((todo) => todo.id === conflict.id);
+          if (!conflict.remote) {
+            newTodos = allTodos.filter((todo) => todo.id !== conflict.id);
+          } else if (exists) {
+            newTodos = allTodos.map((todo) => (todo.id === conflict.id ? conflict.remote : todo));
+          } else {
+            newTodos = [...allTodos, conflict.remote];
+          }
+          // The task may be on any board, or have moved to another one
+          setBoards((prevBoards) =>
+            distributeTodos(
+              prevBoards,
+              newTodos,
+              `Resolved conflict on ${describeTodo(conflict.local || conflict.remote)}`
+            )
+          );
+        }
+        setConflicts((prevConflicts) => prevConflicts.filter((item) => item.id !== conflict.id));
+        tabSyncRef.current.broadcast({ todos: newTodos, forcedIds: [conflict.id], boards: boardList(boards) });
+        syncedTodosRef.current = newTodos;
+      };
+
+      /**
+       * Deletes a category, moving its tasks to another one.
+       * @param {string} id - The ID of the category to delete.
+       * @param {string} replacementId - The ID of the category its tasks move to.
+       */
+      const deleteCategory = (id, replacementId) => {
+        const deletedCategory = getCategory(categories, id);
+        setCategories(categories.filter((category) => category.id !== id));
+        // Categories are shared by every board
+        setBoards((prevBoards) =>
+          prevBoards.reduce((result, board) => {
+            const list = currentTodos(board.history);
+            if (!list.some((todo) => todo.category === id)) {
+              return result;
+            }
+            return pushBoardTodos(
+              result,
+              board.id,
+              list.map((todo) => (todo.category === id ? { ...todo, category: replacementId } : todo)),
+              `Deleted category '${deletedCategory.name}'`,
+              Date.now()
+            );
+          }, prevBoards)
+        );
+        if (filters.category === id) {
+          setFilters({ ...filters, category: '' });
+        }
       };
 
       /**
@@ -111,272 +781,690 @@ import Modal from './Modal';
         setShowModal(false);
       };
 
+      // Draft of the todo open in the modal
+      const draftKey = selectedTodo ? selectedTodo.id : 'new';
+
+      /**
+       * Keeps or drops the draft of the todo open in the modal.
+       * @param {Object|null} draft - The unsaved changes, or null to drop the draft.
+       */
+      const updateDraft = (draft) => {
+        setDrafts((prevDrafts) => {
+          const { [draftKey]: previous, ...rest } = prevDrafts;
+          return draft ? { ...rest, [draftKey]: draft } : rest;
+        });
+      };
+
       /**
-       * Saves the updated todo (adds a new todo or updates an existing one).
+       * Saves the updated todo (adds a new todo or updates an existing one), on the
+       * board chosen in the modal.
        * @param {Object} updatedTodo - The updated todo object.
        */
       const handleSave = (updatedTodo) => {
+        const boardId = boards.some((board) => board.id === updatedTodo.boardId)
+          ? updatedTodo.boardId
+          : activeBoard.id;
         let newTodos;
+        let label;
+        let nextTodo = null;
         if (selectedTodo) {
           // Update existing task
-          newTodos = todos.map((todo) => 
-            todo.id === updatedTodo.id ? updatedTodo : todo
-          );
+          newTodos = todos.map((todo) => {
+            if (todo.id !== updatedTodo.id) {
+              return todo;
+            }
+            // A priority changed in the modal drops the manual order from the old column
+            let edited = updatedTodo;
+            if (todo.priority !== updatedTodo.priority) {
+              const { order, ...rest } = updatedTodo;
+              edited = rest;
+            }
+            // Ticking off the last subtask completes a todo set to complete itself, stopping its timer
+            if (shouldAutoComplete(edited)) {
+              const stopped = stopTimer(edited, Date.now());
+              if (stopped.recurrence) {
+                const { completed, next } = completeOccurrence(stopped, Date.now());
+                nextTodo = next;
+                return completed;
+              }
+              return { ...stopped, completed: true };
+            }
+            return edited;
+          });
+          if (nextTodo) {
+            newTodos = [...newTodos, nextTodo];
+          }
+          label = `Edited ${describeTodo(updatedTodo)}`;
         } else {
           // Add new task
-          newTodos = [...todos, { id: Date.now(), ...updatedTodo, completed: false }];
+          newTodos = [
+            ...todos,
+            { id: Date.now(), ...updatedTodo, completed: shouldAutoComplete(updatedTodo) },
+          ];
+          label = `Added ${describeTodo(updatedTodo)}`;
+        }
+        if (boardId === activeBoard.id) {
+          updateTodosWithHistory(newTodos, label);
+        } else if (selectedTodo) {
+          // Saved onto another board: the todo, with its next occurrence, moves there
+          const movedIds = [updatedTodo.id, nextTodo && nextTodo.id];
+          const movedTodos = newTodos.filter((todo) => movedIds.includes(todo.id));
+          setBoards((prevBoards) => moveTodosToBoard(prevBoards, activeBoard.id, movedTodos, boardId, Date.now()));
+        } else {
+          const target = boards.find((board) => board.id === boardId);
+          setBoards((prevBoards) =>
+            pushBoardTodos(
+              prevBoards,
+              boardId,
+              [...currentTodos(target.history), newTodos[newTodos.length - 1]],
+              `${label} to '${target.name}'`,
+              Date.now()
+            )
+          );
         }
-        updateTodosWithHistory(newTodos);
         closeModal();
       };
 
-      // Group and sort todos by priority and due date
-      const groupedAndSortedTodos = {
-        high: todos
-          .filter(todo => todo.priority === 'high')
-          .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)),
-        medium: todos
-          .filter(todo => todo.priority === 'medium')
-          .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)),
-        low: todos
-          .filter(todo => todo.priority === 'low')
-          .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      /**
+       * Adds a todo typed into the quick-add bar to the board shown.
+       * @param {Object} newTodo - The todo worked out from the text.
+       */
+      const quickAdd = (newTodo) => {
+        updateTodosWithHistory(
+          [...todos, { id: Date.now(), ...newTodo, completed: false }],
+          `Added ${describeTodo(newTodo)}`
+        );
+      };
+
+      /**
+       * Shows another board.
+       * @param {string} id - The ID of the board.
+       */
+      const switchBoard = (id) => {
+        setActiveBoardId(id);
+        stopSelecting();
+        setFocusedId(null);
+      };
+
+      /**
+       * Moves todos from the board shown to another board.
+       * @param {Array} ids - The IDs of the todos to move.
+       * @param {string} boardId - The ID of the board they move to.
+       */
+      const moveToBoard = (ids, boardId) => {
+        const movedTodos = todos.filter((todo) => ids.includes(todo.id));
+        setBoards((prevBoards) => moveTodosToBoard(prevBoards, activeBoard.id, movedTodos, boardId, Date.now()));
+      };
+
+      /**
+       * Deletes a board, moving its tasks to another one.
+       * @param {string} id - The ID of the board to delete.
+       * @param {string} replacementId - The ID of the board its tasks move to.
+       */
+      const deleteBoard = (id, replacementId) => {
+        setBoards((prevBoards) => removeBoard(prevBoards, id, replacementId, Date.now()));
+        if (id === activeBoard.id) {
+          switchBoard(replacementId);
+        }
+      };
+
+      // Boards a card can be moved to
+      const otherBoards = boards.filter((board) => board.id !== activeBoard.id);
+
+      // Todos matching the filter bar
+      const filteredTodos = activeTodos.filter((todo) => matchesFilters(todo, filters, now));
+
+      // Archived and deleted todos, for their own views
+      const archivedTodos = todos.filter((todo) => todo.archivedAt && !todo.deletedAt);
+      const trashedTodos = todos.filter((todo) => todo.deletedAt);
+
+      // Open tasks past their due date or time, for the header badge
+      const overdueCount = activeTodos.filter((todo) => isOverdue(todo, now)).length;
+
+      // Tags in use, for the filter bar and tag autocomplete
+      const tags = collectTags(todos);
+
+      // Group todos by priority, in manual order and then by due date
+      const groupedAndSortedTodos = Object.fromEntries(
+        PRIORITIES.map((priority) => [priority, sortColumn(filteredTodos, priority)])
+      );
+
+      // Visible todos in board order, for Shift-click ranges
+      const boardOrder = PRIORITIES.flatMap((priority) => groupedAndSortedTodos[priority]).map((todo) => todo.id);
+      // Selected todos that are still visible; batch actions only touch these
+      const selection = selectedIds.filter((id) => boardOrder.includes(id));
+
+      /**
+       * Leaves selection mode and clears the selection.
+       */
+      const stopSelecting = () => {
+        setSelecting(false);
+        setSelectedIds([]);
+        selectionAnchorRef.current = null;
       };
 
+      /**
+       * Selects or deselects a card, or selects the range from the last clicked card with Shift.
+       * @param {number} id - The ID of the clicked todo.
+       * @param {boolean} shiftKey - Whether Shift was held.
+       */
+      const toggleSelected = (id, shiftKey) => {
+        if (shiftKey && selectionAnchorRef.current !== null) {
+          const range = selectRange(boardOrder, selectionAnchorRef.current, id);
+          setSelectedIds([...new Set([...selection, ...range])]);
+          return;
+        }
+        selectionAnchorRef.current = id;
+        setSelectedIds(selection.includes(id) ? selection.filter((item) => item !== id) : [...selection, id]);
+      };
+
+      /**
+       * Selects every todo in a column, or deselects them when all are already selected.
+       * @param {string} priority - The column's priority.
+       */
+      const toggleColumnSelected = (priority) => {
+        const columnIds = groupedAndSortedTodos[priority].map((todo) => todo.id);
+        const allSelected = columnIds.every((id) => selection.includes(id));
+        setSelectedIds(
+          allSelected
+            ? selection.filter((id) => !columnIds.includes(id))
+            : [...new Set([...selection, ...columnIds])]
+        );
+      };
+
+      /**
+       * Completes or uncompletes the selected todos as one history entry.
+       * @param {boolean} completed - Whether to complete them.
+       */
+      const completeSelected = (completed) => {
+        updateTodosWithHistory(
+          completeTodos(todos, selection, completed),
+          `${completed ? 'Completed' : 'Uncompleted'} ${describeCount(selection.length)}`
+        );
+      };
+
+      /**
+       * Moves the selected todos to the trash as one history entry.
+       */
+      const deleteSelected = () => {
+        trashTodos(selection);
+        setSelectedIds([]);
+      };
+
+      /**
+       * Archives the selected todos as one history entry.
+       */
+      const archiveSelected = () => {
+        archiveTodosById(selection);
+        setSelectedIds([]);
+      };
+
+      /**
+       * Changes the priority, category or due date of the selected todos as one history entry.
+       * @param {Object} changes - The fields to change.
+       */
+      const updateSelected = (changes) => {
+        const count = describeCount(selection.length);
+        let label;
+        if (changes.priority) {
+          label = `Moved ${count} to ${changes.priority} priority`;
+        } else if (changes.category) {
+          label = `Moved ${count} to ${getCategory(categories, changes.category).name}`;
+        } else {
+          label = changes.dueDate ? `Set due date of ${count} to ${changes.dueDate}` : `Cleared due date of ${count}`;
+        }
+        updateTodosWithHistory(updateTodos(todos, selection, changes), label);
+      };
+
+      // Completed tasks on the board, for the "Clear Completed" command
+      const completedIds = activeTodos.filter((todo) => todo.completed).map((todo) => todo.id);
+      const completedCount = completedIds.length;
+
+      /**
+       * Moves every completed todo on the board to the trash as one history entry.
+       */
+      const clearCompleted = () => {
+        trashTodos(completedIds);
+      };
+
+      // Commands offered by the command palette
+      const commands = [
+        { id: 'add', label: 'Add task', shortcut: 'N', run: () => openModal() },
+        { id: 'search', label: 'Search tasks', shortcut: '/', run: () => searchInputRef.current.focus() },
+        canUndo && { id: 'undo', label: 'Undo', shortcut: 'Ctrl+Z', run: undo },
+        canRedo && { id: 'redo', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: redo },
+        { id: 'history', label: 'Show history', run: () => setShowHistory(true) },
+        ...otherBoards.map((board) => ({
+          id: `board-${board.id}`,
+          label: `Switch to board ${board.name}`,
+          run: () => switchBoard(board.id),
+        })),
+        { id: 'boards', label: 'Manage boards', run: () => setShowBoards(true) },
+        ...VIEWS.map((option) => ({
+          id: `view-${option.value}`,
+          label: `Go to ${option.label.toLowerCase()} view`,
+          run: () => {
+            setView(option.value);
+            stopSelecting();
+          },
+        })),
+        view === 'board' && { id: 'select', label: 'Select tasks', run: () => setSelecting(true) },
+        completedCount > 0 && { id: 'clear-completed', label: 'Clear completed tasks', run: clearCompleted },
+        { id: 'categories', label: 'Manage categories', run: () => setShowCategories(true) },
+        { id: 'import', label: 'Import tasks', run: () => setShowImport(true) },
+        { id: 'preferences', label: 'Open preferences', run: () => setShowPreferences(true) },
+        ...EXPORT_FORMATS.map((format) => ({
+          id: `export-${format.value}`,
+          label: `Export as ${format.label}`,
+          run: () => downloadTodos(todos.filter((todo) => !todo.deletedAt), format.value),
+        })),
+        { id: 'clear-filters', label: 'Clear filters', run: () => setFilters(DEFAULT_FILTERS) },
+        { id: 'shortcuts', label: 'Show keyboard shortcuts', shortcut: '?', run: () => setShowShortcuts(true) },
+      ].filter(Boolean);
+
+      // Single-key shortcuts and Ctrl+K; see SHORTCUT_GROUPS for the full map
+      useEffect(() => {
+        const handleKeyDown = (event) => {
+          if (showModal || showPalette || showImport || showCategories || showBoards || showPreferences) {
+            return;
+          }
+          if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            setShowShortcuts(false);
+            setShowPalette(true);
+            return;
+          }
+          if (showShortcuts) {
+            if (event.key === 'Escape') {
+              setShowShortcuts(false);
+            }
+            return;
+          }
+          if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+            return;
+          }
+          // Leave Enter and Space on buttons to the buttons themselves
+          if (event.target.tagName === 'BUTTON' && (event.key === 'Enter' || event.key === ' ')) {
+            return;
+          }
+          const focusedTodo = view === 'board' && activeTodos.find((todo) => todo.id === focusedId);
+          const columns = PRIORITIES.map((priority) => groupedAndSortedTodos[priority].map((todo) => todo.id));
+          const directions = {
+            j: 'next',
+            ArrowDown: 'next',
+            k: 'previous',
+            ArrowUp: 'previous',
+            h: 'left',
+            ArrowLeft: 'left',
+            l: 'right',
+            ArrowRight: 'right',
+          };
+          if (event.key === '?') {
+            setShowShortcuts(true);
+          } else if (event.key === 'n') {
+            openModal();
+          } else if (event.key === '/') {
+            searchInputRef.current.focus();
+          } else if (event.key === 'Escape') {
+            setFocusedId(null);
+            document.activeElement.blur();
+            return;
+          } else if (directions[event.key] && view === 'board') {
+            setFocusedId(moveFocus(columns, focusedTodo ? focusedId : null, directions[event.key]));
+          } else if (focusedTodo && selecting && (event.key === 'Enter' || event.key === ' ')) {
+            toggleSelected(focusedId, event.shiftKey);
+          } else if (focusedTodo && (event.key === 'e' || event.key === 'Enter')) {
+            openModal(focusedTodo);
+          } else if (focusedTodo && (event.key === 'x' || event.key === ' ')) {
+            toggleComplete(focusedId);
+          } else if (focusedTodo && (event.key === 'Delete' || event.key === 'Backspace')) {
+            // Keep the focus on the board, on the next card or else the previous one
+            const next = moveFocus(columns, focusedId, 'next');
+            setFocusedId(next === focusedId ? moveFocus(columns, focusedId, 'previous') : next);
+            deleteTodo(focusedId);
+          } else if (focusedTodo && ['1', '2', '3'].includes(event.key)) {
+            moveTodoTo(focusedId, PRIORITIES[Number(event.key) - 1]);
+          } else {
+            return;
+          }
+          event.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+      });
+
       return (
-        <div className="container mx-auto p-4 bg-gray-100 min-h-screen">
-          <div className="flex justify-between items-center mb-4">
-            <div className="flex items-center gap-4">
-              <h1 className="text-3xl font-bold text-purple-500">Todo App</h1>
+        <div className="container mx-auto p-4 bg-gray-100 dark:bg-gray-900 min-h-screen">
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <div className="flex flex-wrap items-center gap-4">
+              <h1 className="text-3xl font-bold text-accent-600 dark:text-accent-300">Todo App</h1>
+              <div className="flex gap-2">
+                <select
+                  className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg font-bold"
+                  aria-label="Board"
+                  value={activeBoard.id}
+                  onChange={(e) => switchBoard(e.target.value)}
+                >
+                  {boards.map((board) => (
+                    <option key={board.id} value={board.id}>
+                      {board.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                  onClick={() => setShowBoards(true)}
+                >
+                  Boards
+                </button>
+              </div>
+              {overdueCount > 0 && (
+                <button
+                  className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-1 px-3 rounded-full"
+                  title="Show overdue tasks"
+                  onClick={() => setFilters({ ...filters, due: 'overdue' })}
+                >
+                  {overdueCount} overdue
+                </button>
+              )}
+              <SyncStatus sync={syncStatus} onSync={() => remoteSyncRef.current.syncNow()} />
               <div className="flex gap-2">
                 <button
                   className={`bg-gray-500 text-white font-bold py-2 px-4 rounded-lg ${
-                    currentPosition === 0 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
+                    !canUndo ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
                   }`}
                   onClick={undo}
-                  disabled={currentPosition === 0}
+                  disabled={!canUndo}
+                  title="Undo (Ctrl+Z)"
                 >
                   Undo
                 </button>
                 <button
                   className={`bg-gray-500 text-white font-bold py-2 px-4 rounded-lg ${
-                    currentPosition === history.length - 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
+                    !canRedo ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
                   }`}
                   onClick={redo}
-                  disabled={currentPosition === history.length - 1}
+                  disabled={!canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
                 >
                   Redo
                 </button>
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                  onClick={() => setShowHistory(!showHistory)}
+                >
+                  History
+                </button>
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                  onClick={() => setShowPalette(true)}
+                  title="Command palette (Ctrl+K)"
+                >
+                  Commands
+                </button>
               </div>
             </div>
-            <button
-              className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg"
-              onClick={() => openModal()}
-            >
-              Add Task
-            </button>
+            <div className="flex flex-wrap gap-2">
+              {notificationPermission === 'default' && (
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                  onClick={enableReminders}
+                >
+                  Enable Reminders
+                </button>
+              )}
+              {view === 'board' && (
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                  onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+                  aria-pressed={selecting}
+                >
+                  Select
+                </button>
+              )}
+              <button
+                className={`bg-gray-500 text-white font-bold py-2 px-4 rounded-lg ${
+                  completedCount === 0 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
+                }`}
+                onClick={clearCompleted}
+                disabled={completedCount === 0}
+                title="Delete every completed task"
+              >
+                Clear Completed
+              </button>
+              <button
+                className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                onClick={() => setShowCategories(true)}
+              >
+                Categories
+              </button>
+              <button
+                className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                onClick={() => setShowImport(true)}
+              >
+                Import
+              </button>
+              <ExportMenu todos={todos.filter((todo) => !todo.deletedAt)} />
+              <button
+                className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+                onClick={() => setShowPreferences(true)}
+              >
+                Preferences
+              </button>
+              <button
+                className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-2 px-4 rounded-lg"
+                onClick={() => openModal()}
+              >
+                Add Task
+              </button>
+            </div>
+            <QuickAdd categories={categories} now={now} onAdd={quickAdd} />
           </div>
           
-          {/* Priority columns layout */}
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {/* High Priority Column */}
-            <div>
-              <div className="space-y-4">
-                {groupedAndSortedTodos.high.map((todo) => (
-                  <div
-                    key={todo.id}
-                    className={`bg-white p-4 rounded-lg shadow-md hover:shadow-lg transition duration-300 cursor-pointer ${
-                      todo.completed ? 'bg-green-200' : ''
-                    } relative`}
-                    onClick={() => openModal(todo)}
-                  >
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={todo.completed}
-                          onChange={() => toggleComplete(todo.id)}
-                          onClick={(e) => e.stopPropagation()}
-                          className="mr-2"
-                        />
-                        <h2 className="text-xl font-bold text-purple-600">
-                          {todo.title.substring(0, 25)}
-                          {todo.title.length > 25 && '...'}
-                        </h2>
-                      </div>
-                      <span
-                        className={`px-2 py-1 text-xs font-bold rounded-full ${
-                          todo.priority === 'high'
-                            ? 'bg-red-100 text-red-800'
-                            : todo.priority === 'medium'
-                            ? 'bg-yellow-100 text-yellow-800'
-                            : 'bg-blue-100 text-blue-800'
-                        }`}
-                      >
-                        {todo.priority.charAt(0).toUpperCase() + todo.priority.slice(1)}
-                      </span>
-                    </div>
-                    <p className="text-gray-600 mb-2">
-                      {todo.body.substring(0, 150)}
-                      {todo.body.length > 150 && '...'}
-                    </p>
-                    <p className="mt-2">
-                      <span className="font-semibold">Category:</span> {todo.category}
-                    </p>
-                    <p className="mb-4">
-                      <span className="font-semibold">Due Date:</span> {todo.dueDate}
-                    </p>
-                    <div className="absolute bottom-2 right-2">
-                      {todo.completed && (
-                        <span className="text-green-600 font-bold mr-2">Complete</span>
-                      )}
-                      <button
-                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          deleteTodo(todo.id);
-                        }}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </div>
-                ))}
+          {/* New version available */}
+          {pendingUpdate && (
+            <div className="flex justify-between items-center bg-accent-100 dark:bg-accent-800 text-accent-800 dark:text-accent-100 p-4 rounded-lg mb-4" role="status">
+              <p>A new version of the app is available.</p>
+              <div className="flex gap-2 ml-4">
+                <button
+                  className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-1 px-2 rounded-lg"
+                  onClick={() => applyUpdate(pendingUpdate)}
+                >
+                  Reload
+                </button>
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                  onClick={() => setPendingUpdate(null)}
+                >
+                  Later
+                </button>
               </div>
             </div>
+          )}
 
-            {/* Medium Priority Column */}
-            <div>
-              <div className="space-y-4">
-                {groupedAndSortedTodos.medium.map((todo) => (
-                  <div
-                    key={todo.id}
-                    className={`bg-white p-4 rounded-lg shadow-md hover:shadow-lg transition duration-300 cursor-pointer ${
-                      todo.completed ? 'bg-green-200' : ''
-                    } relative`}
-                    onClick={() => openModal(todo)}
-                  >
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={todo.completed}
-                          onChange={() => toggleComplete(todo.id)}
-                          onClick={(e) => e.stopPropagation()}
-                          className="mr-2"
-                        />
-                        <h2 className="text-xl font-bold text-purple-600">
-                          {todo.title.substring(0, 25)}
-                          {todo.title.length > 25 && '...'}
-                        </h2>
-                      </div>
-                      <span
-                        className={`px-2 py-1 text-xs font-bold rounded-full ${
-                          todo.priority === 'high'
-                            ? 'bg-red-100 text-red-800'
-                            : todo.priority === 'medium'
-                            ? 'bg-yellow-100 text-yellow-800'
-                            : 'bg-blue-100 text-blue-800'
-                        }`}
-                      >
-                        {todo.priority.charAt(0).toUpperCase() + todo.priority.slice(1)}
-                      </span>
-                    </div>
-                    <p className="text-gray-600 mb-2">
-                      {todo.body.substring(0, 150)}
-                      {todo.body.length > 150 && '...'}
-                    </p>
-                    <p className="mt-2">
-                      <span className="font-semibold">Category:</span> {todo.category}
-                    </p>
-                    <p className="mb-4">
-                      <span className="font-semibold">Due Date:</span> {todo.dueDate}
-                    </p>
-                    <div className="absolute bottom-2 right-2">
-                      {todo.completed && (
-                        <span className="text-green-600 font-bold mr-2">Complete</span>
-                      )}
-                      <button
-                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          deleteTodo(todo.id);
-                        }}
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </div>
-                ))}
+          {/* Storage errors */}
+          {storageError && (
+            <div className="flex justify-between items-center bg-red-100 text-red-800 p-4 rounded-lg mb-4" role="alert">
+              <p>{storageError}</p>
+              <button
+                className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg ml-4"
+                onClick={() => setStorageError(null)}
+              >
+                Dismiss
+              </button>
+            </div>
+          )}
+
+          {/* Conflicts with other tabs */}
+          <ConflictBanner conflicts={conflicts} onResolve={resolveConflict} />
+
+          {/* Filter bar */}
+          <FilterBar
+            filters={filters}
+            onChange={setFilters}
+            categories={categories}
+            tags={tags}
+            matchCount={filteredTodos.length}
+            totalCount={activeTodos.length}
+            searchInputRef={searchInputRef}
+          />
+
+          {/* View switcher */}
+          <div className="flex gap-1 mb-4" role="group" aria-label="View">
+            {VIEWS.map((option) => (
+              <button
+                key={option.value}
+                className={`font-bold py-2 px-4 rounded-lg ${
+                  view === option.value
+                    ? 'bg-accent-600 text-white'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+                aria-pressed={view === option.value}
+                onClick={() => {
+                  setView(option.value);
+                  stopSelecting();
+                }}
+              >
+                {option.label}
+                {option.value === 'trash' && trashedTodos.length > 0 && ` (${trashedTodos.length})`}
+              </button>
+            ))}
+          </div>
+
+          {/* Batch actions on the selected tasks */}
+          {selecting && (
+            <BulkActionBar
+              count={selection.length}
+              categories={categories}
+              onComplete={completeSelected}
+              onArchive={archiveSelected}
+              onDelete={deleteSelected}
+              onUpdate={updateSelected}
+              onSelectNone={() => setSelectedIds([])}
+              onClose={stopSelecting}
+            />
+          )}
+
+          {/* Archive */}
+          {view === 'archive' && (
+            <ArchiveView
+              todos={archivedTodos.filter((todo) => matchesFilters(todo, filters, now))}
+              query={filters.query}
+              onUnarchive={unarchiveTodosById}
+              onDelete={trashTodos}
+            />
+          )}
+
+          {/* Trash */}
+          {view === 'trash' && (
+            <TrashView
+              todos={trashedTodos}
+              retentionDays={settings.trashRetentionDays}
+              now={now}
+              onRetentionChange={(trashRetentionDays) => setSettings({ ...settings, trashRetentionDays })}
+              onRestore={restoreTodos}
+              onPurge={purgeTodos}
+            />
+          )}
+
+          {/* Statistics */}
+          {view === 'stats' && (
+            <StatsView todos={todos.filter((todo) => !todo.deletedAt)} categories={categories} now={now} />
+          )}
+
+          {/* Calendar and agenda views */}
+          {(view === 'month' || view === 'agenda') && (
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+              <div className="lg:col-span-3">
+                <CalendarView
+                  view={view}
+                  todos={filteredTodos}
+                  categories={categories}
+                  now={now}
+                  onOpen={openModal}
+                  onReschedule={rescheduleTodoTo}
+                />
               </div>
+              <UnscheduledTray
+                todos={filteredTodos}
+                categories={categories}
+                now={now}
+                onOpen={openModal}
+                onReschedule={rescheduleTodoTo}
+              />
             </div>
+          )}
 
-            {/* Low Priority Column */}
-            <div>
-              <div className="space-y-4">
-                {groupedAndSortedTodos.low.map((todo) => (
-                  <div
-                    key={todo.id}
-                    className={`bg-white p-4 rounded-lg shadow-md hover:shadow-lg transition duration-300 cursor-pointer ${
-                      todo.completed ? 'bg-green-200' : ''
-                    } relative`}
-                    onClick={() => openModal(todo)}
-                  >
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={todo.completed}
-                          onChange={() => toggleComplete(todo.id)}
-                          onClick={(e) => e.stopPropagation()}
-                          className="mr-2"
-                        />
-                        <h2 className="text-xl font-bold text-purple-600">
-                          {todo.title.substring(0, 25)}
-                          {todo.title.length > 25 && '...'}
-                        </h2>
-                      </div>
-                      <span
-                        className={`px-2 py-1 text-xs font-bold rounded-full ${
-                          todo.priority === 'high'
-                            ? 'bg-red-100 text-red-800'
-                            : todo.priority === 'medium'
-                            ? 'bg-yellow-100 text-yellow-800'
-                            : 'bg-blue-100 text-blue-800'
-                        }`}
-                      >
-                        {todo.priority.charAt(0).toUpperCase() + todo.priority.slice(1)}
-                      </span>
-                    </div>
-                    <p className="text-gray-600 mb-2">
-                      {todo.body.substring(0, 150)}
-                      {todo.body.length > 150 && '...'}
-                    </p>
-                    <p className="mt-2">
-                      <span className="font-semibold">Category:</span> {todo.category}
-                    </p>
-                    <p className="mb-4">
-                      <span className="font-semibold">Due Date:</span> {todo.dueDate}
-                    </p>
-                    <div className="absolute bottom-2 right-2">
-                      {todo.completed && (
-                        <span className="text-green-600 font-bold mr-2">Complete</span>
-                      )}
+          {/* Priority columns layout */}
+          {view === 'board' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {PRIORITIES.map((priority) => (
+                <section
+                  key={priority}
+                  aria-labelledby={`column-${priority}`}
+                  className={`min-h-[8rem] pb-8 rounded-lg ${
+                    dropTarget === priority ? 'ring-2 ring-accent-300' : ''
+                  }`}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    setDropTarget(priority);
+                  }}
+                  onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) {
+                      setDropTarget(null);
+                    }
+                  }}
+                  onDrop={(e) => handleDrop(e, priority)}
+                >
+                  <div className="flex justify-between items-center mb-2">
+                    <h2 id={`column-${priority}`} className="text-lg font-bold text-gray-700 dark:text-gray-200">
+                      {priority.charAt(0).toUpperCase() + priority.slice(1)} Priority
+                    </h2>
+                    {selecting && groupedAndSortedTodos[priority].length > 0 && (
                       <button
-                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          deleteTodo(todo.id);
-                        }}
+                        className="text-sm text-accent-600 dark:text-accent-300 hover:underline"
+                        onClick={() => toggleColumnSelected(priority)}
                       >
-                        Delete
+                        {groupedAndSortedTodos[priority].every((todo) => selection.includes(todo.id))
+                          ? 'Deselect all'
+                          : 'Select all'}
                       </button>
-                    </div>
+                    )}
                   </div>
-                ))}
-              </div>
+                  <div className="space-y-4">
+                    {groupedAndSortedTodos[priority].map((todo) => (
+                      <TodoCard
+                        key={todo.id}
+                        todo={todo}
+                        categories={categories}
+                        query={filters.query}
+                        now={now}
+                        titleLength={settings.titleLength}
+                        bodyLength={settings.bodyLength}
+                        focused={focusedId === todo.id}
+                        onFocus={setFocusedId}
+                        selecting={selecting}
+                        selected={selection.includes(todo.id)}
+                        onSelect={toggleSelected}
+                        onOpen={openModal}
+                        onToggle={toggleComplete}
+                        onDelete={deleteTodo}
+                        onArchive={(id) => archiveTodosById([id])}
+                        onMove={moveTodoTo}
+                        onShift={shiftTodoBy}
+                        boards={otherBoards}
+                        onMoveToBoard={(id, boardId) => moveToBoard([id], boardId)}
+                        onDrop={(e) => handleDrop(e, priority, todo.id)}
+                        onSkip={skipOccurrence}
+                        onToggleTimer={toggleTimer}
+                        onFilter={(changes) => setFilters({ ...filters, ...changes })}
+                      />
+                    ))}
+                  </div>
+                </section>
+              ))}
             </div>
-          </div>
+          )}
 
           {/* Modal */}
           <Modal
@@ -384,6 +1472,84 @@ import Modal from './Modal';
             onClose={closeModal}
             onSubmit={handleSave}
             initialTodo={selectedTodo}
+            categories={categories}
+            tags={tags}
+            draft={drafts[draftKey] || null}
+            onDraftChange={updateDraft}
+            boards={boardList(boards)}
+            boardId={activeBoard.id}
+          />
+
+          {/* Import dialog */}
+          <ImportDialog
+            isOpen={showImport}
+            todos={todos}
+            otherBoardIds={boardTodos(otherBoards).map((todo) => todo.id)}
+            onImport={importTodos}
+            onClose={() => setShowImport(false)}
+          />
+
+          {/* Category manager */}
+          <CategoryManager
+            isOpen={showCategories}
+            categories={categories}
+            todos={allTodos}
+            onChange={setCategories}
+            onDelete={deleteCategory}
+            onClose={() => setShowCategories(false)}
+          />
+
+          {/* Board manager */}
+          <BoardManager
+            isOpen={showBoards}
+            boards={boards}
+            activeBoardId={activeBoard.id}
+            onChange={setBoards}
+            onDelete={deleteBoard}
+            onClose={() => setShowBoards(false)}
+          />
+
+          {/* Preferences */}
+          <PreferencesPanel
+            isOpen={showPreferences}
+            settings={settings}
+            onChange={(changes) => setSettings({ ...settings, ...changes })}
+            onClose={() => setShowPreferences(false)}
+          />
+
+          {/* Command palette */}
+          <CommandPalette
+            isOpen={showPalette}
+            commands={commands}
+            todos={activeTodos}
+            onOpenTodo={openModal}
+            onClose={() => setShowPalette(false)}
+          />
+
+          {/* Keyboard shortcuts */}
+          <ShortcutHelp isOpen={showShortcuts} onClose={() => setShowShortcuts(false)} />
+
+          {/* Screen reader announcements */}
+          <div className="sr-only" role="status" aria-live="polite">
+            {announcement && <p key={announcement.id}>{announcement.message}</p>}
+          </div>
+
+          {/* Undo toast */}
+          <Toast
+            toast={toast}
+            onAction={() => {
+              undoDeletion(toast);
+              setToast(null);
+            }}
+            onDismiss={() => setToast(null)}
+          />
+
+          {/* History timeline */}
+          <HistoryTimeline
+            isOpen={showHistory}
+            history={history}
+            onJump={jumpToHistory}
+            onClose={() => setShowHistory(false)}
           />
         </div>
       );
@@ -0,0 +1,62 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { screen, fireEvent, cleanup, waitFor, within } from '@testing-library/react';
+import { TODO, renderApp } from './testUtils';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+describe('App', () => {
+  const status = () => screen.getByRole('status');
+
+  it('moves a task to another board, and carries it back on undo', () => {
+    renderApp([TODO]);
+    fireEvent.change(screen.getByRole('combobox', { name: "Move 'Write report' to another board" }), {
+      target: { value: 'errands' },
+    });
+    expect(status().textContent).toBe("Moved 'Write report' to 'Errands'");
+    expect(screen.queryByRole('article', { name: 'Write report' })).toBeNull();
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+    expect(screen.getByRole('article', { name: 'Write report' })).toBeTruthy();
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Board' }), { target: { value: 'errands' } });
+    expect(status().textContent).toBe('Switched to Errands');
+    expect(screen.queryByRole('article', { name: 'Write report' })).toBeNull();
+  });
+
+  it('stops timers running on any board when an import brings a running timer', async () => {
+    const start = Date.now() - 60 * 1000;
+    renderApp([{ ...TODO, timeEntries: [{ id: 1, start, end: null }] }]);
+    expect(screen.getByRole('button', { name: "Stop timer on 'Write report'" })).toBeTruthy();
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Board' }), { target: { value: 'errands' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+    const file = new File(
+      [JSON.stringify([{ id: 5, title: 'Call client', timeEntries: [{ id: 1, start, end: null }] }])],
+      'tasks.json',
+      { type: 'application/json' }
+    );
+    fireEvent.change(screen.getByLabelText(/file/i), { target: { files: [file] } });
+    const dialog = screen.getByRole('dialog', { name: 'Import Tasks' });
+    await waitFor(() => expect(dialog.textContent).toContain('valid tasks found'));
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Import' }));
+    expect(screen.getByRole('button', { name: "Stop timer on 'Call client'" })).toBeTruthy();
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Board' }), { target: { value: 'default' } });
+    expect(screen.getByRole('button', { name: "Start timer on 'Write report'" })).toBeTruthy();
+  });
+
+  it('undoes a deletion from the toast on the board it was made on', () => {
+    renderApp([TODO]);
+    fireEvent.click(screen.getByRole('button', { name: "Delete 'Write report'" }));
+    fireEvent.change(screen.getByRole('combobox', { name: 'Board' }), { target: { value: 'errands' } });
+    const toast = screen.getByText("Deleted 'Write report'", { selector: 'span' }).parentElement;
+    fireEvent.click(within(toast).getByRole('button', { name: 'Undo' }));
+    expect(screen.queryByRole('article', { name: 'Write report' })).toBeNull();
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Board' }), { target: { value: 'default' } });
+    expect(screen.getByRole('article', { name: 'Write report' })).toBeTruthy();
+  });
+});
@@ -0,0 +1,52 @@
+import React from 'react';
+import Highlight from './Highlight';
+
+/**
+ * List of archived todos, with actions to return them to the board or delete them.
+ * @param {Object} props - Component props.
+ * @param {Array} props.todos - The archived todos matching the filter bar.
+ * @param {string} props.query - The search query to highlight.
+ * @param {Function} props.onUnarchive - Function called with the ids of the todos to return to the board.
+ * @param {Function} props.onDelete - Function called with the ids of the todos to move to the trash.
+ */
+function ArchiveView({ todos, query, onUnarchive, onDelete }) {
+  const sorted = [...todos].sort((a, b) => b.archivedAt - a.archivedAt);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md mb-4">
+      <h2 className="text-lg font-bold text-gray-700 dark:text-gray-200 mb-4">Archive</h2>
+      {sorted.length ? (
+        <ul className="divide-y">
+          {sorted.map((todo) => (
+            <li key={todo.id} className="flex justify-between items-center gap-2 py-2">
+              <div>
+                <p className={`font-bold ${todo.completed ? 'text-gray-500 dark:text-gray-400 line-through' : 'text-gray-800 dark:text-gray-100'}`}>
+                  <Highlight text={todo.title} query={query} />
+                </p>
+                <p className="text-sm text-gray-600 dark:text-gray-300">Archived {new Date(todo.archivedAt).toLocaleString()}</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                  onClick={() => onUnarchive([todo.id])}
+                >
+                  Unarchive
+                </button>
+                <button
+                  className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+                  onClick={() => onDelete([todo.id])}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 dark:text-gray-400">No archived tasks. Archive completed tasks to keep them off the board.</p>
+      )}
+    </div>
+  );
+}
+
+export default ArchiveView;
@@ -0,0 +1,52 @@
+import React from 'react';
+
+/**
+ * Column chart of one number per period, with the figures repeated in a table for
+ * screen readers.
+ * @param {Object} props - Component props.
+ * @param {string} props.title - The chart title.
+ * @param {Array} props.data - The bars ({ key, label, value }), left to right.
+ */
+function BarChart({ title, data }) {
+  const max = Math.max(1, ...data.map((bar) => bar.value));
+
+  return (
+    <figure className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md">
+      <figcaption className="text-lg font-bold text-gray-700 dark:text-gray-200 mb-4">{title}</figcaption>
+      <div className="flex items-end gap-1 h-40" aria-hidden="true">
+        {data.map((bar) => (
+          <div key={bar.key} className="flex-1 flex flex-col items-center justify-end h-full" title={`${bar.label}: ${bar.value}`}>
+            <span className="text-xs text-gray-600 dark:text-gray-300">{bar.value || ''}</span>
+            <div className="w-full bg-accent-600 rounded-t" style={{ height: `${(bar.value / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1" aria-hidden="true">
+        {data.map((bar, index) => (
+          <span key={bar.key} className="flex-1 text-center text-xs text-gray-600 dark:text-gray-300 truncate">
+            {/* Label every other bar so the dates fit */}
+            {index % 2 === data.length % 2 ? '' : bar.label}
+          </span>
+        ))}
+      </div>
+      <table className="sr-only">
+        <thead>
+          <tr>
+            <th scope="col">Period</th>
+            <th scope="col">Completed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((bar) => (
+            <tr key={bar.key}>
+              <th scope="row">{bar.label}</th>
+              <td>{bar.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+export default BarChart;
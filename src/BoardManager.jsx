@@ -0,0 +1,207 @@
+import React, { useState, useRef } from 'react';
+import { createBoard } from './boards';
+import { currentTodos } from './history';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Dialog for creating, renaming, reordering and deleting boards.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the dialog is open.
+ * @param {Array} props.boards - The boards, each with its history.
+ * @param {string} props.activeBoardId - The id of the board shown.
+ * @param {Function} props.onChange - Function called with the new boards.
+ * @param {Function} props.onDelete - Function called with a board id and the id its tasks move to.
+ * @param {Function} props.onClose - Function to close the dialog.
+ */
+function BoardManager({ isOpen, boards, activeBoardId, onChange, onDelete, onClose }) {
+  const [newName, setNewName] = useState('');
+  // Board being deleted, and the board its tasks move to
+  const [deletingId, setDeletingId] = useState(null);
+  const [replacementId, setReplacementId] = useState('');
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, isOpen, onClose);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  /**
+   * Adds a board with the typed name.
+   */
+  const addBoard = () => {
+    if (!newName.trim()) {
+      return;
+    }
+    onChange([...boards, createBoard(boards, newName)]);
+    setNewName('');
+  };
+
+  /**
+   * Renames a board.
+   * @param {string} id - The board id.
+   * @param {string} name - The new name.
+   */
+  const renameBoard = (id, name) => {
+    onChange(boards.map((board) => (board.id === id ? { ...board, name } : board)));
+  };
+
+  /**
+   * Moves a board one place up or down the list.
+   * @param {number} index - The board's position.
+   * @param {number} offset - -1 to move up, 1 to move down.
+   */
+  const moveBoard = (index, offset) => {
+    const reordered = [...boards];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    onChange(reordered);
+  };
+
+  /**
+   * Starts deleting a board, proposing the first other board for its tasks.
+   * @param {string} id - The board id.
+   */
+  const startDelete = (id) => {
+    setDeletingId(id);
+    setReplacementId(boards.find((board) => board.id !== id).id);
+  };
+
+  /**
+   * Deletes the board, moving its tasks to the chosen replacement.
+   */
+  const confirmDelete = () => {
+    onDelete(deletingId, replacementId);
+    setDeletingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-40">
+      <div
+        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg max-h-screen overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="board-manager-title"
+        ref={dialogRef}
+      >
+        <h2 id="board-manager-title" className="text-2xl font-bold mb-4">Boards</h2>
+        <ul className="space-y-2 mb-4">
+          {boards.map((board, index) => {
+            const count = currentTodos(board.history).filter((todo) => !todo.deletedAt).length;
+            return (
+              <li key={board.id}>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    className={`border border-gray-400 dark:border-gray-500 p-1 flex-grow rounded-lg ${
+                      board.id === activeBoardId ? 'font-bold' : ''
+                    }`}
+                    aria-label="Board name"
+                    value={board.name}
+                    onChange={(e) => renameBoard(board.id, e.target.value)}
+                  />
+                  <span className="text-sm text-gray-600 dark:text-gray-300 w-16 text-right">
+                    {count} {count === 1 ? 'task' : 'tasks'}
+                  </span>
+                  <button
+                    className={`bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 font-bold py-1 px-2 rounded-lg ${
+                      index === 0 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-300 dark:hover:bg-gray-600'
+                    }`}
+                    aria-label={`Move '${board.name}' up`}
+                    title="Move up"
+                    onClick={() => moveBoard(index, -1)}
+                    disabled={index === 0}
+                  >
+                    {'\u2191'}
+                  </button>
+                  <button
+                    className={`bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 font-bold py-1 px-2 rounded-lg ${
+                      index === boards.length - 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-300 dark:hover:bg-gray-600'
+                    }`}
+                    aria-label={`Move '${board.name}' down`}
+                    title="Move down"
+                    onClick={() => moveBoard(index, 1)}
+                    disabled={index === boards.length - 1}
+                  >
+                    {'\u2193'}
+                  </button>
+                  <button
+                    className={`bg-red-600 text-white font-bold py-1 px-2 rounded-lg ${
+                      boards.length === 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-red-700'
+                    }`}
+                    aria-label={`Delete '${board.name}'`}
+                    onClick={() => startDelete(board.id)}
+                    disabled={boards.length === 1}
+                  >
+                    Delete
+                  </button>
+                </div>
+                {deletingId === board.id && (
+                  <div className="flex flex-wrap items-center gap-2 mt-2 p-2 bg-red-50 dark:bg-red-900 rounded-lg text-sm">
+                    Move its tasks to
+                    <select
+                      className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+                      aria-label="Board its tasks move to"
+                      value={replacementId}
+                      onChange={(e) => setReplacementId(e.target.value)}
+                    >
+                      {boards
+                        .filter((item) => item.id !== board.id)
+                        .map((item) => (
+                          <option key={item.id} value={item.id}>
+                            {item.name}
+                          </option>
+                        ))}
+                    </select>
+                    <button
+                      className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+                      onClick={confirmDelete}
+                    >
+                      Delete
+                    </button>
+                    <button
+                      className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                      onClick={() => setDeletingId(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            className="border border-gray-400 dark:border-gray-500 p-2 flex-grow rounded-lg"
+            placeholder="New board"
+            aria-label="New board name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                addBoard();
+              }
+            }}
+          />
+          <button
+            className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={addBoard}
+          >
+            Add
+          </button>
+        </div>
+        <div className="flex justify-end">
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BoardManager;
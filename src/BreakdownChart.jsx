@@ -0,0 +1,71 @@
+import React from 'react';
+
+/**
+ * Horizontal bars splitting each group's todos into done and open, with the figures
+ * repeated in a table for screen readers.
+ * @param {Object} props - Component props.
+ * @param {string} props.title - The chart title.
+ * @param {Array} props.data - The groups ({ key, label, open, done }), top to bottom.
+ */
+function BreakdownChart({ title, data }) {
+  const max = Math.max(1, ...data.map((group) => group.open + group.done));
+
+  return (
+    <figure className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md">
+      <figcaption className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <span className="text-lg font-bold text-gray-700 dark:text-gray-200">{title}</span>
+        <span className="flex gap-3 text-xs text-gray-600 dark:text-gray-300" aria-hidden="true">
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm bg-green-600" /> Done
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-3 w-3 rounded-sm bg-gray-300 dark:bg-gray-600" /> Open
+          </span>
+        </span>
+      </figcaption>
+      <div className="space-y-2" aria-hidden="true">
+        {data.map((group) => (
+          <div key={group.key} className="flex items-center gap-2">
+            <span className="w-24 text-sm text-gray-700 dark:text-gray-200 truncate">{group.label}</span>
+            <div className="flex-1 flex h-4">
+              <div
+                className="bg-green-600 rounded-l"
+                style={{ width: `${(group.done / max) * 100}%` }}
+                title={`${group.done} done`}
+              />
+              <div
+                className="bg-gray-300 dark:bg-gray-600 rounded-r"
+                style={{ width: `${(group.open / max) * 100}%` }}
+                title={`${group.open} open`}
+              />
+            </div>
+            <span className="w-16 text-right text-sm text-gray-600 dark:text-gray-300">
+              {group.done}/{group.open + group.done}
+            </span>
+          </div>
+        ))}
+        {!data.length && <p className="text-sm text-gray-500 dark:text-gray-400">No tasks yet</p>}
+      </div>
+      <table className="sr-only">
+        <thead>
+          <tr>
+            <th scope="col">{title}</th>
+            <th scope="col">Done</th>
+            <th scope="col">Open</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((group) => (
+            <tr key={group.key}>
+              <th scope="row">{group.label}</th>
+              <td>{group.done}</td>
+              <td>{group.open}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+export default BreakdownChart;
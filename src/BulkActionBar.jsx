@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { PRIORITIES } from './ordering';
+
+/**
+ * Toolbar shown in selection mode with actions for every selected todo.
+ * @param {Object} props - Component props.
+ * @param {number} props.count - The number of selected todos.
+ * @param {Array} props.categories - The categories to move todos to.
+ * @param {Function} props.onComplete - Function called with true to complete or false to uncomplete.
+ * @param {Function} props.onArchive - Function to archive the selected todos.
+ * @param {Function} props.onDelete - Function to delete the selected todos.
+ * @param {Function} props.onUpdate - Function called with field changes for the selected todos.
+ * @param {Function} props.onSelectNone - Function to clear the selection.
+ * @param {Function} props.onClose - Function to leave selection mode.
+ */
+function BulkActionBar({ count, categories, onComplete, onArchive, onDelete, onUpdate, onSelectNone, onClose }) {
+  const [dueDate, setDueDate] = useState('');
+  const disabled = count === 0;
+  const buttonClass = `bg-gray-500 text-white font-bold py-1 px-2 rounded-lg ${
+    disabled ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700'
+  }`;
+
+  return (
+    <div className="sticky top-0 z-30 flex flex-wrap items-center gap-2 bg-accent-100 dark:bg-accent-800 p-2 rounded-lg mb-4">
+      <span className="font-bold text-accent-800 dark:text-accent-100 mr-2">{count} selected</span>
+      <button className={buttonClass} onClick={() => onComplete(true)} disabled={disabled}>
+        Complete
+      </button>
+      <button className={buttonClass} onClick={() => onComplete(false)} disabled={disabled}>
+        Uncomplete
+      </button>
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+        aria-label="Set priority"
+        value=""
+        onChange={(e) => onUpdate({ priority: e.target.value })}
+        disabled={disabled}
+      >
+        <option value="">Priority...</option>
+        {PRIORITIES.map((priority) => (
+          <option key={priority} value={priority}>
+            {priority.charAt(0).toUpperCase() + priority.slice(1)}
+          </option>
+        ))}
+      </select>
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+        aria-label="Set category"
+        value=""
+        onChange={(e) => onUpdate({ category: e.target.value })}
+        disabled={disabled}
+      >
+        <option value="">Category...</option>
+        {categories.map((category) => (
+          <option key={category.id} value={category.id}>
+            {category.name}
+          </option>
+        ))}
+      </select>
+      <input
+        type="date"
+        className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+        aria-label="Due date"
+        value={dueDate}
+        onChange={(e) => setDueDate(e.target.value)}
+        disabled={disabled}
+      />
+      <button className={buttonClass} onClick={() => onUpdate({ dueDate })} disabled={disabled}>
+        {dueDate ? 'Set Due Date' : 'Clear Due Date'}
+      </button>
+      <button className={buttonClass} onClick={onArchive} disabled={disabled}>
+        Archive
+      </button>
+      <button
+        className={`bg-red-600 text-white font-bold py-1 px-2 rounded-lg ${
+          disabled ? 'opacity-50 cursor-not-allowed' : 'hover:bg-red-700'
+        }`}
+        onClick={onDelete}
+        disabled={disabled}
+      >
+        Delete
+      </button>
+      <div className="flex gap-2 ml-auto">
+        <button className={buttonClass} onClick={onSelectNone} disabled={disabled}>
+          Select None
+        </button>
+        <button
+          className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-1 px-2 rounded-lg"
+          onClick={onClose}
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { COLORS, getCategory } from './categories';
+import { isOverdue } from './due';
+
+/**
+ * Compact, draggable entry for a todo in the calendar, agenda and unscheduled tray.
+ * @param {Object} props - Component props.
+ * @param {Object} props.todo - The todo to show.
+ * @param {Array} props.categories - The categories, for the todo's colour.
+ * @param {Date} props.now - The current time, to mark overdue todos.
+ * @param {Function} props.onOpen - Function to open the todo for editing.
+ */
+function CalendarTodo({ todo, categories, now, onOpen }) {
+  const category = getCategory(categories, todo.category);
+  const overdue = isOverdue(todo, now);
+
+  return (
+    <button
+      type="button"
+      className={`flex items-center gap-1 w-full text-left text-xs font-bold px-2 py-1 rounded-lg hover:opacity-75 ${
+        COLORS[category.color]
+      } ${overdue ? 'border-l-4 border-red-500' : ''} ${todo.completed ? 'line-through opacity-60' : ''}`}
+      title={todo.title}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', String(todo.id));
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onClick={() => onOpen(todo)}
+    >
+      {todo.dueTime && <span className="flex-shrink-0 font-normal">{todo.dueTime}</span>}
+      <span className="truncate">{todo.title}</span>
+    </button>
+  );
+}
+
+export default CalendarTodo;
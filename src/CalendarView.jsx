@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import CalendarTodo from './CalendarTodo';
+import { WEEKDAY_LABELS } from './recurrence';
+import { toDateKey, addDays } from './dates';
+import { monthWeeks, weekDays, groupByDueDate, isToday } from './calendar';
+
+/**
+ * Month calendar or week agenda with todos placed on their due dates. Dropping a
+ * todo on another day reschedules it.
+ * @param {Object} props - Component props.
+ * @param {string} props.view - 'month' for the month grid or 'agenda' for the week list.
+ * @param {Array} props.todos - The todos to place.
+ * @param {Array} props.categories - The categories, for the todo colours.
+ * @param {Date} props.now - The current time.
+ * @param {Function} props.onOpen - Function to open a todo for editing.
+ * @param {Function} props.onReschedule - Function called with a dropped todo's id and its new due date.
+ */
+function CalendarView({ view, todos, categories, now, onOpen, onReschedule }) {
+  // Any date in the month or week being shown
+  const [cursor, setCursor] = useState(() => new Date());
+  // Day currently under a dragged todo
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const groups = groupByDueDate(todos);
+  const days = weekDays(cursor);
+
+  /**
+   * Moves to the previous or next month or week.
+   * @param {number} offset - -1 for back, 1 for forward.
+   */
+  const step = (offset) => {
+    setCursor(
+      view === 'month'
+        ? new Date(cursor.getFullYear(), cursor.getMonth() + offset, 1)
+        : addDays(cursor, offset * 7)
+    );
+  };
+
+  /**
+   * Props that make an element a drop target for one day.
+   * @param {string} dateKey - The day's YYYY-MM-DD key.
+   * @returns {Object} The drag and drop handlers.
+   */
+  const dropProps = (dateKey) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDropTarget(dateKey);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropTarget(null);
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      onReschedule(e.dataTransfer.getData('text/plain'), dateKey);
+    },
+  });
+
+  const title =
+    view === 'month'
+      ? cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+      : `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} \u2013 ${days[6].toLocaleDateString(
+          undefined,
+          { month: 'short', day: 'numeric', year: 'numeric' }
+        )}`;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2 mb-2">
+        <button
+          className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-lg"
+          aria-label={view === 'month' ? 'Previous month' : 'Previous week'}
+          onClick={() => step(-1)}
+        >
+          {'\u2190'}
+        </button>
+        <button
+          className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-lg"
+          onClick={() => setCursor(new Date())}
+        >
+          Today
+        </button>
+        <button
+          className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-lg"
+          aria-label={view === 'month' ? 'Next month' : 'Next week'}
+          onClick={() => step(1)}
+        >
+          {'\u2192'}
+        </button>
+        <h2 className="text-lg font-bold text-gray-700 dark:text-gray-200">{title}</h2>
+      </div>
+
+      {view === 'month' ? (
+        <div className="grid grid-cols-7 gap-1">
+          {WEEKDAY_LABELS.map((label) => (
+            <div key={label} className="text-center text-sm font-bold text-gray-600 dark:text-gray-300">
+              {label}
+            </div>
+          ))}
+          {monthWeeks(cursor)
+            .flat()
+            .map((day) => {
+              const dateKey = toDateKey(day);
+              return (
+                <div
+                  key={dateKey}
+                  className={`min-h-[6rem] p-1 rounded-lg ${
+                    day.getMonth() === cursor.getMonth() ? 'bg-white dark:bg-gray-800' : 'bg-gray-200 dark:bg-gray-700'
+                  } ${dropTarget === dateKey ? 'ring-2 ring-accent-300' : ''}`}
+                  {...dropProps(dateKey)}
+                >
+                  <div
+                    className={`text-sm mb-1 ${isToday(day, now) ? 'font-bold text-accent-600 dark:text-accent-300' : 'text-gray-600 dark:text-gray-300'}`}
+                  >
+                    {day.getDate()}
+                  </div>
+                  <div className="space-y-1">
+                    {(groups[dateKey] || []).map((todo) => (
+                      <CalendarTodo key={todo.id} todo={todo} categories={categories} now={now} onOpen={onOpen} />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {days.map((day) => {
+            const dateKey = toDateKey(day);
+            const dayTodos = groups[dateKey] || [];
+            return (
+              <div
+                key={dateKey}
+                className={`flex gap-4 p-2 bg-white dark:bg-gray-800 rounded-lg ${
+                  dropTarget === dateKey ? 'ring-2 ring-accent-300' : ''
+                }`}
+                {...dropProps(dateKey)}
+              >
+                <div className={`w-24 flex-shrink-0 ${isToday(day, now) ? 'font-bold text-accent-600 dark:text-accent-300' : 'text-gray-700 dark:text-gray-200'}`}>
+                  {day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                </div>
+                <div className="flex-grow space-y-1">
+                  {dayTodos.length ? (
+                    dayTodos.map((todo) => (
+                      <CalendarTodo key={todo.id} todo={todo} categories={categories} now={now} onOpen={onOpen} />
+                    ))
+                  ) : (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Nothing due</p>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarView;
@@ -0,0 +1,194 @@
+import React, { useState, useRef } from 'react';
+import { COLORS, createCategory } from './categories';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Dialog for creating, renaming, recolouring and deleting categories.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the dialog is open.
+ * @param {Array} props.categories - The categories.
+ * @param {Array} props.todos - The todos, to count each category's tasks.
+ * @param {Function} props.onChange - Function called with the new categories.
+ * @param {Function} props.onDelete - Function called with a category id and the id its tasks move to.
+ * @param {Function} props.onClose - Function to close the dialog.
+ */
+function CategoryManager({ isOpen, categories, todos, onChange, onDelete, onClose }) {
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('purple');
+  // Category being deleted, and the category its tasks move to
+  const [deletingId, setDeletingId] = useState(null);
+  const [replacementId, setReplacementId] = useState('');
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, isOpen, onClose);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  /**
+   * Adds a category with the typed name.
+   */
+  const addCategory = () => {
+    if (!newName.trim()) {
+      return;
+    }
+    onChange([...categories, createCategory(categories, newName, newColor)]);
+    setNewName('');
+  };
+
+  /**
+   * Updates one field of a category.
+   * @param {string} id - The category id.
+   * @param {Object} changes - The fields to change.
+   */
+  const updateCategory = (id, changes) => {
+    onChange(categories.map((category) => (category.id === id ? { ...category, ...changes } : category)));
+  };
+
+  /**
+   * Starts deleting a category, proposing the first other category for its tasks.
+   * @param {string} id - The category id.
+   */
+  const startDelete = (id) => {
+    setDeletingId(id);
+    setReplacementId(categories.find((category) => category.id !== id).id);
+  };
+
+  /**
+   * Deletes the category, moving its tasks to the chosen replacement.
+   */
+  const confirmDelete = () => {
+    onDelete(deletingId, replacementId);
+    setDeletingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-40">
+      <div
+        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg max-h-screen overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="category-manager-title"
+        ref={dialogRef}
+      >
+        <h2 id="category-manager-title" className="text-2xl font-bold mb-4">Categories</h2>
+        <ul className="space-y-2 mb-4">
+          {categories.map((category) => {
+            const count = todos.filter((todo) => todo.category === category.id).length;
+            return (
+              <li key={category.id}>
+                <div className="flex items-center gap-2">
+                  <span className={`w-4 h-4 rounded-full ${COLORS[category.color]}`} />
+                  <input
+                    type="text"
+                    className="border border-gray-400 dark:border-gray-500 p-1 flex-grow rounded-lg"
+                    aria-label="Category name"
+                    value={category.name}
+                    onChange={(e) => updateCategory(category.id, { name: e.target.value })}
+                  />
+                  <select
+                    className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+                    aria-label="Category colour"
+                    value={category.color}
+                    onChange={(e) => updateCategory(category.id, { color: e.target.value })}
+                  >
+                    {Object.keys(COLORS).map((color) => (
+                      <option key={color} value={color}>
+                        {color.charAt(0).toUpperCase() + color.slice(1)}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="text-sm text-gray-600 dark:text-gray-300 w-16 text-right">
+                    {count} {count === 1 ? 'task' : 'tasks'}
+                  </span>
+                  <button
+                    className={`bg-red-600 text-white font-bold py-1 px-2 rounded-lg ${
+                      categories.length === 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-red-700'
+                    }`}
+                    onClick={() => startDelete(category.id)}
+                    disabled={categories.length === 1}
+                  >
+                    Delete
+                  </button>
+                </div>
+                {deletingId === category.id && (
+                  <div className="flex flex-wrap items-center gap-2 mt-2 p-2 bg-red-50 dark:bg-red-900 rounded-lg text-sm">
+                    Move its tasks to
+                    <select
+                      className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+                      value={replacementId}
+                      onChange={(e) => setReplacementId(e.target.value)}
+                    >
+                      {categories
+                        .filter((item) => item.id !== category.id)
+                        .map((item) => (
+                          <option key={item.id} value={item.id}>
+                            {item.name}
+                          </option>
+                        ))}
+                    </select>
+                    <button
+                      className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+                      onClick={confirmDelete}
+                    >
+                      Delete
+                    </button>
+                    <button
+                      className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                      onClick={() => setDeletingId(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            className="border border-gray-400 dark:border-gray-500 p-2 flex-grow rounded-lg"
+            placeholder="New category"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                addCategory();
+              }
+            }}
+          />
+          <select
+            className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg"
+            aria-label="New category colour"
+            value={newColor}
+            onChange={(e) => setNewColor(e.target.value)}
+          >
+            {Object.keys(COLORS).map((color) => (
+              <option key={color} value={color}>
+                {color.charAt(0).toUpperCase() + color.slice(1)}
+              </option>
+            ))}
+          </select>
+          <button
+            className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={addCategory}
+          >
+            Add
+          </button>
+        </div>
+        <div className="flex justify-end">
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CategoryManager;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+/**
+ * Small coloured label for a category or tag. Clicking it filters the board.
+ * @param {Object} props - Component props.
+ * @param {string} props.label - The text to show.
+ * @param {string} props.colorClass - The chip's colour classes.
+ * @param {Function} props.onClick - Function called when the chip is clicked.
+ * @param {string} props.title - Tooltip describing what clicking does.
+ */
+function Chip({ label, colorClass, onClick, title }) {
+  return (
+    <button
+      type="button"
+      className={`px-2 py-1 text-xs font-bold rounded-full hover:opacity-75 ${colorClass}`}
+      title={title}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+export default Chip;
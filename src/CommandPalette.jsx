@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useFocusTrap from './useFocusTrap';
+
+// Most tasks listed at once, so the palette stays short
+const MAX_TODO_RESULTS = 8;
+
+/**
+ * Checks whether every word of the query appears in a text.
+ * @param {string} text - The text to search.
+ * @param {Array} words - The lowercase query words.
+ * @returns {boolean} Whether the text matches.
+ */
+function matchesWords(text, words) {
+  const lower = text.toLowerCase();
+  return words.every((word) => lower.includes(word));
+}
+
+/**
+ * Ctrl+K palette that searches the app's commands and tasks and runs the chosen one.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the palette is open.
+ * @param {Array} props.commands - The commands ({ id, label, shortcut, run }).
+ * @param {Array} props.todos - The tasks that can be opened from the palette.
+ * @param {Function} props.onOpenTodo - Function to open a task for editing.
+ * @param {Function} props.onClose - Function to close the palette.
+ */
+function CommandPalette({ isOpen, commands, todos, onOpenTodo, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const dialogRef = useRef(null);
+
+  // Escape is handled by the search box, which also closes the palette on Enter
+  useFocusTrap(dialogRef, isOpen);
+
+  // Start from an empty search each time the palette opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      inputRef.current.focus();
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const results = [
+    ...commands.filter((command) => matchesWords(command.label, words)),
+    ...(words.length
+      ? todos
+          .filter((todo) => matchesWords(`${todo.title} ${todo.body}`, words))
+          .slice(0, MAX_TODO_RESULTS)
+          .map((todo) => ({ id: `todo-${todo.id}`, label: todo.title, hint: 'Task', run: () => onOpenTodo(todo) }))
+      : []),
+  ];
+  const active = Math.min(activeIndex, results.length - 1);
+
+  /**
+   * Closes the palette and runs a result.
+   * @param {Object} result - The chosen command or task.
+   */
+  const runResult = (result) => {
+    onClose();
+    result.run();
+  };
+
+  /**
+   * Handles arrow keys, Enter and Escape in the search box.
+   * @param {KeyboardEvent} event - The key event.
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + results.length) % results.length);
+    } else if (event.key === 'Enter' && results[active]) {
+      event.preventDefault();
+      runResult(results[active]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-start pt-24 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        ref={dialogRef}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          className="w-full p-4 border-b border-gray-300 dark:border-gray-600 rounded-t-lg focus:outline-none"
+          placeholder="Search commands and tasks"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={results[active] ? `command-${results[active].id}` : undefined}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          ref={inputRef}
+        />
+        <ul id="command-palette-results" className="max-h-80 overflow-y-auto py-2" role="listbox">
+          {results.map((result, index) => (
+            <li
+              key={result.id}
+              id={`command-${result.id}`}
+              className={`flex justify-between items-center px-4 py-2 cursor-pointer ${
+                index === active ? 'bg-accent-100 dark:bg-accent-800 text-accent-800 dark:text-accent-100' : 'text-gray-800 dark:text-gray-100'
+              }`}
+              role="option"
+              aria-selected={index === active}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runResult(result)}
+            >
+              <span className="truncate">{result.label}</span>
+              {(result.shortcut || result.hint) && (
+                <span className="text-sm text-gray-500 dark:text-gray-400 ml-4 flex-shrink-0">{result.shortcut || result.hint}</span>
+              )}
+            </li>
+          ))}
+          {!results.length && <li className="px-4 py-2 text-gray-500 dark:text-gray-400">No matching commands or tasks</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -0,0 +1,60 @@
+import React from 'react';
+
+/**
+ * Describes one side of a conflict.
+ * @param {Object} todo - The todo on that side (undefined if it was deleted there).
+ * @returns {string} A short description.
+ */
+function describeSide(todo) {
+  if (!todo) {
+    return 'deleted';
+  }
+  return `'${todo.title}' (${todo.priority}${todo.completed ? ', complete' : ''})`;
+}
+
+/**
+ * Banner listing tasks that were changed differently in this tab and another tab,
+ * with the choice of which version to keep.
+ * @param {Object} props - Component props.
+ * @param {Array} props.conflicts - The open conflicts ({ id, local, remote }).
+ * @param {Function} props.onResolve - Function called with a conflict and whether to use the other tab's version.
+ */
+function ConflictBanner({ conflicts, onResolve }) {
+  if (!conflicts.length) {
+    return null;
+  }
+
+  return (
+    <div className="bg-yellow-100 text-yellow-900 p-4 rounded-lg mb-4" role="alert">
+      <p className="font-bold mb-2">
+        {conflicts.length === 1 ? 'A task was' : `${conflicts.length} tasks were`} changed in
+        another tab at the same time:
+      </p>
+      <ul className="space-y-2">
+        {conflicts.map((conflict) => (
+          <li key={conflict.id} className="flex flex-wrap items-center justify-between gap-2">
+            <span>
+              This tab: {describeSide(conflict.local)}. Other tab: {describeSide(conflict.remote)}.
+            </span>
+            <span className="flex gap-2">
+              <button
+                className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                onClick={() => onResolve(conflict, false)}
+              >
+                Keep this tab's version
+              </button>
+              <button
+                className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-1 px-2 rounded-lg"
+                onClick={() => onResolve(conflict, true)}
+              >
+                Use other tab's version
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ConflictBanner;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, downloadTodos } from './importExport';
+
+/**
+ * Dropdown menu for downloading the todo list in one of the export formats.
+ * @param {Object} props - Component props.
+ * @param {Array} props.todos - The todos to export.
+ */
+function ExportMenu({ todos }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  /**
+   * Downloads the todos in the chosen format and closes the menu.
+   * @param {string} format - One of the EXPORT_FORMATS values.
+   */
+  const handleExport = (format) => {
+    downloadTodos(todos, format);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-40 bg-white dark:bg-gray-800 rounded-lg shadow-lg z-30">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.value}
+              className="block w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 first:rounded-t-lg last:rounded-b-lg"
+              onClick={() => handleExport(format.value)}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { DEFAULT_FILTERS, STATUS_OPTIONS, DUE_OPTIONS, isFiltered } from './filters';
+
+/**
+ * Filter bar with text search and category, status and due date filters.
+ * @param {Object} props - Component props.
+ * @param {Object} props.filters - The current filter state.
+ * @param {Function} props.onChange - Function called with the new filter state.
+ * @param {Array} props.categories - The categories available to filter by.
+ * @param {Array} props.tags - The tags available to filter by.
+ * @param {number} props.matchCount - The number of todos matching the filters.
+ * @param {number} props.totalCount - The total number of todos.
+ * @param {Object} props.searchInputRef - Ref to the search box, so the "/" shortcut can focus it.
+ */
+function FilterBar({ filters, onChange, categories, tags, matchCount, totalCount, searchInputRef }) {
+  /**
+   * Handles input changes and updates the matching filter.
+   * @param {Event} event - The input change event.
+   */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    onChange({ ...filters, [name]: value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <input
+        type="search"
+        className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg flex-grow min-w-[12rem]"
+        name="query"
+        aria-label="Search"
+        placeholder="Search title and body"
+        value={filters.query}
+        onChange={handleInputChange}
+        ref={searchInputRef}
+      />
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg"
+        name="category"
+        aria-label="Category"
+        value={filters.category}
+        onChange={handleInputChange}
+      >
+        <option value="">All categories</option>
+        {categories.map((category) => (
+          <option key={category.id} value={category.id}>
+            {category.name}
+          </option>
+        ))}
+      </select>
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg"
+        name="tag"
+        aria-label="Tag"
+        value={filters.tag}
+        onChange={handleInputChange}
+      >
+        <option value="">All tags</option>
+        {/* Keep a tag from a shared URL selectable even if no task uses it any more */}
+        {(filters.tag && !tags.includes(filters.tag) ? [...tags, filters.tag] : tags).map((tag) => (
+          <option key={tag} value={tag}>
+            #{tag}
+          </option>
+        ))}
+      </select>
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg"
+        name="status"
+        aria-label="Status"
+        value={filters.status}
+        onChange={handleInputChange}
+      >
+        {STATUS_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <select
+        className="border border-gray-400 dark:border-gray-500 p-2 rounded-lg"
+        name="due"
+        aria-label="Due date"
+        value={filters.due}
+        onChange={handleInputChange}
+      >
+        {DUE_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {isFiltered(filters) && (
+        <>
+          <span className="text-sm text-gray-600 dark:text-gray-300">
+            {matchCount} of {totalCount} tasks
+          </span>
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={() => onChange(DEFAULT_FILTERS)}
+          >
+            Clear
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FilterBar;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { splitMatches } from './filters';
+
+/**
+ * Renders text with the parts matching the search query highlighted.
+ * @param {Object} props - Component props.
+ * @param {string} props.text - The text to render.
+ * @param {string} props.query - The search query to highlight.
+ */
+function Highlight({ text, query }) {
+  return (
+    <>
+      {splitMatches(text, query).map((part, index) =>
+        part.match ? (
+          <mark key={index} className="bg-yellow-200 dark:text-gray-900 rounded-sm">
+            {part.text}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{part.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,64 @@
+import React from 'react';
+
+/**
+ * Side panel listing the undo/redo history, newest first, with the option to jump
+ * to any recorded point.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the panel is open.
+ * @param {Object} props.history - The history ({ entries, position }).
+ * @param {Function} props.onJump - Function called with the index of the entry to jump to.
+ * @param {Function} props.onClose - Function to close the panel.
+ */
+function HistoryTimeline({ isOpen, history, onJump, onClose }) {
+  if (!isOpen) {
+    return null;
+  }
+
+  const entries = history.entries
+    .map((entry, index) => ({ ...entry, index }))
+    .reverse();
+
+  return (
+    <aside
+      className="fixed inset-y-0 right-0 w-full max-w-sm bg-white dark:bg-gray-800 shadow-lg p-4 overflow-y-auto z-40"
+      aria-labelledby="history-title"
+    >
+      <div className="flex justify-between items-center mb-4">
+        <h2 id="history-title" className="text-2xl font-bold">History</h2>
+        <button
+          className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+      <ol className="space-y-2">
+        {entries.map((entry) => {
+          const isCurrent = entry.index === history.position;
+          const isUndone = entry.index > history.position;
+          return (
+            <li key={`${entry.index}-${entry.timestamp}`}>
+              <button
+                className={`w-full text-left p-2 rounded-lg border ${
+                  isCurrent
+                    ? 'border-accent-500 bg-accent-100 dark:bg-accent-800'
+                    : 'border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700'
+                } ${isUndone ? 'text-gray-500 dark:text-gray-400' : ''}`}
+                onClick={() => onJump(entry.index)}
+                disabled={isCurrent}
+              >
+                <span className="block font-semibold">{entry.label}</span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(entry.timestamp).toLocaleString()}
+                  {isCurrent && ' (current)'}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </aside>
+  );
+}
+
+export default HistoryTimeline;
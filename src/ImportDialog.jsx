@@ -0,0 +1,209 @@
+import React, { useState, useRef } from 'react';
+import { parseImport, compareImport, applyImport } from './importExport';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Dialog for importing todos from a JSON, CSV or Markdown file, with a preview of
+ * new, duplicate and conflicting tasks and a choice to merge or replace.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the dialog is open.
+ * @param {Array} props.todos - The current todos.
+ * @param {Array} props.otherBoardIds - The ids of the todos on the other boards, which imported todos must not reuse.
+ * @param {Function} props.onImport - Function called with the new todos and a history label.
+ * @param {Function} props.onClose - Function to close the dialog.
+ */
+function ImportDialog({ isOpen, todos, otherBoardIds, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [overwriteConflicts, setOverwriteConflicts] = useState(false);
+  const dialogRef = useRef(null);
+
+  /**
+   * Resets the dialog and closes it.
+   */
+  const handleClose = () => {
+    setFileName('');
+    setResult(null);
+    setError('');
+    setMode('merge');
+    setOverwriteConflicts(false);
+    onClose();
+  };
+
+  /**
+   * Reads and validates the chosen file.
+   * @param {Event} event - The file input change event.
+   */
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    setFileName(file.name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setResult(parseImport(file.name, reader.result));
+        setError('');
+      } catch (parseError) {
+        setResult(null);
+        setError(parseError.message);
+      }
+    };
+    reader.onerror = () => {
+      setResult(null);
+      setError('The file could not be read.');
+    };
+    reader.readAsText(file);
+  };
+
+  /**
+   * Applies the import and closes the dialog.
+   */
+  const handleImport = () => {
+    const newTodos = applyImport(todos, result.todos, mode, overwriteConflicts, otherBoardIds);
+    const count = result.todos.length;
+    onImport(
+      newTodos,
+      `${mode === 'replace' ? 'Replaced list with' : 'Imported'} ${count} ${count === 1 ? 'task' : 'tasks'} from ${fileName}`
+    );
+    handleClose();
+  };
+
+  useFocusTrap(dialogRef, isOpen, handleClose);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const preview = result ? compareImport(todos, result.todos) : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-40">
+      <div
+        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg max-h-screen overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+        ref={dialogRef}
+      >
+        <h2 id="import-dialog-title" className="text-2xl font-bold mb-4">Import Tasks</h2>
+        <div className="mb-4">
+          <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor="import-file">
+            File (JSON, CSV or Markdown)
+          </label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".json,.csv,.md,.markdown,application/json,text/csv,text/markdown"
+            className="w-full"
+            onChange={handleFileChange}
+          />
+        </div>
+
+        {error && <p className="text-red-600 dark:text-red-400 mb-4">{error}</p>}
+
+        {result && (
+          <>
+            <div className="mb-4">
+              <p>
+                <span className="font-semibold">{result.todos.length}</span> valid tasks found
+                in {result.format.toUpperCase()} format.
+              </p>
+              {result.errors.length > 0 && (
+                <div className="mt-2">
+                  <p className="text-red-600 dark:text-red-400 font-semibold">
+                    {result.errors.length} items will be skipped:
+                  </p>
+                  <ul className="list-disc list-inside text-sm text-red-600 dark:text-red-400 max-h-24 overflow-y-auto">
+                    {result.errors.map((message) => (
+                      <li key={message}>{message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            <div className="mb-4">
+              <p className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">Mode</p>
+              <label className="flex items-center mb-1">
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="merge"
+                  checked={mode === 'merge'}
+                  onChange={() => setMode('merge')}
+                  className="mr-2"
+                />
+                Merge into the current list
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="replace"
+                  checked={mode === 'replace'}
+                  onChange={() => setMode('replace')}
+                  className="mr-2"
+                />
+                Replace the current list ({todos.length} tasks)
+              </label>
+            </div>
+
+            {mode === 'merge' && (
+              <div className="mb-4 text-sm">
+                <p>{preview.added.length} new tasks will be added.</p>
+                <p>{preview.duplicates.length} duplicates of existing tasks will be skipped.</p>
+                {preview.conflicts.length > 0 && (
+                  <>
+                    <p className="mt-2 font-semibold">
+                      {preview.conflicts.length} tasks share an id with a different existing task:
+                    </p>
+                    <ul className="list-disc list-inside max-h-24 overflow-y-auto">
+                      {preview.conflicts.map(({ existing, imported }) => (
+                        <li key={existing.id}>
+                          '{existing.title}' (imported as '{imported.title}')
+                        </li>
+                      ))}
+                    </ul>
+                    <label className="flex items-center mt-2">
+                      <input
+                        type="checkbox"
+                        checked={overwriteConflicts}
+                        onChange={(e) => setOverwriteConflicts(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Overwrite these with the imported versions
+                    </label>
+                  </>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mr-2"
+            onClick={handleClose}
+          >
+            Cancel
+          </button>
+          <button
+            className={`bg-accent-600 text-white font-bold py-2 px-4 rounded-lg ${
+              !result || !result.todos.length ? 'opacity-50 cursor-not-allowed' : 'hover:bg-accent-700'
+            }`}
+            onClick={handleImport}
+            disabled={!result || !result.todos.length}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
@@ -1,4 +1,51 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useId } from 'react';
+import RecurrenceFields from './RecurrenceFields';
+import SubtaskList from './SubtaskList';
+import TagInput from './TagInput';
+import TimeLog from './TimeLog';
+import { getCategory } from './categories';
+import { REMINDER_OPTIONS } from './reminders';
+import useFocusTrap from './useFocusTrap';
+import { renderMarkdown } from './markdown';
+import { BODY_MAX_LENGTH, validateTodoForm, needsPastDueConfirmation } from './validation';
+
+// Form state for a new todo
+const BLANK_TODO = {
+  title: '',
+  body: '',
+  priority: 'medium',
+  category: 'general',
+  dueDate: '',
+};
+
+// Fields the dialog edits, and so the ones kept in a draft. The time log is left out: the
+// card's timer changes it between visits, so a saved copy would bring back stale entries
+const DRAFT_FIELDS = [
+  'title',
+  'body',
+  'priority',
+  'category',
+  'tags',
+  'dueDate',
+  'dueTime',
+  'reminders',
+  'recurrence',
+  'subtasks',
+  'autoCompleteSubtasks',
+  'boardId',
+  'estimate',
+];
+
+/**
+ * Picks the fields of a todo that differ from the one the dialog opened with.
+ * @param {Object} todo - The form state.
+ * @param {Object} base - The todo the dialog opened with.
+ * @returns {Object|null} The changed fields, or null when nothing changed.
+ */
+function draftChanges(todo, base) {
+  const changed = DRAFT_FIELDS.filter((field) => JSON.stringify(todo[field]) !== JSON.stringify(base[field]));
+  return changed.length ? Object.fromEntries(changed.map((field) => [field, todo[field]])) : null;
+}
 
 /**
  * Modal component for adding or editing a todo.
@@ -7,44 +54,67 @@ import React, { useState, useEffect, useRef } from 'react';
  * @param {Function} props.onClose - Function to close the modal.
  * @param {Function} props.onSubmit - Function to handle saving the todo.
  * @param {Object} props.initialTodo - The initial todo data (null for adding a new todo).
+ * @param {Array} props.categories - The categories to choose from.
+ * @param {Array} props.tags - Every tag in use, for autocomplete.
+ * @param {Object|null} props.draft - Unsaved changes left from the last time this todo was open.
+ * @param {Function} props.onDraftChange - Function called with the unsaved changes, or null when there are none.
+ * @param {Array} props.boards - The boards ({ id, name }) the todo can be saved on.
+ * @param {string} props.boardId - The id of the board shown, where a new todo goes by default.
  */
-function Modal({ isOpen, onClose, onSubmit, initialTodo }) {
-  const [todo, setTodo] = useState(
-    initialTodo || {
-      title: '',
-      body: '',
-      priority: 'medium',
-      category: 'general',
-      dueDate: '',
-    }
-  );
-  const modalRef = useRef(null);
-  const firstFocusableElementRef = useRef(null);
+function Modal({
+  isOpen,
+  onClose,
+  onSubmit,
+  initialTodo,
+  categories,
+  tags,
+  draft,
+  onDraftChange,
+  boards,
+  boardId,
+}) {
+  const [todo, setTodo] = useState(initialTodo || BLANK_TODO);
+  // Whether the form was started from a saved draft
+  const [restoredDraft, setRestoredDraft] = useState(false);
+  // Errors are shown once the user has tried to save
+  const [showErrors, setShowErrors] = useState(false);
+  // Set when the user has been warned that the due date is in the past
+  const [pastDueWarned, setPastDueWarned] = useState(false);
+  const [previewBody, setPreviewBody] = useState(false);
+  const dialogRef = useRef(null);
+  // Prefix for the ids that tie each label to its field
+  const id = useId();
+
+  const base = initialTodo || BLANK_TODO;
 
+  // Start from the todo, or from its draft, each time the dialog opens
   useEffect(() => {
-    if (initialTodo) {
-      setTodo(initialTodo);
-    } else {
-      setTodo({
-        title: '',
-        body: '',
-        priority: 'medium',
-        category: 'general',
-        dueDate: '',
-      });
+    if (isOpen) {
+      // Drafts saved before the time log was left out of them still carry it, so it is skipped
+      const { timeEntries, ...changes } = draft || {};
+      setTodo(draft ? { ...base, ...changes } : base);
+      setRestoredDraft(Boolean(draft) && Object.keys(changes).length > 0);
+      setShowErrors(false);
+      setPastDueWarned(false);
+      setPreviewBody(false);
     }
-  }, [initialTodo]);
+  }, [isOpen, initialTodo]);
 
-  useEffect(() => {
-    if (isOpen && firstFocusableElementRef.current) {
-      firstFocusableElementRef.current.focus();
+  const errors = validateTodoForm(todo);
+  const visibleErrors = showErrors ? errors : {};
+
+  /**
+   * Updates the form and keeps the draft in step with it.
+   * @param {Object} changes - The fields to change.
+   */
+  const changeTodo = (changes) => {
+    const newTodo = { ...todo, ...changes };
+    setTodo(newTodo);
+    onDraftChange(draftChanges(newTodo, base));
+    if ('dueDate' in changes || 'dueTime' in changes) {
+      setPastDueWarned(false);
     }
-    return () => {
-      if (modalRef.current) {
-        modalRef.current.focus();
-      }
-    };
-  }, [isOpen]);
+  };
 
   /**
    * Handles input changes and updates the todo state.
@@ -52,68 +122,189 @@ function Modal({ isOpen, onClose, onSubmit, initialTodo }) {
    */
   const handleInputChange = (event) => {
     const { name, value, type } = event.target;
-    setTodo({ ...todo, [name]: type === 'checkbox' ? event.target.checked : value });
+    changeTodo({ [name]: type === 'checkbox' ? event.target.checked : value });
   };
 
   /**
-   * Handles the form submission and calls the onSubmit function.
+   * Throws away the draft and goes back to the saved todo.
+   */
+  const discardDraft = () => {
+    setTodo(base);
+    setRestoredDraft(false);
+    setShowErrors(false);
+    setPastDueWarned(false);
+    onDraftChange(null);
+  };
+
+  /**
+   * Turns one reminder offset on or off.
+   * @param {number} offset - Minutes before the due time.
+   * @param {boolean} enabled - Whether the reminder should be set.
+   */
+  const toggleReminder = (offset, enabled) => {
+    const reminders = (todo.reminders || []).filter((value) => value !== offset);
+    changeTodo({ reminders: enabled ? [...reminders, offset].sort((a, b) => a - b) : reminders });
+  };
+
+  /**
+   * Validates the form and calls the onSubmit function. A due date in the past is
+   * saved only on the second attempt, after the warning has been shown.
    */
   const handleSubmit = () => {
-    onSubmit(todo);
-    setTodo({
-      title: '',
-      body: '',
-      priority: 'medium',
-      category: 'general',
-      dueDate: '',
-    });
+    const [firstInvalid] = Object.keys(errors);
+    if (firstInvalid) {
+      setShowErrors(true);
+      // The body textarea is not rendered while previewing
+      if (firstInvalid === 'body') {
+        setPreviewBody(false);
+      } else {
+        document.getElementById(`${id}-${firstInvalid}`).focus();
+      }
+      return;
+    }
+    if (!pastDueWarned && needsPastDueConfirmation(todo, initialTodo, new Date())) {
+      setPastDueWarned(true);
+      document.getElementById(`${id}-dueDate`).focus();
+      return;
+    }
+    onDraftChange(null);
+    const { estimate, ...rest } = todo;
+    // The estimate is kept in whole minutes, and left off when the field is empty
+    onSubmit({ ...rest, title: todo.title.trim(), ...(estimate !== undefined && { estimate: Math.round(estimate) }) });
   };
 
   /**
-   * Handles closing the modal and resets the todo state if adding a new todo.
+   * Closes the modal. Unsaved changes stay in the draft for next time.
    */
   const handleClose = () => {
     onClose();
   };
 
+  /**
+   * Builds the accessibility attributes that tie a field to its error message.
+   * @param {string} field - The field name.
+   * @returns {Object} The attributes.
+   */
+  const errorProps = (field) =>
+    visibleErrors[field] ? { 'aria-invalid': true, 'aria-describedby': `${id}-${field}-error` } : {};
+
+  /**
+   * Renders a field's error message, if it has one.
+   * @param {string} field - The field name.
+   * @returns {JSX.Element|null} The message.
+   */
+  const errorMessage = (field) =>
+    visibleErrors[field] ? (
+      <p id={`${id}-${field}-error`} className="text-red-700 dark:text-red-400 text-sm mt-1">
+        {visibleErrors[field]}
+      </p>
+    ) : null;
+
+  // Keep focus in the dialog, cancel on Escape, and return focus to the opener on close
+  useFocusTrap(dialogRef, isOpen, handleClose);
+
+  /**
+   * Saves on Enter in a single-line field or Ctrl+Enter anywhere. Fields that use
+   * Enter themselves, such as the subtask and tag inputs, prevent the default.
+   * @param {KeyboardEvent} event - The key event.
+   */
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.defaultPrevented) {
+      const inSingleLineField = event.target.tagName === 'INPUT' && event.target.type !== 'checkbox';
+      if (event.ctrlKey || event.metaKey || inSingleLineField) {
+        event.preventDefault();
+        handleSubmit();
+      }
+    }
+  };
+
   return (
     <>
       {isOpen && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center" ref={modalRef}>
-          <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-md" >
-            <h2 className="text-2xl font-bold mb-4">
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-40">
+          <div
+            className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md max-h-screen overflow-y-auto"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={`${id}-heading`}
+            ref={dialogRef}
+            onKeyDown={handleKeyDown}
+          >
+            <h2 className="text-2xl font-bold mb-4" id={`${id}-heading`}>
               {initialTodo ? 'Edit Task' : 'Add Task'}
             </h2>
+            {restoredDraft && (
+              <div className="flex justify-between items-center bg-accent-100 dark:bg-accent-800 text-accent-800 dark:text-accent-100 p-2 rounded-lg mb-4">
+                <span>Restored your unsaved changes.</span>
+                <button className="font-bold hover:underline" onClick={discardDraft}>
+                  Discard
+                </button>
+              </div>
+            )}
             <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-title`}>
                 Title
               </label>
               <input
                 type="text"
-                className="border border-gray-400 p-2 w-full rounded-lg"
+                className={`border p-2 w-full rounded-lg ${visibleErrors.title ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'}`}
+                id={`${id}-title`}
                 name="title"
                 value={todo.title}
                 onChange={handleInputChange}
-                ref={firstFocusableElementRef}
+                required
+                {...errorProps('title')}
               />
+              {errorMessage('title')}
             </div>
             <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
-                Body
-              </label>
-              <textarea
-                className="border border-gray-400 p-2 w-full rounded-lg"
-                name="body"
-                value={todo.body}
-                onChange={handleInputChange}
-              />
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold" htmlFor={`${id}-body`}>
+                  Body
+                </label>
+                <button
+                  className="text-sm text-accent-700 dark:text-accent-300 hover:underline"
+                  aria-pressed={previewBody}
+                  onClick={() => setPreviewBody(!previewBody)}
+                >
+                  Preview
+                </button>
+              </div>
+              {previewBody ? (
+                <div
+                  className="markdown border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg min-h-[4rem] break-words"
+                  dangerouslySetInnerHTML={{ __html: renderMarkdown(todo.body) }}
+                />
+              ) : (
+                <textarea
+                  className={`border p-2 w-full rounded-lg ${visibleErrors.body ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'}`}
+                  id={`${id}-body`}
+                  name="body"
+                  rows={4}
+                  value={todo.body}
+                  onChange={handleInputChange}
+                  {...errorProps('body')}
+                />
+              )}
+              {errorMessage('body')}
+              <p className="text-gray-600 dark:text-gray-300 text-xs mt-1">
+                Markdown supported: **bold**, _italic_, lists, links and `code`.
+                {todo.body.length > BODY_MAX_LENGTH * 0.9 && ` ${todo.body.length}/${BODY_MAX_LENGTH} characters.`}
+              </p>
             </div>
+            <SubtaskList
+              subtasks={todo.subtasks || []}
+              autoComplete={Boolean(todo.autoCompleteSubtasks)}
+              onChange={(subtasks) => changeTodo({ subtasks })}
+              onAutoCompleteChange={(autoCompleteSubtasks) => changeTodo({ autoCompleteSubtasks })}
+            />
             <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-priority`}>
                 Priority
               </label>
               <select
-                className="border border-gray-400 p-2 w-full rounded-lg"
+                className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+                id={`${id}-priority`}
                 name="priority"
                 value={todo.priority}
                 onChange={handleInputChange}
@@ -124,32 +315,136 @@ function Modal({ isOpen, onClose, onSubmit, initialTodo }) {
               </select>
             </div>
             <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-category`}>
                 Category
               </label>
               <select
-                className="border border-gray-400 p-2 w-full rounded-lg"
+                className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+                id={`${id}-category`}
                 name="category"
                 value={todo.category}
                 onChange={handleInputChange}
               >
-                <option value="general">General</option>
-                <option value="work">Work</option>
-                <option value="personal">Personal</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {category.name}
+                  </option>
+                ))}
+                {/* Keep a category that no longer exists selectable on the todos that use it */}
+                {!categories.some((category) => category.id === todo.category) && (
+                  <option value={todo.category}>{getCategory(categories, todo.category).name}</option>
+                )}
               </select>
             </div>
+            {boards.length > 1 && (
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-boardId`}>
+                  Board
+                </label>
+                <select
+                  className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+                  id={`${id}-boardId`}
+                  name="boardId"
+                  value={todo.boardId || boardId}
+                  onChange={handleInputChange}
+                >
+                  {boards.map((board) => (
+                    <option key={board.id} value={board.id}>
+                      {board.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <TagInput
+              tags={todo.tags || []}
+              suggestions={tags}
+              onChange={(newTags) => changeTodo({ tags: newTags })}
+            />
             <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-dueDate`}>
                 Due Date
               </label>
               <input
                 type="date"
-                className="border border-gray-400 p-2 w-full rounded-lg"
+                className={`border p-2 w-full rounded-lg ${visibleErrors.dueDate ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'}`}
+                id={`${id}-dueDate`}
                 name="dueDate"
                 value={todo.dueDate}
                 onChange={handleInputChange}
+                {...(pastDueWarned ? { 'aria-describedby': `${id}-dueDate-warning` } : errorProps('dueDate'))}
+              />
+              {errorMessage('dueDate')}
+              {pastDueWarned && (
+                <p id={`${id}-dueDate-warning`} className="text-yellow-800 dark:text-yellow-300 text-sm mt-1">
+                  This due date has already passed. Save again to keep it.
+                </p>
+              )}
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-dueTime`}>
+                Due Time
+              </label>
+              <input
+                type="time"
+                className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+                id={`${id}-dueTime`}
+                name="dueTime"
+                value={todo.dueTime || ''}
+                onChange={handleInputChange}
+                disabled={!todo.dueDate}
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-estimate`}>
+                Estimate (hours)
+              </label>
+              <input
+                type="number"
+                className={`border p-2 w-full rounded-lg ${visibleErrors.estimate ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'}`}
+                id={`${id}-estimate`}
+                name="estimate"
+                min="0"
+                step="0.25"
+                value={todo.estimate === undefined ? '' : todo.estimate / 60}
+                onChange={(e) =>
+                  changeTodo({ estimate: e.target.value === '' ? undefined : Number(e.target.value) * 60 })
+                }
+                {...errorProps('estimate')}
               />
+              {errorMessage('estimate')}
             </div>
+            <TimeLog
+              entries={todo.timeEntries || []}
+              id={id}
+              error={visibleErrors.timeEntries}
+              onChange={(timeEntries) => changeTodo({ timeEntries })}
+            />
+            <fieldset className="mb-4">
+              <legend className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">Reminders</legend>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {REMINDER_OPTIONS.map((option) => (
+                  <label
+                    key={option.value}
+                    className={`flex items-center text-sm ${todo.dueDate ? '' : 'text-gray-400'}`}
+                  >
+                    <input
+                      type="checkbox"
+                      className="mr-1"
+                      checked={(todo.reminders || []).includes(option.value)}
+                      onChange={(e) => toggleReminder(option.value, e.target.checked)}
+                      disabled={!todo.dueDate}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <RecurrenceFields
+              recurrence={todo.recurrence}
+              dueDate={todo.dueDate}
+              onChange={(recurrence) => changeTodo({ recurrence })}
+            />
             <div className="flex justify-end">
               <button
                 className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg mr-2"
@@ -158,10 +453,10 @@ function Modal({ isOpen, onClose, onSubmit, initialTodo }) {
                 Cancel
               </button>
               <button
-                className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg"
+                className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-2 px-4 rounded-lg"
                 onClick={handleSubmit}
               >
-                Save
+                {pastDueWarned ? 'Save Anyway' : 'Save'}
               </button>
             </div>
           </div>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { THEMES, ACCENTS, TITLE_LENGTH_RANGE, BODY_LENGTH_RANGE } from './preferences';
+import useFocusTrap from './useFocusTrap';
+
+// Card preview lengths, with the setting each one changes
+const LENGTH_FIELDS = [
+  { key: 'titleLength', label: 'Title length on cards', range: TITLE_LENGTH_RANGE },
+  { key: 'bodyLength', label: 'Body length on cards', range: BODY_LENGTH_RANGE },
+];
+
+/**
+ * Dialog for the theme, the accent colour and how much of each task its card shows.
+ * Changes apply as they are made.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the dialog is open.
+ * @param {Object} props.settings - The current settings.
+ * @param {Function} props.onChange - Function called with the settings to change.
+ * @param {Function} props.onClose - Function to close the dialog.
+ */
+function PreferencesPanel({ isOpen, settings, onChange, onClose }) {
+  // Lengths as typed since the dialog opened, so one can be retyped; only valid ones are saved
+  const [lengths, setLengths] = useState({});
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, isOpen, onClose);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLengths({});
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  /**
+   * Updates a typed length, saving it when it is a whole number in range.
+   * @param {Object} field - The entry from LENGTH_FIELDS.
+   * @param {string} value - The text typed.
+   */
+  const changeLength = (field, value) => {
+    setLengths({ ...lengths, [field.key]: value });
+    const length = Number(value);
+    if (value !== '' && Number.isInteger(length) && length >= field.range.min && length <= field.range.max) {
+      onChange({ [field.key]: length });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-40">
+      <div
+        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md max-h-screen overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="preferences-title"
+        ref={dialogRef}
+      >
+        <h2 id="preferences-title" className="text-2xl font-bold mb-4">Preferences</h2>
+        <fieldset className="mb-4">
+          <legend className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">Theme</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {THEMES.map((theme) => (
+              <label key={theme.value} className="flex items-center text-sm">
+                <input
+                  type="radio"
+                  name="theme"
+                  className="mr-1"
+                  value={theme.value}
+                  checked={settings.theme === theme.value}
+                  onChange={() => onChange({ theme: theme.value })}
+                />
+                {theme.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <fieldset className="mb-4">
+          <legend className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">Accent colour</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {ACCENTS.map((accent) => (
+              <label key={accent.value} className="flex items-center text-sm">
+                <input
+                  type="radio"
+                  name="accent"
+                  className="mr-1"
+                  value={accent.value}
+                  checked={settings.accent === accent.value}
+                  onChange={() => onChange({ accent: accent.value })}
+                />
+                {/* Each swatch takes its colours from its own accent */}
+                <span
+                  data-accent={accent.value}
+                  className="inline-block h-3 w-3 rounded-full bg-accent-600 mr-1"
+                  aria-hidden="true"
+                />
+                {accent.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        {LENGTH_FIELDS.map((field) => {
+          const value = field.key in lengths ? lengths[field.key] : String(settings[field.key]);
+          const valid = value !== '' && Number(value) === settings[field.key];
+          return (
+            <div key={field.key} className="mb-4">
+              <label
+                className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2"
+                htmlFor={`preferences-${field.key}`}
+              >
+                {field.label}
+              </label>
+              <input
+                type="number"
+                className={`border p-2 w-full rounded-lg ${
+                  valid ? 'border-gray-400 dark:border-gray-500' : 'border-red-600'
+                }`}
+                id={`preferences-${field.key}`}
+                min={field.range.min}
+                max={field.range.max}
+                value={value}
+                onChange={(e) => changeLength(field, e.target.value)}
+                aria-invalid={!valid}
+                aria-describedby={`preferences-${field.key}-hint`}
+              />
+              <p
+                id={`preferences-${field.key}-hint`}
+                className={`text-sm mt-1 ${valid ? 'text-gray-600 dark:text-gray-300' : 'text-red-700 dark:text-red-400'}`}
+              >
+                {field.range.min} to {field.range.max} characters.
+                {!valid && ` Showing ${settings[field.key]} until then.`}
+              </p>
+            </div>
+          );
+        })}
+        <div className="flex justify-end">
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PreferencesPanel;
@@ -0,0 +1,29 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { screen, fireEvent, cleanup } from '@testing-library/react';
+import { TODO, renderApp } from './testUtils';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  document.documentElement.className = '';
+});
+
+describe('PreferencesPanel', () => {
+  it('applies the theme and card lengths chosen in the preferences', () => {
+    renderApp([{ ...TODO, title: 'Write the quarterly report for the board' }]);
+    expect(screen.getByRole('heading', { name: 'Write the quarterly repor...' })).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preferences' }));
+    fireEvent.click(screen.getByRole('radio', { name: 'Dark' }));
+    fireEvent.click(screen.getByRole('radio', { name: 'Blue' }));
+    fireEvent.change(screen.getByLabelText('Title length on cards'), { target: { value: '10' } });
+    expect(document.documentElement.classList.contains('dark')).toBe(true);
+    expect(document.documentElement.dataset.accent).toBe('blue');
+    expect(JSON.parse(localStorage.getItem('appearance'))).toEqual({ theme: 'dark', accent: 'blue' });
+    expect(screen.getByRole('heading', { name: 'Write the ...' })).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Title length on cards'), { target: { value: '5' } });
+    expect(screen.getByLabelText('Title length on cards').getAttribute('aria-invalid')).toBe('true');
+    expect(screen.getByRole('heading', { name: 'Write the ...' })).toBeTruthy();
+  });
+});
@@ -0,0 +1,112 @@
+import React, { useState, useId } from 'react';
+import { parseQuickAdd } from './quickAdd';
+import { COLORS, getCategory, tagColor } from './categories';
+import { parseDateKey } from './dates';
+import { validateTodoForm } from './validation';
+
+/**
+ * One-line input for adding a task without the task dialog. The priority, category,
+ * tags and due date are picked out of the text as it is typed, and shown below it.
+ * @param {Object} props - Component props.
+ * @param {Array} props.categories - The categories "#word" can name.
+ * @param {Date} props.now - The current time, for relative dates.
+ * @param {Function} props.onAdd - Function called with the new todo.
+ */
+function QuickAdd({ categories, now, onAdd }) {
+  const [text, setText] = useState('');
+  // The error is shown once the user has tried to add
+  const [showError, setShowError] = useState(false);
+  const id = useId();
+
+  const parsed = parseQuickAdd(text, categories, now);
+  const error = showError ? validateTodoForm({ title: parsed.title, body: '' }).title : null;
+
+  /**
+   * Adds the parsed todo, with the task dialog's defaults for the parts not typed.
+   * @param {Event} event - The form submit event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (validateTodoForm({ title: parsed.title, body: '' }).title) {
+      setShowError(true);
+      return;
+    }
+    onAdd({
+      title: parsed.title,
+      body: '',
+      priority: parsed.priority || 'medium',
+      category: parsed.category || 'general',
+      dueDate: parsed.dueDate || '',
+      ...(parsed.tags.length > 0 && { tags: parsed.tags }),
+    });
+    setText('');
+    setShowError(false);
+  };
+
+  const category = parsed.category && getCategory(categories, parsed.category);
+
+  return (
+    <form className="w-full" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className={`border p-2 flex-grow rounded-lg ${error ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'}`}
+          placeholder="Quick add, e.g. Pay invoice tomorrow !high #work"
+          aria-label="Quick add a task"
+          aria-invalid={Boolean(error)}
+          aria-describedby={`${id}-preview${error ? ` ${id}-error` : ''}`}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setShowError(false);
+          }}
+        />
+        <button
+          type="submit"
+          className="bg-accent-600 hover:bg-accent-700 text-white font-bold py-2 px-4 rounded-lg"
+        >
+          Add
+        </button>
+      </div>
+      {error && (
+        <p id={`${id}-error`} className="text-red-700 dark:text-red-400 text-sm mt-1">
+          {error}
+        </p>
+      )}
+      <div id={`${id}-preview`} className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-700 dark:text-gray-200">
+        {text.trim() && (
+          <>
+            <span className="font-bold">{parsed.title || 'No title yet'}</span>
+            {parsed.dueDate && (
+              <span className="px-2 py-1 text-xs font-bold rounded-full bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100">
+                Due{' '}
+                {parseDateKey(parsed.dueDate).toLocaleDateString(undefined, {
+                  weekday: 'short',
+                  month: 'short',
+                  day: 'numeric',
+                })}
+              </span>
+            )}
+            {parsed.priority && (
+              <span className="px-2 py-1 text-xs font-bold rounded-full bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100">
+                {parsed.priority.charAt(0).toUpperCase() + parsed.priority.slice(1)} priority
+              </span>
+            )}
+            {category && (
+              <span className={`px-2 py-1 text-xs font-bold rounded-full ${COLORS[category.color]}`}>
+                {category.name}
+              </span>
+            )}
+            {parsed.tags.map((tag) => (
+              <span key={tag} className={`px-2 py-1 text-xs font-bold rounded-full ${tagColor(tag)}`}>
+                #{tag}
+              </span>
+            ))}
+          </>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default QuickAdd;
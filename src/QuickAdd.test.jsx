@@ -0,0 +1,20 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { screen, fireEvent, cleanup } from '@testing-library/react';
+import { renderApp } from './testUtils';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+describe('QuickAdd', () => {
+  it('adds the parsed task and clears the bar', () => {
+    renderApp([]);
+    const input = screen.getByLabelText('Quick add a task');
+    fireEvent.change(input, { target: { value: 'Pay invoice !high #work' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    expect(screen.getByRole('status').textContent).toBe("Added 'Pay invoice'");
+    expect(screen.getByRole('region', { name: 'High Priority' }).textContent).toContain('Pay invoice');
+    expect(input.value).toBe('');
+  });
+});
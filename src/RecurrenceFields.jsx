@@ -0,0 +1,168 @@
+import React, { useId } from 'react';
+import { FREQUENCY_OPTIONS, WEEKDAY_LABELS, createRecurrence } from './recurrence';
+import { toDateKey } from './dates';
+
+/**
+ * Recurrence section of the task modal.
+ * @param {Object} props - Component props.
+ * @param {Object|null} props.recurrence - The todo's recurrence rule (null or undefined when it does not repeat).
+ * @param {string} props.dueDate - The todo's due date, used for the rule's defaults.
+ * @param {Function} props.onChange - Function called with the new rule, or null to stop repeating.
+ */
+function RecurrenceFields({ recurrence, dueDate, onChange }) {
+  const id = useId();
+
+  /**
+   * Handles a change of frequency, creating a rule when the todo starts repeating.
+   * @param {Event} event - The select change event.
+   */
+  const handleFrequencyChange = (event) => {
+    const frequency = event.target.value;
+    if (!frequency) {
+      onChange(null);
+    } else if (recurrence) {
+      onChange({ ...recurrence, frequency });
+    } else {
+      onChange(createRecurrence(frequency, dueDate));
+    }
+  };
+
+  /**
+   * Handles a change to a numeric field of the rule.
+   * @param {Event} event - The input change event.
+   */
+  const handleNumberChange = (event) => {
+    const { name, value } = event.target;
+    const number = Math.max(1, parseInt(value, 10) || 1);
+    onChange({ ...recurrence, [name]: name === 'monthDay' ? Math.min(31, number) : number });
+  };
+
+  /**
+   * Turns a weekday on or off for weekly rules.
+   * @param {number} day - The weekday (0 for Sunday).
+   */
+  const toggleWeekday = (day) => {
+    const weekdays = recurrence.weekdays.includes(day)
+      ? recurrence.weekdays.filter((weekday) => weekday !== day)
+      : [...recurrence.weekdays, day];
+    onChange({ ...recurrence, weekdays });
+  };
+
+  /**
+   * Handles a change of how the series ends.
+   * @param {Event} event - The select change event.
+   */
+  const handleEndChange = (event) => {
+    const end = event.target.value;
+    onChange({
+      ...recurrence,
+      endDate: end === 'date' ? dueDate || toDateKey(new Date()) : '',
+      count: end === 'count' ? Math.max(recurrence.occurrence, 5) : null,
+    });
+  };
+
+  const end = recurrence && recurrence.endDate ? 'date' : recurrence && recurrence.count ? 'count' : 'never';
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor={`${id}-frequency`}>
+        Repeat
+      </label>
+      <select
+        id={`${id}-frequency`}
+        className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+        value={recurrence ? recurrence.frequency : ''}
+        onChange={handleFrequencyChange}
+      >
+        <option value="">Does not repeat</option>
+        {FREQUENCY_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {recurrence && recurrence.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-2 mt-2" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <label key={label} className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={recurrence.weekdays.includes(day)}
+                onChange={() => toggleWeekday(day)}
+                className="mr-1"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {recurrence && recurrence.frequency === 'monthly' && (
+        <label className="flex items-center gap-2 mt-2 text-sm">
+          On day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            className="border border-gray-400 dark:border-gray-500 p-1 w-20 rounded-lg"
+            name="monthDay"
+            value={recurrence.monthDay}
+            onChange={handleNumberChange}
+          />
+          of the month
+        </label>
+      )}
+
+      {recurrence && recurrence.frequency === 'interval' && (
+        <label className="flex items-center gap-2 mt-2 text-sm">
+          Every
+          <input
+            type="number"
+            min="1"
+            className="border border-gray-400 dark:border-gray-500 p-1 w-20 rounded-lg"
+            name="interval"
+            value={recurrence.interval}
+            onChange={handleNumberChange}
+          />
+          days
+        </label>
+      )}
+
+      {recurrence && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+          <label className="flex items-center gap-2">
+            Ends
+            <select className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg" value={end} onChange={handleEndChange}>
+              <option value="never">Never</option>
+              <option value="date">On date</option>
+              <option value="count">After a number of times</option>
+            </select>
+          </label>
+          {end === 'date' && (
+            <input
+              type="date"
+              className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+              aria-label="End date"
+              value={recurrence.endDate}
+              onChange={(e) => onChange({ ...recurrence, endDate: e.target.value })}
+            />
+          )}
+          {end === 'count' && (
+            <input
+              type="number"
+              min="1"
+              className="border border-gray-400 dark:border-gray-500 p-1 w-20 rounded-lg"
+              name="count"
+              aria-label="Number of times"
+              value={recurrence.count}
+              onChange={handleNumberChange}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceFields;
@@ -0,0 +1,63 @@
+import React, { useRef } from 'react';
+import { SHORTCUT_GROUPS } from './shortcuts';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Overlay listing every keyboard shortcut, opened with "?".
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isOpen - Whether the overlay is open.
+ * @param {Function} props.onClose - Function to close the overlay.
+ */
+function ShortcutHelp({ isOpen, onClose }) {
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, isOpen);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg max-h-screen overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        ref={dialogRef}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="shortcut-help-title" className="text-2xl font-bold mb-4">
+          Keyboard Shortcuts
+        </h2>
+        {SHORTCUT_GROUPS.map((group) => (
+          <div key={group.title} className="mb-4">
+            <h3 className="text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">{group.title}</h3>
+            <dl className="space-y-1">
+              {group.shortcuts.map((shortcut) => (
+                <div key={shortcut.keys + shortcut.description} className="flex justify-between gap-4">
+                  <dt>
+                    <kbd className="bg-gray-100 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded px-2 py-0.5 text-sm font-mono">
+                      {shortcut.keys}
+                    </kbd>
+                  </dt>
+                  <dd className="text-gray-700 dark:text-gray-200 text-right">{shortcut.description}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        ))}
+        <div className="flex justify-end">
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
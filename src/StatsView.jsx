@@ -0,0 +1,114 @@
+import React from 'react';
+import BarChart from './BarChart';
+import BreakdownChart from './BreakdownChart';
+import {
+  DAYS_SHOWN,
+  WEEKS_SHOWN,
+  completedPerDay,
+  completedPerWeek,
+  averageTimeToComplete,
+  formatDuration,
+  overdueCounts,
+  openAndDoneByPriority,
+  openAndDoneByCategory,
+} from './stats';
+import { timeReport, formatTime, downloadTimeReport } from './timeTracking';
+
+/**
+ * Dashboard of completion trends, open and done counts and time logged, worked out from
+ * the saved todos.
+ * @param {Object} props - Component props.
+ * @param {Array} props.todos - The todos to count, including archived ones.
+ * @param {Array} props.categories - The categories, for the category breakdown.
+ * @param {Date} props.now - The current time.
+ */
+function StatsView({ todos, categories, now }) {
+  const perDay = completedPerDay(todos, now);
+  const perWeek = completedPerWeek(todos, now);
+  const average = averageTimeToComplete(todos);
+  const { overdue, completedLate } = overdueCounts(todos, now);
+  const done = todos.filter((todo) => todo.completed).length;
+  const report = timeReport(todos, categories, now.getTime());
+
+  const summary = [
+    { label: 'Open', value: todos.length - done },
+    { label: 'Done', value: done },
+    { label: 'Completed this week', value: perWeek[perWeek.length - 1].value },
+    { label: 'Average time to complete', value: average === null ? '\u2013' : formatDuration(average) },
+    { label: 'Overdue now', value: overdue, alert: overdue > 0 },
+    { label: 'Completed late', value: completedLate },
+  ];
+
+  return (
+    <div className="space-y-4 mb-4">
+      <h2 className="sr-only">Statistics</h2>
+      <dl className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {summary.map((item) => (
+          <div key={item.label} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md">
+            <dt className="text-sm text-gray-600 dark:text-gray-300">{item.label}</dt>
+            <dd className={`text-2xl font-bold ${item.alert ? 'text-red-600 dark:text-red-400' : 'text-gray-800 dark:text-gray-100'}`}>{item.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <BarChart title={`Completed per day, last ${DAYS_SHOWN} days`} data={perDay} />
+        <BarChart title={`Completed per week, last ${WEEKS_SHOWN} weeks`} data={perWeek} />
+        <BreakdownChart title="By priority" data={openAndDoneByPriority(todos)} />
+        <BreakdownChart title="By category" data={openAndDoneByCategory(todos, categories)} />
+      </div>
+      <section className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md" aria-labelledby="time-report-title">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+          <h3 id="time-report-title" className="text-lg font-bold text-gray-700 dark:text-gray-200">
+            Time by category
+          </h3>
+          <button
+            className={`bg-accent-600 text-white font-bold py-1 px-2 rounded-lg ${
+              report.length ? 'hover:bg-accent-700' : 'opacity-50 cursor-not-allowed'
+            }`}
+            aria-label="Export time report as CSV"
+            onClick={() => downloadTimeReport(report)}
+            disabled={!report.length}
+          >
+            Export CSV
+          </button>
+        </div>
+        {report.length ? (
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-gray-600 dark:text-gray-300 border-b">
+                <th scope="col" className="py-1">Category</th>
+                <th scope="col" className="py-1 text-right">Tasks</th>
+                <th scope="col" className="py-1 text-right">Logged</th>
+                <th scope="col" className="py-1 text-right">Estimated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map((row) => (
+                <tr key={row.key} className="border-b last:border-b-0">
+                  <th scope="row" className="py-1 font-normal text-gray-800 dark:text-gray-100">{row.label}</th>
+                  <td className="py-1 text-right">{row.tasks}</td>
+                  <td
+                    className={`py-1 text-right ${
+                      row.estimated && row.logged > row.estimated ? 'text-red-600 dark:text-red-400 font-bold' : ''
+                    }`}
+                  >
+                    {formatTime(row.logged)}
+                  </td>
+                  <td className="py-1 text-right">{row.estimated ? formatTime(row.estimated) : '\u2013'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-600 dark:text-gray-300">No time logged or estimated yet.</p>
+        )}
+      </section>
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Tasks created before this dashboard existed have no completion time, so they count as done but not
+        in the trends.
+      </p>
+    </div>
+  );
+}
+
+export default StatsView;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { createSubtask, moveSubtask } from './subtasks';
+
+/**
+ * Checklist of subtasks in the task modal, where steps can be added, reordered,
+ * completed and deleted.
+ * @param {Object} props - Component props.
+ * @param {Array} props.subtasks - The todo's subtasks.
+ * @param {boolean} props.autoComplete - Whether the todo completes itself when every subtask is done.
+ * @param {Function} props.onChange - Function called with the new subtasks.
+ * @param {Function} props.onAutoCompleteChange - Function called with the new auto-complete setting.
+ */
+function SubtaskList({ subtasks, autoComplete, onChange, onAutoCompleteChange }) {
+  const [newTitle, setNewTitle] = useState('');
+
+  /**
+   * Adds the typed subtask to the end of the list.
+   */
+  const addSubtask = () => {
+    const title = newTitle.trim();
+    if (!title) {
+      return;
+    }
+    onChange([...subtasks, createSubtask(subtasks, title)]);
+    setNewTitle('');
+  };
+
+  /**
+   * Updates one field of a subtask.
+   * @param {number} id - The subtask's id.
+   * @param {Object} changes - The fields to change.
+   */
+  const updateSubtask = (id, changes) => {
+    onChange(subtasks.map((subtask) => (subtask.id === id ? { ...subtask, ...changes } : subtask)));
+  };
+
+  return (
+    <fieldset className="mb-4">
+      <legend className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">
+        Subtasks
+      </legend>
+      <ul className="space-y-1 mb-2">
+        {subtasks.map((subtask, index) => (
+          <li key={subtask.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={(e) => updateSubtask(subtask.id, { completed: e.target.checked })}
+              aria-label={`Complete ${subtask.title}`}
+            />
+            <input
+              type="text"
+              className={`border border-gray-400 dark:border-gray-500 p-1 flex-grow rounded-lg ${
+                subtask.completed ? 'line-through text-gray-500 dark:text-gray-400' : ''
+              }`}
+              aria-label={`Subtask ${index + 1}`}
+              value={subtask.title}
+              onChange={(e) => updateSubtask(subtask.id, { title: e.target.value })}
+            />
+            <button
+              type="button"
+              className="bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 font-bold py-1 px-2 rounded-lg"
+              aria-label={`Move ${subtask.title} up`}
+              onClick={() => onChange(moveSubtask(subtasks, index, -1))}
+            >
+              {'\u2191'}
+            </button>
+            <button
+              type="button"
+              className="bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 font-bold py-1 px-2 rounded-lg"
+              aria-label={`Move ${subtask.title} down`}
+              onClick={() => onChange(moveSubtask(subtasks, index, 1))}
+            >
+              {'\u2193'}
+            </button>
+            <button
+              type="button"
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+              aria-label={`Delete ${subtask.title}`}
+              onClick={() => onChange(subtasks.filter((item) => item.id !== subtask.id))}
+            >
+              {'\u00d7'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="border border-gray-400 dark:border-gray-500 p-2 flex-grow rounded-lg"
+          placeholder="Add a subtask"
+          aria-label="New subtask"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addSubtask();
+            }
+          }}
+        />
+        <button
+          type="button"
+          className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+          onClick={addSubtask}
+        >
+          Add
+        </button>
+      </div>
+      {subtasks.length > 0 && (
+        <label className="flex items-center mt-2 text-sm">
+          <input
+            type="checkbox"
+            checked={autoComplete}
+            onChange={(e) => onAutoCompleteChange(e.target.checked)}
+            className="mr-2"
+          />
+          Complete the task when every subtask is done
+        </label>
+      )}
+    </fieldset>
+  );
+}
+
+export default SubtaskList;
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Label and dot colour for each sync status
+const STATUSES = {
+  syncing: { label: 'Syncing', dot: 'bg-yellow-400' },
+  synced: { label: 'Synced', dot: 'bg-green-500' },
+  offline: { label: 'Offline', dot: 'bg-gray-400' },
+  error: { label: 'Sync failed', dot: 'bg-red-600' },
+};
+
+/**
+ * Header indicator showing whether the list is in step with the sync server. Clicking
+ * it syncs straight away.
+ * @param {Object} props - Component props.
+ * @param {Object|null} props.sync - The sync status ({ status, pending, error }), or null when sync is off.
+ * @param {Function} props.onSync - Function to sync now.
+ */
+function SyncStatus({ sync, onSync }) {
+  if (!sync) {
+    return null;
+  }
+
+  const { label, dot } = STATUSES[sync.status];
+  return (
+    <button
+      className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-full py-1 px-3 hover:bg-gray-100 dark:hover:bg-gray-700"
+      title={sync.error || 'Sync now'}
+      onClick={onSync}
+      disabled={sync.status === 'syncing'}
+    >
+      <span className={`inline-block h-2 w-2 rounded-full ${dot}`} aria-hidden="true" />
+      {label}
+      {sync.pending > 0 && ` \u2013 ${sync.pending} ${sync.pending === 1 ? 'change' : 'changes'} waiting`}
+    </button>
+  );
+}
+
+export default SyncStatus;
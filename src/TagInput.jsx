@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { normalizeTag, tagColor } from './categories';
+
+/**
+ * Tag editor for the task modal, with removable chips and autocomplete from the
+ * tags already in use.
+ * @param {Object} props - Component props.
+ * @param {Array} props.tags - The todo's tags.
+ * @param {Array} props.suggestions - Every tag in use, for autocomplete.
+ * @param {Function} props.onChange - Function called with the new tags.
+ */
+function TagInput({ tags, suggestions, onChange }) {
+  const [text, setText] = useState('');
+
+  /**
+   * Adds the typed tag, ignoring empty input and tags already on the todo.
+   */
+  const addTag = () => {
+    const tag = normalizeTag(text);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setText('');
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2" htmlFor="tag-input">
+        Tags
+      </label>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {tags.map((tag) => (
+            <span key={tag} className={`px-2 py-1 text-xs font-bold rounded-full ${tagColor(tag)}`}>
+              #{tag}
+              <button
+                type="button"
+                className="ml-1"
+                aria-label={`Remove tag ${tag}`}
+                onClick={() => onChange(tags.filter((item) => item !== tag))}
+              >
+                {'\u00d7'}
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        id="tag-input"
+        type="text"
+        className="border border-gray-400 dark:border-gray-500 p-2 w-full rounded-lg"
+        placeholder="Type a tag and press Enter"
+        list="tag-suggestions"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag();
+          } else if (e.key === 'Backspace' && !text && tags.length) {
+            onChange(tags.slice(0, -1));
+          }
+        }}
+        onBlur={addTag}
+      />
+      <datalist id="tag-suggestions">
+        {suggestions
+          .filter((tag) => !tags.includes(tag))
+          .map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
+
+export default TagInput;
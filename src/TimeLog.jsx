@@ -0,0 +1,108 @@
+import React from 'react';
+import {
+  formatTime,
+  invalidTimeEntry,
+  loggedTime,
+  toDateTimeInput,
+  parseDateTimeInput,
+} from './timeTracking';
+
+// Length of an entry added by hand, ending now, for the user to adjust
+const MANUAL_ENTRY_LENGTH = 30 * 60 * 1000;
+
+/**
+ * Log of the time entries in the task modal, where entries can be corrected, added by
+ * hand and deleted. A running entry has no end until its timer is stopped on the card.
+ * @param {Object} props - Component props.
+ * @param {Array} props.entries - The todo's time entries.
+ * @param {string} props.id - Prefix for the ids that tie the error message to its entry.
+ * @param {string|undefined} props.error - The validation error to show, if any.
+ * @param {Function} props.onChange - Function called with the new entries.
+ */
+function TimeLog({ entries, id, error, onChange }) {
+  // The first entry that cannot be saved carries the id the dialog focuses on a failed save
+  const invalidIndex = invalidTimeEntry(entries);
+  const now = Date.now();
+
+  /**
+   * Updates one field of an entry.
+   * @param {number} entryId - The entry's id.
+   * @param {Object} changes - The fields to change.
+   */
+  const updateEntry = (entryId, changes) => {
+    onChange(entries.map((entry) => (entry.id === entryId ? { ...entry, ...changes } : entry)));
+  };
+
+  /**
+   * Adds an entry ending now.
+   */
+  const addEntry = () => {
+    const end = Math.floor(now / 60000) * 60000;
+    onChange([...entries, { id: now, start: end - MANUAL_ENTRY_LENGTH, end }]);
+  };
+
+  return (
+    <fieldset className="mb-4">
+      <legend className="block text-gray-700 dark:text-gray-200 text-sm font-bold mb-2">
+        Time Log
+        {entries.length > 0 && (
+          <span className="font-normal text-gray-600 dark:text-gray-300"> ({formatTime(loggedTime({ timeEntries: entries }, now))})</span>
+        )}
+      </legend>
+      <ul className="space-y-2 mb-2">
+        {entries.map((entry, index) => (
+          <li key={entry.id} className="flex flex-wrap items-center gap-1">
+            <input
+              type="datetime-local"
+              className={`border p-1 rounded-lg text-sm ${
+                error && index === invalidIndex ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'
+              }`}
+              id={index === invalidIndex ? `${id}-timeEntries` : undefined}
+              aria-label={`Start of entry ${index + 1}`}
+              value={typeof entry.start === 'number' ? toDateTimeInput(entry.start) : ''}
+              onChange={(e) => updateEntry(entry.id, { start: parseDateTimeInput(e.target.value) })}
+              {...(error &&
+                index === invalidIndex && { 'aria-invalid': true, 'aria-describedby': `${id}-timeEntries-error` })}
+            />
+            <span aria-hidden="true">{'\u2013'}</span>
+            {entry.end === null ? (
+              <span className="text-sm font-bold text-green-700 dark:text-green-400 px-1">Running</span>
+            ) : (
+              <input
+                type="datetime-local"
+                className={`border p-1 rounded-lg text-sm ${
+                  error && index === invalidIndex ? 'border-red-600' : 'border-gray-400 dark:border-gray-500'
+                }`}
+                aria-label={`End of entry ${index + 1}`}
+                value={typeof entry.end === 'number' ? toDateTimeInput(entry.end) : ''}
+                onChange={(e) => updateEntry(entry.id, { end: parseDateTimeInput(e.target.value) })}
+              />
+            )}
+            <button
+              type="button"
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg ml-auto"
+              aria-label={`Delete entry ${index + 1}`}
+              onClick={() => onChange(entries.filter((item) => item.id !== entry.id))}
+            >
+              {'\u00d7'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && (
+        <p id={`${id}-timeEntries-error`} className="text-red-700 dark:text-red-400 text-sm mb-2">
+          {error}
+        </p>
+      )}
+      <button
+        type="button"
+        className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg"
+        onClick={addEntry}
+      >
+        Add Entry
+      </button>
+    </fieldset>
+  );
+}
+
+export default TimeLog;
@@ -0,0 +1,43 @@
+import React, { useEffect } from 'react';
+
+// How long a toast stays on screen, in milliseconds
+const TOAST_DURATION = 6000;
+
+/**
+ * Short-lived message at the bottom of the screen with an optional action, such as undoing a delete.
+ * @param {Object} props - Component props.
+ * @param {Object} props.toast - The toast to show ({ id, message, actionLabel }), or null for none.
+ * @param {Function} props.onAction - Function called when the action button is clicked.
+ * @param {Function} props.onDismiss - Function to hide the toast.
+ */
+function Toast({ toast, onAction, onDismiss }) {
+  // Restart the timer for every new toast
+  useEffect(() => {
+    if (!toast) {
+      return undefined;
+    }
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toast && toast.id]);
+
+  if (!toast) {
+    return null;
+  }
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-4 bg-gray-800 text-white py-2 px-4 rounded-lg shadow-lg z-50">
+      <span>{toast.message}</span>
+      {toast.actionLabel && (
+        <button className="font-bold text-accent-300 hover:text-accent-100" onClick={onAction}>
+          {toast.actionLabel}
+        </button>
+      )}
+      <button className="text-gray-400 hover:text-white" aria-label="Dismiss" onClick={onDismiss}>
+        {'\u00d7'}
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
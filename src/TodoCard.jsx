@@ -0,0 +1,306 @@
+import React, { useEffect, useId, useRef } from 'react';
+import Highlight from './Highlight';
+import { renderMarkdown } from './markdown';
+import { adjacentPriority } from './ordering';
+import { describeRecurrence, nextOccurrence } from './recurrence';
+import { subtaskProgress } from './subtasks';
+import { COLORS, getCategory, tagColor } from './categories';
+import { isOverdue, relativeDueLabel } from './due';
+import { formatTime, loggedTime, runningEntry } from './timeTracking';
+import { truncateText } from './preferences';
+import Chip from './Chip';
+
+/**
+ * Card showing a single todo in a priority column.
+ * @param {Object} props - Component props.
+ * @param {Object} props.todo - The todo to show.
+ * @param {Array} props.categories - The categories, for the category chip.
+ * @param {string} props.query - The search query to highlight.
+ * @param {Date} props.now - The current time, for the relative due label.
+ * @param {number} props.titleLength - The most characters of the title to show.
+ * @param {number} props.bodyLength - The most characters of the body to show.
+ * @param {boolean} props.focused - Whether the card has the keyboard focus.
+ * @param {Function} props.onFocus - Function called with the todo id when the card receives focus.
+ * @param {boolean} props.selecting - Whether clicking the card selects it instead of opening it.
+ * @param {boolean} props.selected - Whether the card is selected.
+ * @param {Function} props.onSelect - Function called with the todo id and whether Shift was held.
+ * @param {Function} props.onOpen - Function to open the todo for editing.
+ * @param {Function} props.onToggle - Function to toggle the todo's completion.
+ * @param {Function} props.onDelete - Function to delete the todo.
+ * @param {Function} props.onArchive - Function to archive the todo once it is complete.
+ * @param {Function} props.onMove - Function to move the todo to another priority column.
+ * @param {Function} props.onShift - Function to move the todo up or down within its column.
+ * @param {Array} props.boards - The other boards the todo can be moved to.
+ * @param {Function} props.onMoveToBoard - Function called with the todo id and the id of the board to move it to.
+ * @param {Function} props.onDrop - Function to handle another card dropped onto this one.
+ * @param {Function} props.onSkip - Function to skip the current occurrence of a recurring todo.
+ * @param {Function} props.onToggleTimer - Function to start or stop the todo's timer.
+ * @param {Function} props.onFilter - Function called with filter changes when a chip is clicked.
+ */
+function TodoCard({
+  todo,
+  categories,
+  query,
+  now,
+  titleLength,
+  bodyLength,
+  focused,
+  onFocus,
+  selecting,
+  selected,
+  onSelect,
+  onOpen,
+  onToggle,
+  onDelete,
+  onArchive,
+  onMove,
+  onShift,
+  boards,
+  onMoveToBoard,
+  onDrop,
+  onSkip,
+  onToggleTimer,
+  onFilter,
+}) {
+  const leftPriority = adjacentPriority(todo.priority, -1);
+  const rightPriority = adjacentPriority(todo.priority, 1);
+
+  // Keyboard-accessible alternatives to dragging the card
+  const moveControls = [
+    { label: 'Move up', symbol: '\u2191', onClick: () => onShift(todo.id, -1) },
+    { label: 'Move down', symbol: '\u2193', onClick: () => onShift(todo.id, 1) },
+    leftPriority && {
+      label: `Move to ${leftPriority} priority`,
+      symbol: '\u2190',
+      onClick: () => onMove(todo.id, leftPriority),
+    },
+    rightPriority && {
+      label: `Move to ${rightPriority} priority`,
+      symbol: '\u2192',
+      onClick: () => onMove(todo.id, rightPriority),
+    },
+  ].filter(Boolean);
+
+  const cardRef = useRef(null);
+  const titleId = useId();
+
+  // Follow keyboard navigation between cards
+  useEffect(() => {
+    if (focused && document.activeElement !== cardRef.current) {
+      cardRef.current.focus();
+      cardRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [focused]);
+
+  const progress = subtaskProgress(todo);
+  const category = getCategory(categories, todo.category);
+  const overdue = isOverdue(todo, now);
+  const dueLabel = relativeDueLabel(todo, now);
+  const timing = Boolean(runningEntry(todo));
+  const logged = loggedTime(todo, now.getTime());
+  const overEstimate = Boolean(todo.estimate) && logged > todo.estimate * 60 * 1000;
+
+  return (
+    <article
+      aria-labelledby={titleId}
+      className={`bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md hover:shadow-lg transition duration-300 cursor-pointer ${
+        todo.completed ? 'bg-green-200 dark:bg-green-900' : ''
+      } ${overdue ? 'border-2 border-red-500' : ''} ${selected ? 'ring-4 ring-accent-400' : ''} relative ${
+        selecting ? 'select-none' : ''
+      } ${focused ? 'outline outline-2 outline-offset-2 outline-accent-600' : 'focus:outline-none'}`}
+      ref={cardRef}
+      tabIndex={0}
+      onFocus={(e) => {
+        if (e.target === e.currentTarget) {
+          onFocus(todo.id);
+        }
+      }}
+      onClick={(e) => (selecting ? onSelect(todo.id, e.shiftKey) : onOpen(todo))}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', String(todo.id));
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={onDrop}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            checked={todo.completed}
+            onChange={() => onToggle(todo.id)}
+            onClick={(e) => e.stopPropagation()}
+            className="mr-2"
+            aria-label={`${todo.completed ? 'Reopen' : 'Complete'} '${todo.title}'`}
+          />
+          <h3 id={titleId} className="text-xl font-bold text-accent-600 dark:text-accent-300">
+            <Highlight text={truncateText(todo.title, titleLength)} query={query} />
+            {selected && <span className="sr-only"> (selected)</span>}
+          </h3>
+        </div>
+        <span
+          className={`px-2 py-1 text-xs font-bold rounded-full ${
+            todo.priority === 'high'
+              ? 'bg-red-100 text-red-800'
+              : todo.priority === 'medium'
+              ? 'bg-yellow-100 text-yellow-800'
+              : 'bg-blue-100 text-blue-800'
+          }`}
+        >
+          {todo.priority.charAt(0).toUpperCase() + todo.priority.slice(1)}
+        </span>
+      </div>
+      {/* Links in the body open themselves rather than the card */}
+      {todo.body && (
+        <div
+          className="markdown text-gray-600 dark:text-gray-300 mb-2 break-words"
+          onClick={(e) => e.target.closest('a') && e.stopPropagation()}
+          dangerouslySetInnerHTML={{ __html: renderMarkdown(todo.body, query, bodyLength) }}
+        />
+      )}
+      {progress.total > 0 && (
+        <div className="flex items-center gap-2 mb-2" title="Subtasks done">
+          <div className="flex-grow h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-accent-600"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+          <span className="text-sm text-gray-600 dark:text-gray-300">
+            {progress.done}/{progress.total}
+          </span>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-1 mt-2">
+        <Chip
+          label={category.name}
+          colorClass={COLORS[category.color]}
+          title={`Show only ${category.name} tasks`}
+          onClick={() => onFilter({ category: category.id })}
+        />
+        {(todo.tags || []).map((tag) => (
+          <Chip
+            key={tag}
+            label={`#${tag}`}
+            colorClass={tagColor(tag)}
+            title={`Show only tasks tagged ${tag}`}
+            onClick={() => onFilter({ tag })}
+          />
+        ))}
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <button
+          className={`${
+            timing ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200'
+          } text-sm font-bold py-1 px-2 rounded-lg`}
+          aria-label={`${timing ? 'Stop' : 'Start'} timer on '${todo.title}'`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggleTimer(todo.id);
+          }}
+        >
+          {timing ? 'Stop' : 'Start'}
+        </button>
+        {(logged > 0 || timing || Boolean(todo.estimate)) && (
+          <span className={`text-sm ${overEstimate ? 'text-red-600 dark:text-red-400 font-bold' : 'text-gray-600 dark:text-gray-300'}`}>
+            {formatTime(logged)}
+            {Boolean(todo.estimate) && ` / ${formatTime(todo.estimate * 60 * 1000)}`}
+            {timing && ' (running)'}
+            {overEstimate && ' (over estimate)'}
+          </span>
+        )}
+      </div>
+      <p className={todo.recurrence ? '' : 'mb-4'}>
+        <span className="font-semibold">Due Date:</span> {todo.dueDate}
+        {todo.dueTime && ` ${todo.dueTime}`}
+        {dueLabel && (
+          <span className={`ml-2 text-sm ${overdue ? 'text-red-600 dark:text-red-400 font-bold' : 'text-gray-600 dark:text-gray-300'}`}>({dueLabel})</span>
+        )}
+      </p>
+      {todo.recurrence && (
+        <p className="mb-4">
+          <span className="font-semibold">Repeats:</span> {describeRecurrence(todo.recurrence)}
+        </p>
+      )}
+      <div className="absolute bottom-2 left-2 flex gap-1">
+        {moveControls.map((control) => (
+          <button
+            key={control.label}
+            className="bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 font-bold py-1 px-2 rounded-lg"
+            aria-label={control.label}
+            title={control.label}
+            onClick={(e) => {
+              e.stopPropagation();
+              control.onClick();
+            }}
+          >
+            {control.symbol}
+          </button>
+        ))}
+        {boards.length > 0 && (
+          <select
+            className="bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 text-sm font-bold py-1 px-1 rounded-lg w-20"
+            aria-label={`Move '${todo.title}' to another board`}
+            title="Move to another board"
+            value=""
+            onClick={(e) => e.stopPropagation()}
+            onChange={(e) => onMoveToBoard(todo.id, e.target.value)}
+          >
+            <option value="" disabled>
+              Board
+            </option>
+            {boards.map((board) => (
+              <option key={board.id} value={board.id}>
+                {board.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="absolute bottom-2 right-2">
+        {todo.completed && (
+          <span className="text-green-700 dark:text-green-400 font-bold mr-2">Complete</span>
+        )}
+        {todo.recurrence && !todo.completed && nextOccurrence(todo) && (
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg mr-2"
+            title="Skip to the next occurrence"
+            aria-label={`Skip '${todo.title}' to the next occurrence`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSkip(todo.id);
+            }}
+          >
+            Skip
+          </button>
+        )}
+        {todo.completed && (
+          <button
+            className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg mr-2"
+            title="Move to the archive"
+            aria-label={`Archive '${todo.title}'`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onArchive(todo.id);
+            }}
+          >
+            Archive
+          </button>
+        )}
+        <button
+          className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+          aria-label={`Delete '${todo.title}'`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete(todo.id);
+          }}
+        >
+          Delete
+        </button>
+      </div>
+    </article>
+  );
+}
+
+export default TodoCard;
@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { screen, fireEvent, cleanup } from '@testing-library/react';
+import { TODO, renderApp } from './testUtils';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+describe('TodoCard', () => {
+  const status = () => screen.getByRole('status');
+
+  it('runs one timer at a time and logs it against the estimate', () => {
+    renderApp([TODO, { ...TODO, id: 2, title: 'Call client', timeEntries: [] }]);
+    const report = screen.getByRole('article', { name: 'Write report' });
+    expect(report.textContent).toContain('45m / 1h 30m');
+
+    fireEvent.click(screen.getByRole('button', { name: "Start timer on 'Write report'" }));
+    expect(status().textContent).toBe("Started timer on 'Write report'");
+
+    fireEvent.click(screen.getByRole('button', { name: "Start timer on 'Call client'" }));
+    expect(status().textContent).toBe("Started timer on 'Call client' (stopped 'Write report')");
+    expect(screen.getByRole('button', { name: "Start timer on 'Write report'" })).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: "Stop timer on 'Call client'" }));
+    expect(status().textContent).toBe("Stopped timer on 'Call client'");
+  });
+
+  it('cuts a long body after its rendered text, keeping the markup', () => {
+    const body = `See [the quarterly numbers](https://example.com/q3) and **${'more '.repeat(40).trim()}**`;
+    renderApp([{ ...TODO, body }]);
+    const preview = screen.getByRole('article', { name: 'Write report' }).querySelector('.markdown');
+    expect(preview.textContent).toHaveLength(153);
+    expect(preview.textContent).toMatch(/^See the quarterly numbers and more .*\.\.\.$/);
+    expect(preview.querySelector('a').textContent).toBe('the quarterly numbers');
+    expect(preview.querySelector('strong').textContent).toMatch(/\.\.\.$/);
+  });
+});
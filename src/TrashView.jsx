@@ -0,0 +1,88 @@
+import React from 'react';
+import { RETENTION_OPTIONS, daysUntilPurge } from './trash';
+
+/**
+ * List of deleted todos, with actions to restore them or delete them for good.
+ * @param {Object} props - Component props.
+ * @param {Array} props.todos - The deleted todos.
+ * @param {number} props.retentionDays - How many days deleted todos are kept.
+ * @param {Date} props.now - The current time.
+ * @param {Function} props.onRetentionChange - Function called with a new number of days to keep deleted todos.
+ * @param {Function} props.onRestore - Function called with the ids of the todos to restore.
+ * @param {Function} props.onPurge - Function called with the ids of the todos to delete permanently.
+ */
+function TrashView({ todos, retentionDays, now, onRetentionChange, onRestore, onPurge }) {
+  const sorted = [...todos].sort((a, b) => b.deletedAt - a.deletedAt);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md mb-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-lg font-bold text-gray-700 dark:text-gray-200">Trash</h2>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-700 dark:text-gray-200" htmlFor="trash-retention">
+            Delete permanently after
+          </label>
+          <select
+            id="trash-retention"
+            className="border border-gray-400 dark:border-gray-500 p-1 rounded-lg"
+            value={retentionDays}
+            onChange={(e) => onRetentionChange(Number(e.target.value))}
+          >
+            {RETENTION_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                {days} {days === 1 ? 'day' : 'days'}
+              </option>
+            ))}
+          </select>
+          <button
+            className={`bg-red-600 text-white font-bold py-1 px-2 rounded-lg ${
+              sorted.length ? 'hover:bg-red-700' : 'opacity-50 cursor-not-allowed'
+            }`}
+            onClick={() => onPurge(sorted.map((todo) => todo.id))}
+            disabled={!sorted.length}
+          >
+            Empty Trash
+          </button>
+        </div>
+      </div>
+      {sorted.length ? (
+        <ul className="divide-y">
+          {sorted.map((todo) => {
+            const daysLeft = daysUntilPurge(todo, retentionDays, now.getTime());
+            return (
+              <li key={todo.id} className="flex justify-between items-center gap-2 py-2">
+                <div>
+                  <p className="font-bold text-gray-800 dark:text-gray-100">{todo.title}</p>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    Deleted {new Date(todo.deletedAt).toLocaleString()} &middot;{' '}
+                    {daysLeft === 0
+                      ? 'deleted permanently today'
+                      : `deleted permanently in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded-lg"
+                    onClick={() => onRestore([todo.id])}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded-lg"
+                    onClick={() => onPurge([todo.id])}
+                  >
+                    Delete Forever
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-500 dark:text-gray-400">The trash is empty.</p>
+      )}
+    </div>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import CalendarTodo from './CalendarTodo';
+
+/**
+ * Tray of todos without a due date, shown beside the calendar views. Todos can be
+ * dragged from here onto a day, and dropping a dated todo here clears its due date.
+ * @param {Object} props - Component props.
+ * @param {Array} props.todos - The todos to pick the undated ones from.
+ * @param {Array} props.categories - The categories, for the todo colours.
+ * @param {Date} props.now - The current time.
+ * @param {Function} props.onOpen - Function to open a todo for editing.
+ * @param {Function} props.onReschedule - Function called with a dropped todo's id and an empty due date.
+ */
+function UnscheduledTray({ todos, categories, now, onOpen, onReschedule }) {
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const unscheduled = todos.filter((todo) => !todo.dueDate);
+
+  return (
+    <div
+      className={`p-2 bg-white dark:bg-gray-800 rounded-lg ${isDropTarget ? 'ring-2 ring-accent-300' : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDropTarget(true);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          setIsDropTarget(false);
+        }
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsDropTarget(false);
+        onReschedule(e.dataTransfer.getData('text/plain'), '');
+      }}
+    >
+      <h2 className="text-lg font-bold text-gray-700 dark:text-gray-200 mb-2">Unscheduled</h2>
+      <div className="space-y-1">
+        {unscheduled.length ? (
+          unscheduled.map((todo) => (
+            <CalendarTodo key={todo.id} todo={todo} categories={categories} now={now} onOpen={onOpen} />
+          ))
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Every task has a due date</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UnscheduledTray;
@@ -0,0 +1,223 @@
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react';
+import axe from 'axe-core';
+import Modal from './Modal';
+import TodoCard from './TodoCard';
+import { DEFAULT_CATEGORIES } from './categories';
+import { TODO, BOARDS, renderApp } from './testUtils';
+
+/**
+ * Runs axe over a container. Colour contrast needs real layout and styles, which
+ * jsdom does not have, so it is checked by hand against the Tailwind palette instead.
+ * @param {HTMLElement} container - The rendered markup.
+ * @returns {Promise<Array>} The violations found.
+ */
+async function violations(container) {
+  const results = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+  return results.violations.map(({ id, nodes }) => `${id}: ${nodes.map((node) => node.html).join(', ')}`);
+}
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+describe('Modal', () => {
+  const renderModal = (props) =>
+    render(
+      <Modal
+        isOpen
+        onClose={() => {}}
+        onSubmit={() => {}}
+        initialTodo={null}
+        categories={DEFAULT_CATEGORIES}
+        tags={[]}
+        draft={null}
+        onDraftChange={() => {}}
+        boards={BOARDS}
+        boardId="default"
+        {...props}
+      />
+    );
+
+  it('has no axe violations', async () => {
+    const { container } = renderModal();
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('is a labelled modal dialog with labelled fields', () => {
+    renderModal();
+    const dialog = screen.getByRole('dialog', { name: 'Add Task' });
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(screen.getByLabelText('Title').tagName).toBe('INPUT');
+    expect(screen.getByLabelText('Body').tagName).toBe('TEXTAREA');
+    expect(screen.getByLabelText('Priority').tagName).toBe('SELECT');
+    expect(screen.getByLabelText('Category').tagName).toBe('SELECT');
+    expect(screen.getByLabelText('Board').tagName).toBe('SELECT');
+  });
+
+  it('moves focus in, traps Tab and returns focus to the opener', () => {
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+    const { rerender } = renderModal({ isOpen: false });
+    const props = {
+      onClose: () => {},
+      onSubmit: () => {},
+      initialTodo: null,
+      categories: DEFAULT_CATEGORIES,
+      tags: [],
+      draft: null,
+      onDraftChange: () => {},
+      boards: BOARDS,
+      boardId: 'default',
+    };
+
+    rerender(<Modal isOpen {...props} />);
+    const dialog = screen.getByRole('dialog');
+    expect(document.activeElement).toBe(screen.getByLabelText('Title'));
+
+    const save = screen.getByRole('button', { name: 'Save' });
+    save.focus();
+    fireEvent.keyDown(save, { key: 'Tab' });
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(document.activeElement).toBe(screen.getByLabelText('Title'));
+
+    fireEvent.keyDown(document.activeElement, { key: 'Tab', shiftKey: true });
+    expect(document.activeElement).toBe(save);
+
+    rerender(<Modal isOpen={false} {...props} />);
+    expect(document.activeElement).toBe(opener);
+    opener.remove();
+  });
+
+  it('ties validation errors to their fields', async () => {
+    const { container } = renderModal();
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    const title = screen.getByLabelText('Title');
+    expect(title.getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById(title.getAttribute('aria-describedby')).textContent).toBe('Enter a title.');
+    expect(document.activeElement).toBe(title);
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('closes on Escape', () => {
+    let closed = false;
+    renderModal({ onClose: () => (closed = true) });
+    fireEvent.keyDown(screen.getByLabelText('Title'), { key: 'Escape' });
+    expect(closed).toBe(true);
+  });
+});
+
+describe('TodoCard', () => {
+  const noop = () => {};
+  const renderCard = (todo) =>
+    render(
+      <TodoCard
+        todo={todo}
+        categories={DEFAULT_CATEGORIES}
+        query=""
+        now={new Date('2030-01-01T09:00')}
+        focused={false}
+        onFocus={noop}
+        selecting={false}
+        selected={false}
+        onSelect={noop}
+        onOpen={noop}
+        onToggle={noop}
+        onDelete={noop}
+        onArchive={noop}
+        onMove={noop}
+        onShift={noop}
+        boards={BOARDS.slice(1)}
+        onMoveToBoard={noop}
+        onDrop={noop}
+        onSkip={noop}
+        onToggleTimer={noop}
+        onFilter={noop}
+      />
+    );
+
+  it('has no axe violations', async () => {
+    const { container } = renderCard(TODO);
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('names the card and its controls after the task', () => {
+    renderCard({ ...TODO, completed: true });
+    expect(screen.getByRole('article', { name: 'Write report' })).toBeTruthy();
+    expect(screen.getByRole('checkbox', { name: "Reopen 'Write report'" })).toBeTruthy();
+    expect(screen.getByRole('button', { name: "Delete 'Write report'" })).toBeTruthy();
+    expect(screen.getByRole('button', { name: "Archive 'Write report'" })).toBeTruthy();
+    expect(screen.getByRole('combobox', { name: "Move 'Write report' to another board" })).toBeTruthy();
+    expect(screen.getByRole('button', { name: "Start timer on 'Write report'" })).toBeTruthy();
+  });
+});
+
+describe('App', () => {
+  const status = () => screen.getByRole('status');
+
+  it('has no axe violations on the board', async () => {
+    const { container } = renderApp([TODO]);
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it.each(['month', 'agenda', 'archive', 'trash', 'stats'])('has no axe violations in the %s view', async (view) => {
+    const { container } = renderApp([TODO, { ...TODO, id: 2, title: 'Old task', deletedAt: Date.now() }], view);
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it.each(['Boards', 'Categories', 'Import', 'Preferences', 'Commands'])('has no axe violations with %s open', async (name) => {
+    const { container } = renderApp([TODO]);
+    fireEvent.click(screen.getByRole('button', { name }));
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('has no axe violations with the task dialog open', async () => {
+    const { container } = renderApp([TODO]);
+    fireEvent.click(screen.getByRole('button', { name: 'Add Task' }));
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('opens the focused card with Enter', () => {
+    renderApp([TODO]);
+    const card = screen.getByRole('article', { name: 'Write report' });
+    act(() => card.focus());
+    fireEvent.keyDown(card, { key: 'Enter' });
+    expect(screen.getByRole('dialog', { name: 'Edit Task' })).toBeTruthy();
+  });
+
+  it('announces adding a task', () => {
+    renderApp([]);
+    fireEvent.click(screen.getByRole('button', { name: 'Add Task' }));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Call the bank' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(status().textContent).toBe("Added 'Call the bank'");
+  });
+
+  it('has no axe violations with the quick-add preview showing', async () => {
+    const { container } = renderApp([]);
+    const input = screen.getByLabelText('Quick add a task');
+    fireEvent.change(input, { target: { value: 'Pay invoice !high #work' } });
+    expect(document.getElementById(input.getAttribute('aria-describedby')).textContent).toBe(
+      'Pay invoiceHigh priorityWork'
+    );
+    expect(await violations(container)).toEqual([]);
+  });
+
+  it('announces completing, deleting and undoing', () => {
+    renderApp([TODO]);
+    fireEvent.click(screen.getByRole('checkbox', { name: "Complete 'Write report'" }));
+    expect(status().textContent).toBe("Completed 'Write report'");
+
+    fireEvent.click(screen.getByRole('button', { name: "Delete 'Write report'" }));
+    expect(status().textContent).toBe("Deleted 'Write report'");
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+    expect(status().textContent).toBe("Undid Deleted 'Write report'");
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(status().textContent).toBe("Redid Deleted 'Write report'");
+  });
+});
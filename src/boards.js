@@ -0,0 +1,342 @@
+import { createHistory, pushHistory, jumpTo, currentTodos, restoreHistory, describeTodo } from './history';
+import { DEFAULT_BOARD_ID, loadBoardList, saveBoardList, loadHistoryData, saveHistoryData } from './storage';
+import { stampChanges } from './timestamps';
+import { describeCount } from './bulk';
+import { sameTodos } from './sync';
+
+// Name of the board the todos saved before there were boards move into
+export const DEFAULT_BOARD_NAME = 'My Tasks';
+
+/**
+ * Describes one or more todos for history labels.
+ * @param {Array} todos - The todos.
+ * @returns {string} The todo's title in quotes, or the number of todos.
+ */
+function describeTodos(todos) {
+  return todos.length === 1 ? describeTodo(todos[0]) : describeCount(todos.length);
+}
+
+/**
+ * Drops a todo's manual position, which belongs to the column of the board it left.
+ * @param {Object} todo - The todo.
+ * @returns {Object} The todo without its order.
+ */
+function withoutOrder(todo) {
+  const { order, ...rest } = todo;
+  return rest;
+}
+
+/**
+ * Lists the boards without their histories, as they are saved and shared with other tabs.
+ * @param {Array} boards - The boards ({ id, name, history }).
+ * @returns {Array} The boards as { id, name }.
+ */
+export function boardList(boards) {
+  return boards.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Collects the current todos of every board.
+ * @param {Array} boards - The boards.
+ * @returns {Array} The todos, board by board.
+ */
+export function boardTodos(boards) {
+  return boards.flatMap((board) => currentTodos(board.history));
+}
+
+/**
+ * Creates an empty board with an id derived from its name and unique among the boards.
+ * @param {Array} boards - The existing boards.
+ * @param {string} name - The board name.
+ * @returns {Object} The new board ({ id, name, history }).
+ */
+export function createBoard(boards, name) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+  let id = base;
+  for (let suffix = 2; boards.some((board) => board.id === id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: name.trim(), history: createHistory([], `Created board '${name.trim()}'`) };
+}
+
+/**
+ * Puts todos on a board, so todos added, imported or moved carry the board they are on.
+ * @param {Array} todos - The todos.
+ * @param {string} boardId - The board id.
+ * @returns {Array} The todos, the ones already on the board unchanged.
+ */
+export function assignBoard(todos, boardId) {
+  return todos.map((todo) => (todo.boardId === boardId ? todo : { ...todo, boardId }));
+}
+
+/**
+ * Applies a change to one board.
+ * @param {Array} boards - The boards.
+ * @param {string} id - The id of the board to change.
+ * @param {Function} update - Function returning the changed board.
+ * @returns {Array} The new boards.
+ */
+export function updateBoard(boards, id, update) {
+  return boards.map((board) => (board.id === id ? update(board) : board));
+}
+
+/**
+ * Records a change to a board's todos as a named entry in its history, stamping the
+ * changed todos.
+ * @param {Array} boards - The boards.
+ * @param {string} id - The id of the board.
+ * @param {Array} todos - The board's todos after the change.
+ * @param {string} label - Description of the operation.
+ * @param {number} now - The current time.
+ * @param {Object} [move] - For todos moved to or from another board, { ids, boardId } of that board.
+ * @returns {Array} The new boards.
+ */
+export function pushBoardTodos(boards, id, todos, label, now, move = null) {
+  return updateBoard(boards, id, (board) => ({
+    ...board,
+    history: pushHistory(
+      board.history,
+      stampChanges(currentTodos(board.history), assignBoard(todos, id), now),
+      label,
+      move
+    ),
+  }));
+}
+
+/**
+ * Splits every board's todos, as merged from another tab or the server, back into the
+ * boards, recording an entry on each board whose todos changed. Todos on a board that
+ * is not in the list, e.g. one created elsewhere, get a board of their own.
+ * @param {Array} boards - The boards.
+ * @param {Array} todos - The todos of every board.
+ * @param {string} label - Description of the change.
+ * @returns {Array} The new boards, or the same array when nothing changed.
+ */
+export function distributeTodos(boards, todos, label) {
+  const groups = new Map(boards.map((board) => [board.id, []]));
+  todos.forEach((todo) => {
+    // Todos saved by builds without boards belong to the default board
+    const id = todo.boardId || DEFAULT_BOARD_ID;
+    if (!groups.has(id)) {
+      groups.set(id, []);
+    }
+    groups.get(id).push(todo.boardId ? todo : { ...todo, boardId: id });
+  });
+  let changed = false;
+  const updated = boards.map((board) => {
+    const todosOnBoard = groups.get(board.id);
+    if (sameTodos(todosOnBoard, currentTodos(board.history))) {
+      return board;
+    }
+    changed = true;
+    return { ...board, history: pushHistory(board.history, todosOnBoard, label) };
+  });
+  const added = [...groups.keys()]
+    .filter((id) => !boards.some((board) => board.id === id))
+    .map((id) => ({
+      id,
+      name: id === DEFAULT_BOARD_ID ? DEFAULT_BOARD_NAME : 'Untitled board',
+      history: createHistory(groups.get(id), label),
+    }));
+  return changed || added.length ? [...updated, ...added] : boards;
+}
+
+/**
+ * Moves todos from one board to another, recording an entry on both boards. The entries
+ * remember the move, so undoing or redoing it on either board carries the todos back or
+ * forth on the other (see jumpBoard).
+ * @param {Array} boards - The boards.
+ * @param {string} fromId - The id of the board the todos are on.
+ * @param {Array} movedTodos - The todos to move, as they should arrive.
+ * @param {string} toId - The id of the board they move to.
+ * @param {number} now - The current time.
+ * @returns {Array} The new boards.
+ */
+export function moveTodosToBoard(boards, fromId, movedTodos, toId, now) {
+  const from = boards.find((board) => board.id === fromId);
+  const to = boards.find((board) => board.id === toId);
+  const ids = movedTodos.map((todo) => todo.id);
+  const described = describeTodos(movedTodos);
+  const moved = pushBoardTodos(
+    boards,
+    fromId,
+    currentTodos(from.history).filter((todo) => !ids.includes(todo.id)),
+    `Moved ${described} to '${to.name}'`,
+    now,
+    { ids, boardId: toId }
+  );
+  return pushBoardTodos(
+    moved,
+    toId,
+    [...currentTodos(to.history).filter((todo) => !ids.includes(todo.id)), ...movedTodos.map(withoutOrder)],
+    `Moved ${described} from '${from.name}'`,
+    now,
+    { ids, boardId: fromId }
+  );
+}
+
+/**
+ * Moves a board's history to the given position. Stepping over a move between boards
+ * changes which board its todos belong on, so the other board records an entry taking
+ * them out or putting them back, and every todo stays on exactly one board.
+ * @param {Array} boards - The boards.
+ * @param {string} id - The id of the board.
+ * @param {number} position - The index of the history entry to jump to.
+ * @param {number} now - The current time.
+ * @returns {Array} The new boards, or the same array when the position did not change.
+ */
+export function jumpBoard(boards, id, position, now) {
+  const board = boards.find((item) => item.id === id);
+  const history = jumpTo(board.history, position);
+  if (history === board.history) {
+    return boards;
+  }
+  let result = updateBoard(boards, id, (item) => ({ ...item, history }));
+
+  // Moves recorded on the entries stepped over, the one that decides where a todo goes first
+  const undoing = history.position < board.history.position;
+  const first = Math.min(history.position, board.history.position) + 1;
+  const last = Math.max(history.position, board.history.position);
+  const moves = history.entries
+    .slice(first, last + 1)
+    .filter((entry) => entry.move)
+    .map((entry) => entry.move);
+  if (!moves.length) {
+    return result;
+  }
+  if (!undoing) {
+    moves.reverse();
+  }
+  const movedIds = new Set(moves.flatMap((move) => move.ids));
+  const before = currentTodos(board.history);
+  const after = currentTodos(history);
+  const afterIds = new Set(after.map((todo) => todo.id));
+
+  // Todos back on this board leave the board they had moved to
+  boards
+    .filter((other) => other.id !== id)
+    .forEach((other) => {
+      const otherTodos = currentTodos(other.history);
+      const leaving = otherTodos.filter((todo) => movedIds.has(todo.id) && afterIds.has(todo.id));
+      if (leaving.length) {
+        result = pushBoardTodos(
+          result,
+          other.id,
+          otherTodos.filter((todo) => !leaving.includes(todo)),
+          `Moved ${describeTodos(leaving)} to '${board.name}'`,
+          now,
+          { ids: leaving.map((todo) => todo.id), boardId: id }
+        );
+      }
+    });
+
+  // Todos gone from this board go back to the board they were moved to or from
+  const placed = new Set(boardTodos(result).map((todo) => todo.id));
+  const arrivals = new Map();
+  before
+    .filter((todo) => movedIds.has(todo.id) && !afterIds.has(todo.id) && !placed.has(todo.id))
+    .forEach((todo) => {
+      const { boardId } = moves.find((move) => move.ids.includes(todo.id));
+      // A board deleted since the move has nowhere to take the todo back
+      if (result.some((item) => item.id === boardId)) {
+        arrivals.set(boardId, [...(arrivals.get(boardId) || []), withoutOrder(todo)]);
+      }
+    });
+  arrivals.forEach((arriving, boardId) => {
+    const target = result.find((item) => item.id === boardId);
+    result = pushBoardTodos(
+      result,
+      boardId,
+      [...currentTodos(target.history), ...arriving],
+      `Moved ${describeTodos(arriving)} from '${board.name}'`,
+      now,
+      { ids: arriving.map((todo) => todo.id), boardId: id }
+    );
+  });
+  return result;
+}
+
+/**
+ * Deletes a board, moving its todos, archived and deleted ones included, to another board.
+ * @param {Array} boards - The boards.
+ * @param {string} id - The id of the board to delete.
+ * @param {string} targetId - The id of the board its todos move to.
+ * @param {number} now - The current time.
+ * @returns {Array} The remaining boards.
+ */
+export function removeBoard(boards, id, targetId, now) {
+  const board = boards.find((item) => item.id === id);
+  const remaining = boards.filter((item) => item.id !== id);
+  const moved = currentTodos(board.history);
+  if (!moved.length) {
+    return remaining;
+  }
+  const target = remaining.find((item) => item.id === targetId);
+  return pushBoardTodos(
+    remaining,
+    targetId,
+    [...currentTodos(target.history), ...moved.map(withoutOrder)],
+    `Moved ${describeTodos(moved)} from deleted board '${board.name}'`,
+    now
+  );
+}
+
+/**
+ * Brings the boards in line with the list shared by another tab: names and order follow
+ * the list, boards created there are added, and boards deleted there go once they hold
+ * no todos. Apply it after distributeTodos, which moves the todos out of deleted boards.
+ * @param {Array} boards - The boards.
+ * @param {Array} list - The other tab's boards ({ id, name }).
+ * @returns {Array} The new boards.
+ */
+export function applyBoardList(boards, list) {
+  const listed = list.map((item) => {
+    const board = boards.find((existing) => existing.id === item.id);
+    if (!board) {
+      return { ...item, history: createHistory([], 'Synced changes from another tab') };
+    }
+    return board.name === item.name ? board : { ...board, name: item.name };
+  });
+  const unlisted = boards.filter(
+    (board) => !list.some((item) => item.id === board.id) && currentTodos(board.history).length
+  );
+  return [...listed, ...unlisted];
+}
+
+/**
+ * Loads the boards with their histories. Each saved history is kept when it still
+ * matches its board's todos, and the todos saved before there were boards end up on
+ * the default board.
+ * @param {Array} todos - The todos loaded from storage.
+ * @returns {Promise<Object>} { boards, activeBoardId }.
+ */
+export async function loadBoards(todos) {
+  const [saved, histories] = await Promise.all([loadBoardList(), loadHistoryData()]);
+  const list = saved ? saved.boards : [{ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME }];
+  const boards = distributeTodos(
+    list.map(({ id, name }) => ({
+      id,
+      name,
+      history: restoreHistory(histories[id], todos.filter((todo) => todo.boardId === id)),
+    })),
+    todos,
+    'Opened list'
+  );
+  const activeBoardId =
+    saved && boards.some((board) => board.id === saved.activeBoardId) ? saved.activeBoardId : boards[0].id;
+  return { boards, activeBoardId };
+}
+
+/**
+ * Saves the boards, their histories and the board shown.
+ * @param {Array} boards - The boards.
+ * @param {string} activeBoardId - The id of the board shown.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export async function saveBoards(boards, activeBoardId) {
+  const results = await Promise.all([
+    saveBoardList(boardList(boards), activeBoardId),
+    saveHistoryData(Object.fromEntries(boards.map((board) => [board.id, board.history]))),
+  ]);
+  return results.find((result) => result.error) || results[0];
+}
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_BOARD_NAME,
+  boardTodos,
+  distributeTodos,
+  moveTodosToBoard,
+  jumpBoard,
+  removeBoard,
+  applyBoardList,
+  loadBoards,
+} from './boards';
+import { createHistory, currentTodos } from './history';
+import { DEFAULT_BOARD_ID, HISTORY_KEY } from './storage';
+
+const NOW = new Date(2026, 9, 19, 9, 30).getTime();
+
+/**
+ * Builds a board with a fresh history.
+ * @param {string} id - The board id.
+ * @param {string} name - The board name.
+ * @param {Array} todos - The todos on it.
+ * @returns {Object} The board.
+ */
+const board = (id, name, todos = []) => ({
+  id,
+  name,
+  history: createHistory(todos.map((todo) => ({ ...todo, boardId: id }))),
+});
+
+/**
+ * Lists the ids of the todos on each board.
+ * @param {Array} boards - The boards.
+ * @returns {Object} Todo ids keyed by board id.
+ */
+const idsByBoard = (boards) =>
+  Object.fromEntries(boards.map((item) => [item.id, currentTodos(item.history).map((todo) => todo.id)]));
+
+/**
+ * Finds a board by id.
+ * @param {Array} boards - The boards.
+ * @param {string} id - The board id.
+ * @returns {Object} The board.
+ */
+const find = (boards, id) => boards.find((item) => item.id === id);
+
+describe('moving todos between boards', () => {
+  const start = () => [
+    board('home', 'Home', [{ id: 1, title: 'Paint fence', order: 0 }, { id: 2, title: 'Mow lawn' }]),
+    board('work', 'Work', [{ id: 3, title: 'Send report' }]),
+  ];
+
+  it('takes the todos off one board and puts them on the other', () => {
+    const boards = moveTodosToBoard(start(), 'home', [{ id: 1, title: 'Paint fence', order: 0 }], 'work', NOW);
+    expect(idsByBoard(boards)).toEqual({ home: [2], work: [3, 1] });
+    expect(currentTodos(find(boards, 'work').history)[1]).toEqual({
+      id: 1,
+      title: 'Paint fence',
+      boardId: 'work',
+      createdAt: NOW,
+      updatedAt: NOW,
+    });
+    expect(find(boards, 'home').history.entries[1].label).toBe("Moved 'Paint fence' to 'Work'");
+    expect(find(boards, 'work').history.entries[1].label).toBe("Moved 'Paint fence' from 'Home'");
+  });
+
+  it('carries the todos back on undo and forth again on redo', () => {
+    const moved = moveTodosToBoard(start(), 'home', [{ id: 1, title: 'Paint fence' }], 'work', NOW);
+
+    const undone = jumpBoard(moved, 'home', 0, NOW);
+    expect(idsByBoard(undone)).toEqual({ home: [1, 2], work: [3] });
+    expect(find(undone, 'work').history.entries.at(-1).label).toBe("Moved 'Paint fence' to 'Home'");
+
+    const redone = jumpBoard(undone, 'home', 1, NOW);
+    expect(idsByBoard(redone)).toEqual({ home: [2], work: [3, 1] });
+    expect(currentTodos(find(redone, 'work').history)[1].boardId).toBe('work');
+  });
+
+  it('carries the todos back when the move is undone on the board they went to', () => {
+    const moved = moveTodosToBoard(start(), 'home', [{ id: 1, title: 'Paint fence' }], 'work', NOW);
+    expect(idsByBoard(jumpBoard(moved, 'work', 0, NOW))).toEqual({ home: [2, 1], work: [3] });
+  });
+
+  it('leaves the boards alone when the position does not change', () => {
+    const boards = start();
+    expect(jumpBoard(boards, 'home', 0, NOW)).toBe(boards);
+  });
+
+  it('takes the todos back from wherever they went when the target board was deleted', () => {
+    const boards = [...start(), board('errands', 'Errands')];
+    const moved = moveTodosToBoard(boards, 'home', [{ id: 1, title: 'Paint fence' }], 'work', NOW);
+    const deleted = removeBoard(moved, 'work', 'errands', NOW);
+    expect(idsByBoard(deleted)).toEqual({ home: [2], errands: [3, 1] });
+
+    const undone = jumpBoard(deleted, 'home', 0, NOW);
+    expect(idsByBoard(undone)).toEqual({ home: [1, 2], errands: [3] });
+    expect(boardTodos(undone).map((todo) => todo.id).sort()).toEqual([1, 2, 3]);
+  });
+});
+
+describe('distributeTodos', () => {
+  it('records an entry only on the boards whose todos changed', () => {
+    const boards = [board('home', 'Home', [{ id: 1, title: 'Paint fence' }]), board('work', 'Work')];
+    const todos = [...boardTodos(boards), { id: 2, title: 'Send report', boardId: 'work' }];
+    const distributed = distributeTodos(boards, todos, 'Synced changes from another tab');
+    expect(find(distributed, 'home')).toBe(boards[0]);
+    expect(idsByBoard(distributed)).toEqual({ home: [1], work: [2] });
+    expect(find(distributed, 'work').history.entries[1].label).toBe('Synced changes from another tab');
+  });
+
+  it('returns the same boards when nothing changed', () => {
+    const boards = [board('home', 'Home', [{ id: 1, title: 'Paint fence' }])];
+    expect(distributeTodos(boards, boardTodos(boards), 'Synced')).toBe(boards);
+  });
+
+  it('gives todos on an unknown board a board of their own', () => {
+    const boards = [board('home', 'Home')];
+    const distributed = distributeTodos(boards, [{ id: 1, title: 'Plan trip', boardId: 'travel' }], 'Synced');
+    expect(find(distributed, 'travel')).toMatchObject({ id: 'travel', name: 'Untitled board' });
+    expect(idsByBoard(distributed)).toEqual({ home: [], travel: [1] });
+  });
+
+  it('puts todos without a board on the default board', () => {
+    const distributed = distributeTodos([], [{ id: 1, title: 'Paint fence' }], 'Opened list');
+    expect(distributed).toHaveLength(1);
+    expect(distributed[0]).toMatchObject({ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME });
+    expect(currentTodos(distributed[0].history)).toEqual([{ id: 1, title: 'Paint fence', boardId: DEFAULT_BOARD_ID }]);
+  });
+});
+
+describe('removeBoard', () => {
+  it('moves the todos of the deleted board to the target board without their order', () => {
+    const boards = [
+      board('home', 'Home', [{ id: 1, title: 'Paint fence' }]),
+      board('work', 'Work', [{ id: 2, title: 'Send report', order: 3 }]),
+    ];
+    const remaining = removeBoard(boards, 'work', 'home', NOW);
+    expect(idsByBoard(remaining)).toEqual({ home: [1, 2] });
+    expect(currentTodos(remaining[0].history)[1]).not.toHaveProperty('order');
+    expect(remaining[0].history.entries[1].label).toBe("Moved 'Send report' from deleted board 'Work'");
+  });
+
+  it('leaves the target board alone when the deleted board was empty', () => {
+    const boards = [board('home', 'Home', [{ id: 1, title: 'Paint fence' }]), board('work', 'Work')];
+    expect(removeBoard(boards, 'work', 'home', NOW)).toEqual([boards[0]]);
+  });
+});
+
+describe('applyBoardList', () => {
+  it('follows the names and order of the list and adds boards created elsewhere', () => {
+    const boards = [board('home', 'Home'), board('work', 'Work')];
+    const applied = applyBoardList(boards, [
+      { id: 'work', name: 'Office' },
+      { id: 'home', name: 'Home' },
+      { id: 'travel', name: 'Travel' },
+    ]);
+    expect(applied.map((item) => [item.id, item.name])).toEqual([
+      ['work', 'Office'],
+      ['home', 'Home'],
+      ['travel', 'Travel'],
+    ]);
+    expect(applied[1]).toBe(boards[0]);
+    expect(currentTodos(applied[2].history)).toEqual([]);
+  });
+
+  it('keeps a board deleted elsewhere until it holds no todos', () => {
+    const boards = [board('home', 'Home'), board('work', 'Work', [{ id: 1, title: 'Send report' }]), board('old', 'Old')];
+    expect(applyBoardList(boards, [{ id: 'home', name: 'Home' }]).map((item) => item.id)).toEqual(['home', 'work']);
+  });
+});
+
+describe('loadBoards', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('puts todos saved before there were boards on the default board', async () => {
+    const { boards, activeBoardId } = await loadBoards([{ id: 1, title: 'Paint fence' }]);
+    expect(activeBoardId).toBe(DEFAULT_BOARD_ID);
+    expect(boards).toHaveLength(1);
+    expect(boards[0]).toMatchObject({ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME });
+    expect(currentTodos(boards[0].history)).toEqual([{ id: 1, title: 'Paint fence', boardId: DEFAULT_BOARD_ID }]);
+  });
+
+  it('keeps a history saved before there were boards for the default board', async () => {
+    const todos = [{ id: 1, title: 'Paint fence', boardId: DEFAULT_BOARD_ID }];
+    const history = {
+      entries: [
+        { label: 'Opened list', todos: [], timestamp: NOW },
+        { label: "Added 'Paint fence'", todos, timestamp: NOW },
+      ],
+      position: 1,
+    };
+    localStorage.setItem(HISTORY_KEY, JSON.stringify({ version: 2, ...history }));
+    const { boards } = await loadBoards(todos);
+    expect(boards[0].history.entries.map((entry) => entry.label)).toEqual(['Opened list', "Added 'Paint fence'"]);
+  });
+});
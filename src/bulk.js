@@ -0,0 +1,81 @@
+import { completeOccurrence } from './recurrence';
+import { stopTimer } from './timeTracking';
+
+/**
+ * Lists the ids from the anchor to the clicked todo, inclusive, in board order.
+ * @param {Array} orderedIds - The ids of the visible todos in board order.
+ * @param {number|string} anchorId - The id clicked before, without Shift.
+ * @param {number|string} id - The id Shift-clicked now.
+ * @returns {Array} The ids in the range, or just the clicked id when the anchor is not visible.
+ */
+export function selectRange(orderedIds, anchorId, id) {
+  const start = orderedIds.indexOf(anchorId);
+  const end = orderedIds.indexOf(id);
+  if (start === -1 || end === -1) {
+    return [id];
+  }
+  return orderedIds.slice(Math.min(start, end), Math.max(start, end) + 1);
+}
+
+/**
+ * Describes a number of todos for history labels, e.g. "1 task" or "3 tasks".
+ * @param {number} count - The number of todos.
+ * @returns {string} The description.
+ */
+export function describeCount(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+/**
+ * Marks the selected todos complete or incomplete. Completing a recurring todo
+ * creates its next occurrence, and completing any todo stops its timer, as
+ * completing it on its card does.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the selected todos.
+ * @param {boolean} completed - Whether to complete or uncomplete them.
+ * @param {number} nextId - The first id for newly created occurrences.
+ * @param {number} now - The current time in milliseconds, for stopping timers.
+ * @returns {Array} The updated todos.
+ */
+export function completeTodos(todos, ids, completed, nextId = Date.now(), now = Date.now()) {
+  const occurrences = [];
+  const updated = todos.map((todo) => {
+    if (!ids.includes(todo.id) || todo.completed === completed) {
+      return todo;
+    }
+    if (!completed) {
+      return { ...todo, completed };
+    }
+    const stopped = stopTimer(todo, now);
+    if (stopped.recurrence) {
+      const result = completeOccurrence(stopped, nextId + occurrences.length);
+      if (result.next) {
+        occurrences.push(result.next);
+      }
+      return result.completed;
+    }
+    return { ...stopped, completed };
+  });
+  return [...updated, ...occurrences];
+}
+
+/**
+ * Applies the same field changes to every selected todo. A todo moved to another
+ * priority loses its manual position, as when it is edited in the modal.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the selected todos.
+ * @param {Object} changes - The fields to change.
+ * @returns {Array} The updated todos.
+ */
+export function updateTodos(todos, ids, changes) {
+  return todos.map((todo) => {
+    if (!ids.includes(todo.id)) {
+      return todo;
+    }
+    const updated = { ...todo, ...changes };
+    if (changes.priority && changes.priority !== todo.priority) {
+      delete updated.order;
+    }
+    return updated;
+  });
+}
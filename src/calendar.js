@@ -0,0 +1,105 @@
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { PRIORITIES } from './ordering';
+
+// Ways of laying out the todos, then the archive and trash lists and the dashboard
+export const VIEWS = [
+  { value: 'board', label: 'Board' },
+  { value: 'month', label: 'Month' },
+  { value: 'agenda', label: 'Week' },
+  { value: 'archive', label: 'Archive' },
+  { value: 'trash', label: 'Trash' },
+  { value: 'stats', label: 'Stats' },
+];
+
+/**
+ * Lists the seven days of the week that contains a date.
+ * @param {Date} date - The date.
+ * @returns {Array} The days, Sunday first.
+ */
+export function weekDays(date) {
+  const start = startOfWeek(date);
+  return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+}
+
+/**
+ * Lists the weeks shown for a month, padded with days of the neighbouring months
+ * so every week is complete.
+ * @param {Date} date - Any date in the month.
+ * @returns {Array} The weeks, each an array of seven days.
+ */
+export function monthWeeks(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  const weeks = [];
+  for (let start = startOfWeek(first); start <= last; start = addDays(start, 7)) {
+    weeks.push(weekDays(start));
+  }
+  return weeks;
+}
+
+/**
+ * Compares two todos due on the same day: timed ones first by time, then by priority.
+ * @param {Object} a - The first todo.
+ * @param {Object} b - The second todo.
+ * @returns {number} The sort order.
+ */
+function compareSameDay(a, b) {
+  if ((a.dueTime || '') !== (b.dueTime || '')) {
+    if (!a.dueTime || !b.dueTime) {
+      return a.dueTime ? -1 : 1;
+    }
+    return a.dueTime < b.dueTime ? -1 : 1;
+  }
+  return PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority);
+}
+
+/**
+ * Groups dated todos by their due date, each day sorted by time and priority.
+ * @param {Array} todos - The todos.
+ * @returns {Object} The todos keyed by YYYY-MM-DD due date.
+ */
+export function groupByDueDate(todos) {
+  const groups = {};
+  todos
+    .filter((todo) => todo.dueDate)
+    .forEach((todo) => {
+      groups[todo.dueDate] = [...(groups[todo.dueDate] || []), todo];
+    });
+  Object.values(groups).forEach((group) => group.sort(compareSameDay));
+  return groups;
+}
+
+/**
+ * Moves a todo to another due date. Unscheduling it also drops its due time and
+ * reminders, which only mean something on a due date.
+ * @param {Array} todos - The todos.
+ * @param {number|string} id - The id of the todo to move.
+ * @param {string} dueDate - The new YYYY-MM-DD due date, or '' to unschedule it.
+ * @returns {Array} The updated todos, or the same array if nothing changed.
+ */
+export function rescheduleTodo(todos, id, dueDate) {
+  const todo = todos.find((item) => item.id === id);
+  if (!todo || todo.dueDate === dueDate) {
+    return todos;
+  }
+  return todos.map((item) => {
+    if (item.id !== id) {
+      return item;
+    }
+    if (dueDate) {
+      return { ...item, dueDate };
+    }
+    const { dueTime, reminders, ...rest } = item;
+    return { ...rest, dueDate };
+  });
+}
+
+/**
+ * Checks whether a date is today.
+ * @param {Date} date - The date.
+ * @param {Date} now - The current date.
+ * @returns {boolean} Whether both fall on the same day.
+ */
+export function isToday(date, now = new Date()) {
+  return toDateKey(date) === toDateKey(now);
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { rescheduleTodo } from './calendar';
+
+const TODO = { id: 1, title: 'Dentist', dueDate: '2026-10-19', dueTime: '09:30', reminders: [15, 60] };
+
+describe('rescheduleTodo', () => {
+  it('moves a todo to another day, keeping its time and reminders', () => {
+    expect(rescheduleTodo([TODO], 1, '2026-10-21')).toEqual([{ ...TODO, dueDate: '2026-10-21' }]);
+  });
+
+  it('drops the due time and reminders when unscheduling', () => {
+    expect(rescheduleTodo([TODO], 1, '')).toEqual([{ id: 1, title: 'Dentist', dueDate: '' }]);
+  });
+
+  it('returns the same todos when the date does not change', () => {
+    const todos = [TODO];
+    expect(rescheduleTodo(todos, 1, '2026-10-19')).toBe(todos);
+    expect(rescheduleTodo(todos, 2, '')).toBe(todos);
+  });
+});
@@ -0,0 +1,82 @@
+// Chip colour classes, written out in full so Tailwind keeps them in the build
+export const COLORS = {
+  gray: 'bg-gray-200 text-gray-800',
+  red: 'bg-red-100 text-red-800',
+  orange: 'bg-orange-100 text-orange-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  green: 'bg-green-100 text-green-800',
+  teal: 'bg-teal-100 text-teal-800',
+  blue: 'bg-blue-100 text-blue-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  purple: 'bg-purple-100 text-purple-800',
+  pink: 'bg-pink-100 text-pink-800',
+};
+
+// Categories every list starts with; their ids match the values older builds stored on todos
+export const DEFAULT_CATEGORIES = [
+  { id: 'general', name: 'General', color: 'gray' },
+  { id: 'work', name: 'Work', color: 'blue' },
+  { id: 'personal', name: 'Personal', color: 'green' },
+];
+
+/**
+ * Finds a category by id. Todos can refer to ids with no category, for example after
+ * an import or an undo past a deletion, so unknown ids get a grey stand-in.
+ * @param {Array} categories - The categories.
+ * @param {string} id - The category id.
+ * @returns {Object} The category ({ id, name, color }).
+ */
+export function getCategory(categories, id) {
+  return (
+    categories.find((category) => category.id === id) || {
+      id,
+      name: id ? id.charAt(0).toUpperCase() + id.slice(1) : 'None',
+      color: 'gray',
+    }
+  );
+}
+
+/**
+ * Creates a category with an id derived from its name and unique among the categories.
+ * @param {Array} categories - The existing categories.
+ * @param {string} name - The category name.
+ * @param {string} color - One of the COLORS keys.
+ * @returns {Object} The new category.
+ */
+export function createCategory(categories, name, color) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+  let id = base;
+  for (let suffix = 2; categories.some((category) => category.id === id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: name.trim(), color };
+}
+
+/**
+ * Collects every tag used by the todos, for autocomplete and filtering.
+ * @param {Array} todos - The todos.
+ * @returns {Array} The tags, sorted.
+ */
+export function collectTags(todos) {
+  return [...new Set(todos.flatMap((todo) => todo.tags || []))].sort();
+}
+
+/**
+ * Normalises a typed tag: trimmed, lowercase, without a leading '#' and with spaces as dashes.
+ * @param {string} tag - The typed tag.
+ * @returns {string} The tag, or an empty string if nothing is left.
+ */
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Picks a stable chip colour for a tag from its name.
+ * @param {string} tag - The tag.
+ * @returns {string} The chip's colour classes.
+ */
+export function tagColor(tag) {
+  const names = Object.keys(COLORS);
+  const hash = [...tag].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return COLORS[names[hash % names.length]];
+}
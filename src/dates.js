@@ -0,0 +1,40 @@
+/**
+ * Formats a date as a local YYYY-MM-DD string, the format used by todo due dates.
+ * @param {Date} date - The date to format.
+ * @returns {string} The date key.
+ */
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses a YYYY-MM-DD string as a local date (new Date() would read it as UTC).
+ * @param {string} dateKey - The date key.
+ * @returns {Date} The date at local midnight.
+ */
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Adds a number of days to a date, at local midnight.
+ * @param {Date} date - The starting date.
+ * @param {number} days - The number of days to add (negative to go back).
+ * @returns {Date} The new date.
+ */
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Returns the Sunday starting the week that contains a date. Every view that groups
+ * by week (the calendar, the due date filter and the statistics) starts it here.
+ * @param {Date} date - The date.
+ * @returns {Date} The start of the week, at local midnight.
+ */
+export function startOfWeek(date) {
+  return addDays(date, -date.getDay());
+}
@@ -0,0 +1,83 @@
+import { toDateKey, parseDateKey } from './dates';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Returns the moment a todo is due: its due time on its due date, or the end of the
+ * due date when it has no time.
+ * @param {Object} todo - The todo.
+ * @returns {Date|null} The due moment, or null when the todo has no due date.
+ */
+export function dueMoment(todo) {
+  if (!todo.dueDate) {
+    return null;
+  }
+  const date = parseDateKey(todo.dueDate);
+  if (todo.dueTime) {
+    const [hours, minutes] = todo.dueTime.split(':').map(Number);
+    date.setHours(hours, minutes);
+  } else {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Checks whether an open todo is past its due date (or due time, when it has one).
+ * @param {Object} todo - The todo.
+ * @param {Date} now - The current date.
+ * @returns {boolean} Whether the todo is overdue.
+ */
+export function isOverdue(todo, now = new Date()) {
+  const due = dueMoment(todo);
+  return Boolean(due) && !todo.completed && due < now;
+}
+
+/**
+ * Formats a duration as the largest whole unit, e.g. "3 days", "2h" or "15m".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+  if (ms >= DAY) {
+    const days = Math.floor(ms / DAY);
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+  }
+  if (ms >= HOUR) {
+    return `${Math.floor(ms / HOUR)}h`;
+  }
+  return `${Math.max(1, Math.floor(ms / MINUTE))}m`;
+}
+
+/**
+ * Describes when a todo is due relative to now, e.g. "due in 2h", "due tomorrow"
+ * or "3 days overdue". Dates without a time are compared by calendar day.
+ * @param {Object} todo - The todo.
+ * @param {Date} now - The current date.
+ * @returns {string} The label, or an empty string when the todo has no due date.
+ */
+export function relativeDueLabel(todo, now = new Date()) {
+  if (!todo.dueDate) {
+    return '';
+  }
+  if (!todo.dueTime) {
+    const days = Math.round((parseDateKey(todo.dueDate) - parseDateKey(toDateKey(now))) / DAY);
+    if (days === 0) {
+      return 'due today';
+    }
+    if (days === 1) {
+      return 'due tomorrow';
+    }
+    if (days > 1) {
+      return `due in ${days} days`;
+    }
+    return todo.completed ? '' : `${formatDuration(-days * DAY)} overdue`;
+  }
+  const remaining = dueMoment(todo) - now;
+  if (remaining >= 0) {
+    return `due in ${formatDuration(remaining)}`;
+  }
+  return todo.completed ? '' : `${formatDuration(-remaining)} overdue`;
+}
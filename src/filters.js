@@ -0,0 +1,175 @@
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { isOverdue } from './due';
+
+// Default filter state, matching every todo
+export const DEFAULT_FILTERS = {
+  query: '',
+  category: '',
+  tag: '',
+  status: 'all',
+  due: 'all',
+};
+
+export const STATUS_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'open', label: 'Open' },
+  { value: 'completed', label: 'Completed' },
+];
+
+export const DUE_OPTIONS = [
+  { value: 'all', label: 'Any date' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'This week' },
+  { value: 'none', label: 'No date' },
+];
+
+// Query string parameter used for each filter field
+const QUERY_PARAMS = {
+  query: 'q',
+  category: 'category',
+  tag: 'tag',
+  status: 'status',
+  due: 'due',
+};
+
+/**
+ * Reads the filter state from a URL query string.
+ * @param {string} search - The query string, e.g. window.location.search.
+ * @returns {Object} The filter state.
+ */
+export function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    if (params.has(param)) {
+      filters[field] = params.get(param);
+    }
+  });
+  if (!STATUS_OPTIONS.some((option) => option.value === filters.status)) {
+    filters.status = DEFAULT_FILTERS.status;
+  }
+  if (!DUE_OPTIONS.some((option) => option.value === filters.due)) {
+    filters.due = DEFAULT_FILTERS.due;
+  }
+  return filters;
+}
+
+/**
+ * Writes the filter state into a URL query string, leaving unrelated parameters and
+ * omitting filters that are at their default value.
+ * @param {string} search - The current query string.
+ * @param {Object} filters - The filter state.
+ * @returns {string} The new query string, including the leading '?' when not empty.
+ */
+export function serializeFilters(search, filters) {
+  const params = new URLSearchParams(search);
+  Object.entries(QUERY_PARAMS).forEach(([field, param]) => {
+    if (filters[field] && filters[field] !== DEFAULT_FILTERS[field]) {
+      params.set(param, filters[field]);
+    } else {
+      params.delete(param);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Checks whether any filter differs from its default.
+ * @param {Object} filters - The filter state.
+ * @returns {boolean} Whether the board is filtered.
+ */
+export function isFiltered(filters) {
+  return Object.keys(DEFAULT_FILTERS).some((field) => filters[field] !== DEFAULT_FILTERS[field]);
+}
+
+/**
+ * Checks whether a todo's due date falls in the given range.
+ * @param {Object} todo - The todo to check.
+ * @param {string} range - One of the DUE_OPTIONS values.
+ * @param {Date} now - The current date.
+ * @returns {boolean} Whether the due date is in range.
+ */
+function matchesDueRange(todo, range, now) {
+  const { dueDate } = todo;
+  if (range === 'all') {
+    return true;
+  }
+  if (range === 'none') {
+    return !dueDate;
+  }
+  if (range === 'overdue') {
+    return isOverdue(todo, now);
+  }
+  if (!dueDate) {
+    return false;
+  }
+  if (range === 'today') {
+    return dueDate === toDateKey(now);
+  }
+  // This week runs from Sunday to Saturday, as in the calendar
+  const weekStart = startOfWeek(now);
+  const weekEnd = addDays(weekStart, 6);
+  return dueDate >= toDateKey(weekStart) && dueDate <= toDateKey(weekEnd);
+}
+
+/**
+ * Checks whether a todo matches every active filter.
+ * @param {Object} todo - The todo to check.
+ * @param {Object} filters - The filter state.
+ * @param {Date} now - The current date.
+ * @returns {boolean} Whether the todo should be shown.
+ */
+export function matchesFilters(todo, filters, now = new Date()) {
+  const query = filters.query.trim().toLowerCase();
+  if (
+    query &&
+    !(todo.title || '').toLowerCase().includes(query) &&
+    !(todo.body || '').toLowerCase().includes(query)
+  ) {
+    return false;
+  }
+  if (filters.category && todo.category !== filters.category) {
+    return false;
+  }
+  if (filters.tag && !(todo.tags || []).includes(filters.tag)) {
+    return false;
+  }
+  if (filters.status === 'open' && todo.completed) {
+    return false;
+  }
+  if (filters.status === 'completed' && !todo.completed) {
+    return false;
+  }
+  return matchesDueRange(todo, filters.due, now);
+}
+
+/**
+ * Splits text into parts, marking those that match the search query (case-insensitive).
+ * @param {string} text - The text to split.
+ * @param {string} query - The search query.
+ * @returns {Array} The parts as { text, match } objects.
+ */
+export function splitMatches(text, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return [{ text, match: false }];
+  }
+  const parts = [];
+  const haystack = text.toLowerCase();
+  let start = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    if (index > start) {
+      parts.push({ text: text.slice(start, index), match: false });
+    }
+    parts.push({ text: text.slice(index, index + needle.length), match: true });
+    start = index + needle.length;
+    index = haystack.indexOf(needle, start);
+  }
+  if (start < text.length) {
+    parts.push({ text: text.slice(start), match: false });
+  }
+  return parts;
+}
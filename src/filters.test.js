@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FILTERS, matchesFilters } from './filters';
+
+// Monday 19 October 2026
+const NOW = new Date(2026, 9, 19, 9, 30);
+
+describe('matchesFilters', () => {
+  it('counts this week from Sunday to Saturday, as the calendar and stats do', () => {
+    const dueThisWeek = (dueDate) => matchesFilters({ title: 'Gym', dueDate }, { ...DEFAULT_FILTERS, due: 'week' }, NOW);
+    expect(dueThisWeek('2026-10-17')).toBe(false);
+    expect(dueThisWeek('2026-10-18')).toBe(true);
+    expect(dueThisWeek('2026-10-24')).toBe(true);
+    expect(dueThisWeek('2026-10-25')).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+// Maximum number of entries kept in the undo/redo log
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Creates a fresh history containing a single entry.
+ * @param {Array} todos - The todos the history starts from.
+ * @param {string} label - Description of the starting point.
+ * @returns {Object} The history ({ entries, position }).
+ */
+export function createHistory(todos, label = 'Opened list') {
+  return {
+    entries: [{ label, todos, timestamp: Date.now() }],
+    position: 0,
+  };
+}
+
+/**
+ * Records a named operation after the current position, dropping any redo entries
+ * and the oldest entries beyond HISTORY_LIMIT.
+ * @param {Object} history - The current history.
+ * @param {Array} todos - The todos after the operation.
+ * @param {string} label - Description of the operation, e.g. "Deleted 'Ship release'".
+ * @param {Object} [move] - For todos moved to or from another board, { ids, boardId } of that board.
+ * @returns {Object} The new history.
+ */
+export function pushHistory(history, todos, label, move = null) {
+  const entries = [
+    ...history.entries.slice(0, history.position + 1),
+    { label, todos, timestamp: Date.now(), ...(move && { move }) },
+  ].slice(-HISTORY_LIMIT);
+  return { entries, position: entries.length - 1 };
+}
+
+/**
+ * Moves the history to the given position, clamped to the available entries.
+ * @param {Object} history - The current history.
+ * @param {number} position - The index of the entry to jump to.
+ * @returns {Object} The new history.
+ */
+export function jumpTo(history, position) {
+  const clamped = Math.max(0, Math.min(position, history.entries.length - 1));
+  if (clamped === history.position) {
+    return history;
+  }
+  return { ...history, position: clamped };
+}
+
+/**
+ * Returns the todos at the current history position.
+ * @param {Object} history - The current history.
+ * @returns {Array} The current todos.
+ */
+export function currentTodos(history) {
+  return history.entries[history.position].todos;
+}
+
+/**
+ * Describes the step between two histories, for screen reader announcements.
+ * @param {Object} previous - The history before the change.
+ * @param {Object} history - The history after the change.
+ * @returns {string|null} The announcement, or null when nothing changed.
+ */
+export function describeHistoryChange(previous, history) {
+  if (previous === history) {
+    return null;
+  }
+  const entry = history.entries[history.position];
+  if (!previous.entries.includes(entry)) {
+    return entry.label;
+  }
+  if (history.position === previous.position - 1) {
+    return `Undid ${previous.entries[previous.position].label}`;
+  }
+  if (history.position === previous.position + 1) {
+    return `Redid ${entry.label}`;
+  }
+  return history.position === previous.position ? null : `Jumped to ${entry.label}`;
+}
+
+/**
+ * Formats a todo title for use in a history label.
+ * @param {Object} todo - The todo being described.
+ * @returns {string} The quoted title.
+ */
+export function describeTodo(todo) {
+  return `'${todo && todo.title ? todo.title : 'Untitled'}'`;
+}
+
+/**
+ * Checks that a value read from storage has the shape of a history.
+ * @param {*} history - The parsed value.
+ * @returns {boolean} Whether the value can be used as a history.
+ */
+function isValidHistory(history) {
+  return (
+    history !== null &&
+    typeof history === 'object' &&
+    Array.isArray(history.entries) &&
+    history.entries.length > 0 &&
+    history.entries.every((entry) => entry && Array.isArray(entry.todos)) &&
+    Number.isInteger(history.position) &&
+    history.position >= 0 &&
+    history.position < history.entries.length
+  );
+}
+
+/**
+ * Picks up the history saved for a list of todos, falling back to a fresh history when
+ * none is saved or it no longer matches the saved todos.
+ * @param {*} savedHistory - The history read from storage, if any.
+ * @param {Array} todos - The todos loaded from storage.
+ * @returns {Object} The history.
+ */
+export function restoreHistory(savedHistory, todos) {
+  if (
+    isValidHistory(savedHistory) &&
+    JSON.stringify(currentTodos(savedHistory)) === JSON.stringify(todos)
+  ) {
+    return savedHistory;
+  }
+  return createHistory(todos);
+}
@@ -0,0 +1,90 @@
+const DB_NAME = 'todo-app';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+let databasePromise = null;
+
+/**
+ * Checks whether IndexedDB can be used in this browser.
+ * @returns {boolean} Whether IndexedDB is available.
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Opens the app's database, creating the key/value store on first use. The
+ * connection is shared by every call.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The database is blocked by another tab.'));
+    });
+    // Allow a later call to retry after a failed open
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against the key/value store.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} createRequest - Function called with the store that returns a request.
+ * @returns {Promise<*>} The request's result, once its transaction completes.
+ */
+async function runRequest(mode, createRequest) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || request.error);
+  });
+}
+
+/**
+ * Reads a value from the store.
+ * @param {string} key - The key to read.
+ * @returns {Promise<*>} The value, or undefined when the key is not set.
+ */
+export function idbGet(key) {
+  return runRequest('readonly', (store) => store.get(key));
+}
+
+/**
+ * Writes a value to the store.
+ * @param {string} key - The key to write.
+ * @param {*} value - The value to write.
+ * @returns {Promise<void>}
+ */
+export function idbSet(key, value) {
+  return runRequest('readwrite', (store) => store.put(value, key));
+}
+
+/**
+ * Removes a value from the store.
+ * @param {string} key - The key to remove.
+ * @returns {Promise<void>}
+ */
+export function idbDelete(key) {
+  return runRequest('readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Lists every key in the store.
+ * @returns {Promise<Array>} The keys.
+ */
+export function idbKeys() {
+  return runRequest('readonly', (store) => store.getAllKeys());
+}
@@ -0,0 +1,513 @@
+import { toDateKey } from './dates';
+import { normalizeTag } from './categories';
+import { normalizeRecurrence } from './recurrence';
+
+// Fields written to CSV exports, in column order
+export const CSV_FIELDS = ['title', 'body', 'priority', 'category', 'dueDate', 'completed'];
+
+// Fields compared when looking for duplicates and conflicts
+const CONTENT_FIELDS = CSV_FIELDS;
+
+const PRIORITY_VALUES = ['high', 'medium', 'low'];
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+];
+
+/**
+ * Serializes todos as a JSON backup.
+ * @param {Array} todos - The todos to export.
+ * @returns {string} The JSON text.
+ */
+export function toJSON(todos) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), todos }, null, 2);
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * @param {*} value - The field value.
+ * @returns {string} The escaped field.
+ */
+export function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes todos as CSV with a header row.
+ * @param {Array} todos - The todos to export.
+ * @returns {string} The CSV text.
+ */
+export function toCSV(todos) {
+  const rows = todos.map((todo) => CSV_FIELDS.map((field) => escapeCsvField(todo[field])).join(','));
+  return [CSV_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Serializes todos as a Markdown checklist. Priority, category and due date follow
+ * the title in parentheses; the body and a nested checklist of subtasks are indented
+ * below the item.
+ * @param {Array} todos - The todos to export.
+ * @returns {string} The Markdown text.
+ */
+export function toMarkdown(todos) {
+  const items = todos.map((todo) => {
+    const details = [`priority: ${todo.priority}`, `category: ${todo.category}`];
+    if (todo.dueDate) {
+      details.push(`due: ${todo.dueDate}`);
+    }
+    const lines = [`- [${todo.completed ? 'x' : ' '}] ${todo.title} (${details.join(', ')})`];
+    if (todo.body) {
+      todo.body.split(/\r?\n/).forEach((line) => lines.push(`  ${line}`));
+    }
+    (todo.subtasks || []).forEach((subtask) => {
+      lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.title}`);
+    });
+    return lines.join('\n');
+  });
+  return ['# Todos', '', ...items, ''].join('\n');
+}
+
+/**
+ * Serializes todos in the given export format.
+ * @param {Array} todos - The todos to export.
+ * @param {string} format - One of the EXPORT_FORMATS values.
+ * @returns {string} The exported text.
+ */
+export function serializeTodos(todos, format) {
+  if (format === 'csv') {
+    return toCSV(todos);
+  }
+  if (format === 'markdown') {
+    return toMarkdown(todos);
+  }
+  return toJSON(todos);
+}
+
+/**
+ * Downloads text as a file through a temporary link.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The name to save the file under.
+ * @param {string} mimeType - The file's MIME type.
+ */
+export function downloadFile(text, fileName, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads todos as a file in the given export format.
+ * @param {Array} todos - The todos to export.
+ * @param {string} format - One of the EXPORT_FORMATS values.
+ */
+export function downloadTodos(todos, format) {
+  const { extension, mimeType } = EXPORT_FORMATS.find((option) => option.value === format);
+  downloadFile(serializeTodos(todos, format), `todos-${toDateKey(new Date())}.${extension}`, mimeType);
+}
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields with embedded
+ * delimiters, quotes and line breaks.
+ * @param {string} text - The CSV text.
+ * @returns {Array} The rows, each an array of strings.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into raw todo records.
+ * @param {string} text - The CSV text.
+ * @returns {Array} The raw records.
+ */
+function parseCSV(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const fields = header.map((name) => name.trim());
+  if (!fields.includes('title')) {
+    throw new Error('The CSV file needs a header row with at least a "title" column.');
+  }
+  return rows.map((values) =>
+    Object.fromEntries(fields.map((name, index) => [name, values[index] === undefined ? '' : values[index]]))
+  );
+}
+
+/**
+ * Parses a Markdown checklist in the format written by toMarkdown into raw todo records.
+ * Lines that are not checklist items or indented body text are ignored.
+ * @param {string} text - The Markdown text.
+ * @returns {Array} The raw records.
+ */
+function parseMarkdown(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^[-*] \[([ xX])\] (.*)$/);
+    if (item) {
+      const record = { title: item[2].trim(), completed: item[1] !== ' ' };
+      const details = record.title.match(/^(.*?)\s*\(((?:\w+: [^,()]*)(?:, \w+: [^,()]*)*)\)$/);
+      if (details) {
+        record.title = details[1];
+        details[2].split(', ').forEach((pair) => {
+          const [key, ...rest] = pair.split(': ');
+          const value = rest.join(': ').trim();
+          if (key === 'due') {
+            record.dueDate = value;
+          } else if (key === 'priority' || key === 'category') {
+            record[key] = value;
+          }
+        });
+      }
+      records.push(record);
+      return;
+    }
+    const subtask = line.match(/^ {2}[-*] \[([ xX])\] (.*)$/);
+    if (records.length && subtask) {
+      const record = records[records.length - 1];
+      record.subtasks = [
+        ...(record.subtasks || []),
+        { id: (record.subtasks || []).length + 1, title: subtask[2].trim(), completed: subtask[1] !== ' ' },
+      ];
+    } else if (records.length && /^ {2}/.test(line)) {
+      const record = records[records.length - 1];
+      record.body = record.body === undefined ? line.slice(2) : `${record.body}\n${line.slice(2)}`;
+    }
+  });
+  return records;
+}
+
+/**
+ * Parses a JSON backup, either a bare array of todos or an object with a todos array.
+ * @param {string} text - The JSON text.
+ * @returns {Array} The raw records.
+ */
+function parseJSON(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data && data.todos;
+  if (!Array.isArray(records)) {
+    throw new Error('The JSON file does not contain a list of todos.');
+  }
+  return records;
+}
+
+/**
+ * Works out the format of an imported file from its name, falling back to its content.
+ * @param {string} fileName - The file name.
+ * @param {string} text - The file content.
+ * @returns {string} One of the EXPORT_FORMATS values.
+ */
+export function detectFormat(fileName, text) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') {
+    return 'json';
+  }
+  if (extension === 'csv') {
+    return 'csv';
+  }
+  if (extension === 'md' || extension === 'markdown') {
+    return 'markdown';
+  }
+  const start = text.trim().charAt(0);
+  if (start === '[' || start === '{') {
+    return 'json';
+  }
+  return /^\s*[-*] \[[ xX]\]/m.test(text) ? 'markdown' : 'csv';
+}
+
+/**
+ * Validates a raw record and converts it to a todo.
+ * @param {*} record - The raw record.
+ * @returns {Object} { todo } when valid, or { errors } listing what is wrong.
+ */
+export function validateTodo(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['is not an object'] };
+  }
+  const errors = [];
+  const todo = { ...record };
+
+  if (typeof todo.title !== 'string' || !todo.title.trim()) {
+    errors.push('title is required');
+  } else {
+    todo.title = todo.title.trim();
+  }
+  if (todo.body === undefined || todo.body === null) {
+    todo.body = '';
+  } else if (typeof todo.body !== 'string') {
+    errors.push('body must be text');
+  }
+  todo.priority = typeof todo.priority === 'string' && todo.priority.trim()
+    ? todo.priority.trim().toLowerCase()
+    : 'medium';
+  if (!PRIORITY_VALUES.includes(todo.priority)) {
+    errors.push(`priority must be one of ${PRIORITY_VALUES.join(', ')}`);
+  }
+  if (todo.category === undefined || todo.category === null || todo.category === '') {
+    todo.category = 'general';
+  } else if (typeof todo.category !== 'string') {
+    errors.push('category must be text');
+  } else {
+    todo.category = todo.category.trim().toLowerCase();
+  }
+  if (todo.dueDate === undefined || todo.dueDate === null) {
+    todo.dueDate = '';
+  } else if (typeof todo.dueDate !== 'string' || (todo.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate))) {
+    errors.push('dueDate must be a date in YYYY-MM-DD format');
+  }
+  if (todo.dueTime !== undefined && (typeof todo.dueTime !== 'string' || (todo.dueTime && !/^\d{2}:\d{2}$/.test(todo.dueTime)))) {
+    errors.push('dueTime must be a time in HH:MM format');
+  }
+  if (
+    todo.reminders !== undefined &&
+    (!Array.isArray(todo.reminders) || !todo.reminders.every((offset) => Number.isInteger(offset) && offset >= 0))
+  ) {
+    errors.push('reminders must be a list of minutes before the due time');
+  }
+  if (todo.completed === 'true' || todo.completed === 'false') {
+    todo.completed = todo.completed === 'true';
+  } else if (todo.completed === undefined || todo.completed === null || todo.completed === '') {
+    todo.completed = false;
+  } else if (typeof todo.completed !== 'boolean') {
+    errors.push('completed must be true or false');
+  }
+  if (todo.subtasks !== undefined) {
+    if (
+      !Array.isArray(todo.subtasks) ||
+      !todo.subtasks.every((subtask) => subtask && typeof subtask.title === 'string')
+    ) {
+      errors.push('subtasks must be a list of items with a title');
+    } else {
+      todo.subtasks = todo.subtasks.map((subtask, index) => ({
+        id: Number.isInteger(subtask.id) ? subtask.id : index + 1,
+        title: subtask.title,
+        completed: subtask.completed === true,
+      }));
+    }
+  }
+  if (todo.tags !== undefined) {
+    if (!Array.isArray(todo.tags) || !todo.tags.every((tag) => typeof tag === 'string')) {
+      errors.push('tags must be a list of text');
+    } else {
+      todo.tags = [...new Set(todo.tags.map(normalizeTag).filter(Boolean))];
+    }
+  }
+  if (todo.recurrence !== undefined && todo.recurrence !== null) {
+    const recurrence = normalizeRecurrence(todo.recurrence);
+    // Weekdays are dropped rather than rejected when cleaning a rule, so compare them too
+    if (!recurrence || JSON.stringify(recurrence.weekdays) !== JSON.stringify(todo.recurrence.weekdays || [])) {
+      errors.push(
+        'recurrence must have a known frequency, weekdays from 0 to 6, a monthDay from 1 to 31 and an interval of 1 or more'
+      );
+    } else {
+      todo.recurrence = recurrence;
+    }
+  }
+  if (todo.estimate === null) {
+    delete todo.estimate;
+  } else if (todo.estimate !== undefined && !(typeof todo.estimate === 'number' && todo.estimate >= 0 && todo.estimate < Infinity)) {
+    errors.push('estimate must be a number of minutes');
+  }
+  if (
+    todo.timeEntries !== undefined &&
+    (!Array.isArray(todo.timeEntries) ||
+      !todo.timeEntries.every(
+        (entry) =>
+          entry &&
+          typeof entry.id === 'number' &&
+          typeof entry.start === 'number' &&
+          (entry.end === null || (typeof entry.end === 'number' && entry.end >= entry.start))
+      ))
+  ) {
+    errors.push('timeEntries must be a list of entries with an id, a start and an end that is null or after the start');
+  }
+  if (todo.id !== undefined && typeof todo.id !== 'number' && typeof todo.id !== 'string') {
+    errors.push('id must be a number or text');
+  }
+
+  return errors.length ? { errors } : { todo };
+}
+
+/**
+ * Parses and validates an imported file.
+ * @param {string} fileName - The file name.
+ * @param {string} text - The file content.
+ * @returns {Object} { format, todos, errors } where errors lists the rejected records.
+ */
+export function parseImport(fileName, text) {
+  const format = detectFormat(fileName, text);
+  let records;
+  if (format === 'json') {
+    records = parseJSON(text);
+  } else if (format === 'csv') {
+    records = parseCSV(text);
+  } else {
+    records = parseMarkdown(text);
+  }
+
+  const todos = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const result = validateTodo(record);
+    if (result.todo) {
+      todos.push(result.todo);
+    } else {
+      errors.push(`Item ${index + 1}: ${result.errors.join('; ')}`);
+    }
+  });
+  return { format, todos: stopExtraTimers(todos, Date.now()), errors };
+}
+
+/**
+ * Keeps one timer running at most: the first running time entry in the imported todos
+ * stays open, and any others are closed as if their timers were stopped now.
+ * @param {Array} todos - The validated imported todos.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Array} The todos, with the extra running entries closed.
+ */
+function stopExtraTimers(todos, now) {
+  let running = false;
+  return todos.map((todo) => {
+    if (!todo.timeEntries) {
+      return todo;
+    }
+    return {
+      ...todo,
+      timeEntries: todo.timeEntries.map((entry) => {
+        if (entry.end !== null) {
+          return entry;
+        }
+        if (!running) {
+          running = true;
+          return entry;
+        }
+        return { ...entry, end: Math.max(now, entry.start) };
+      }),
+    };
+  });
+}
+
+/**
+ * Checks whether two todos have the same content, ignoring ids and ordering.
+ * @param {Object} a - The first todo.
+ * @param {Object} b - The second todo.
+ * @returns {boolean} Whether the content matches.
+ */
+function sameContent(a, b) {
+  return CONTENT_FIELDS.every((field) => a[field] === b[field]);
+}
+
+/**
+ * Compares imported todos with the existing list. An imported todo is a duplicate
+ * when an existing todo has the same content, a conflict when an existing todo has
+ * its id but different content, and new otherwise.
+ * @param {Array} existingTodos - The current todos.
+ * @param {Array} importedTodos - The validated imported todos.
+ * @returns {Object} { added, duplicates, conflicts }, conflicts as { existing, imported } pairs.
+ */
+export function compareImport(existingTodos, importedTodos) {
+  const added = [];
+  const duplicates = [];
+  const conflicts = [];
+  importedTodos.forEach((imported) => {
+    const sameId = imported.id !== undefined
+      ? existingTodos.find((todo) => String(todo.id) === String(imported.id))
+      : undefined;
+    if (sameId ? sameContent(sameId, imported) : existingTodos.some((todo) => sameContent(todo, imported))) {
+      duplicates.push(imported);
+    } else if (sameId) {
+      conflicts.push({ existing: sameId, imported });
+    } else {
+      added.push(imported);
+    }
+  });
+  return { added, duplicates, conflicts };
+}
+
+/**
+ * Gives todos without an id, or with an id already taken, a fresh numeric id.
+ * @param {Array} todos - The todos to assign ids to.
+ * @param {Array} takenIds - Ids already in use.
+ * @returns {Array} The todos with unique ids.
+ */
+function assignIds(todos, takenIds) {
+  const taken = new Set(takenIds.map(String));
+  let nextId = Date.now();
+  return todos.map((todo) => {
+    if (todo.id !== undefined && !taken.has(String(todo.id))) {
+      taken.add(String(todo.id));
+      return todo;
+    }
+    while (taken.has(String(nextId))) {
+      nextId++;
+    }
+    taken.add(String(nextId));
+    return { ...todo, id: nextId };
+  });
+}
+
+/**
+ * Applies an import to the existing list. Ids stay unique across every board, so a
+ * file exported from one board and imported into another gets fresh ids there.
+ * @param {Array} existingTodos - The current todos.
+ * @param {Array} importedTodos - The validated imported todos.
+ * @param {string} mode - 'merge' to add to the list, 'replace' to replace it.
+ * @param {boolean} overwriteConflicts - When merging, whether imported todos replace existing ones with the same id.
+ * @param {Array} otherBoardIds - The ids of the todos on the other boards.
+ * @returns {Array} The new todos array.
+ */
+export function applyImport(existingTodos, importedTodos, mode, overwriteConflicts = false, otherBoardIds = []) {
+  if (mode === 'replace') {
+    return assignIds(importedTodos, otherBoardIds);
+  }
+  const { added, conflicts } = compareImport(existingTodos, importedTodos);
+  const replacements = new Map(
+    overwriteConflicts ? conflicts.map(({ existing, imported }) => [existing.id, { ...imported, id: existing.id }]) : []
+  );
+  const merged = existingTodos.map((todo) => replacements.get(todo.id) || todo);
+  // Added todos keep their id unless it is taken, and lose any manual order from the other list
+  const newTodos = added.map(({ order, ...todo }) => todo);
+  return [...merged, ...assignIds(newTodos, [...merged.map((todo) => todo.id), ...otherBoardIds])];
+}
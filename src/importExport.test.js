@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { applyImport } from './importExport';
+
+// A file exported from the first board
+const EXPORTED = [
+  { id: 1, title: 'Paint fence', body: '', priority: 'high', category: 'home', dueDate: '', completed: false },
+  { id: 2, title: 'Mow lawn', body: '', priority: 'low', category: 'home', dueDate: '', completed: false, order: 0 },
+];
+
+describe('applyImport', () => {
+  it('keeps imported ids that are free on every board', () => {
+    expect(applyImport([], EXPORTED, 'merge', false, [7]).map((todo) => todo.id)).toEqual([1, 2]);
+    expect(applyImport([], EXPORTED, 'replace', false, [7]).map((todo) => todo.id)).toEqual([1, 2]);
+  });
+
+  it.each(['merge', 'replace'])('gives todos imported into a second board fresh ids in %s mode', (mode) => {
+    const existing = [{ id: 3, title: 'Send report', body: '', priority: 'medium', category: 'work', dueDate: '' }];
+    const imported = applyImport(existing, EXPORTED, mode, false, [1, 2]);
+    const ids = imported.map((todo) => todo.id);
+    expect(new Set([...ids, 1, 2]).size).toBe(ids.length + 2);
+    expect(imported.filter((todo) => todo.title !== 'Send report').map((todo) => todo.title)).toEqual([
+      'Paint fence',
+      'Mow lawn',
+    ]);
+  });
+
+  it('drops the manual order of merged todos', () => {
+    expect(applyImport([], EXPORTED, 'merge')[1]).not.toHaveProperty('order');
+  });
+
+  it('replaces a conflicting todo on the same board when asked', () => {
+    const existing = [{ ...EXPORTED[0], title: 'Paint the fence' }];
+    expect(applyImport(existing, [EXPORTED[0]], 'merge', true)).toEqual([EXPORTED[0]]);
+    expect(applyImport(existing, [EXPORTED[0]], 'merge', false)).toEqual(existing);
+  });
+});
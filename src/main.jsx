@@ -1,10 +1,56 @@
 import React from 'react';
     import ReactDOM from 'react-dom/client';
     import App from './App.jsx';
+    import {
+      loadTodos,
+      loadCategories,
+      loadFiredReminders,
+      loadView,
+      loadSettings,
+      loadDrafts,
+      loadSyncState,
+    } from './storage';
+    import { loadBoards } from './boards';
+    import { createRestAdapter } from './remoteSync';
     import './index.css';
 
-    ReactDOM.createRoot(document.getElementById('root')).render(
-      <React.StrictMode>
-        <App />
-      </React.StrictMode>,
-    )
+    // Remote sync is on when a server is configured, e.g. VITE_SYNC_URL=/api for `npm run server`
+    const syncAdapter = import.meta.env.VITE_SYNC_URL ? createRestAdapter(import.meta.env.VITE_SYNC_URL) : null;
+
+    // Storage is asynchronous (IndexedDB), so load the saved todos before the first render
+    loadTodos().then(async ({ todos, error, newerVersion }) => {
+      // Starting the app over tasks saved by a newer build would save over them, so only show the error
+      if (newerVersion) {
+        ReactDOM.createRoot(document.getElementById('root')).render(
+          <div className="bg-red-100 text-red-800 p-4 rounded-lg m-4" role="alert">
+            <p>{error}</p>
+          </div>
+        );
+        return;
+      }
+      const [loaded, categories, firedReminders, view, settings, drafts, syncState] = await Promise.all([
+        loadBoards(todos),
+        loadCategories(),
+        loadFiredReminders(),
+        loadView(),
+        loadSettings(),
+        loadDrafts(),
+        loadSyncState(),
+      ]);
+      ReactDOM.createRoot(document.getElementById('root')).render(
+        <React.StrictMode>
+          <App
+            initialBoards={loaded.boards}
+            initialBoardId={loaded.activeBoardId}
+            initialCategories={categories}
+            initialError={error}
+            initialFiredReminders={firedReminders}
+            initialView={view}
+            initialSettings={settings}
+            initialDrafts={drafts}
+            initialSyncState={syncState}
+            syncAdapter={syncAdapter}
+          />
+        </React.StrictMode>,
+      )
+    });
@@ -0,0 +1,93 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { splitMatches } from './filters';
+
+// Links in task bodies open in a new tab, without access to this page
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Wraps the parts of every text node matching the search query in <mark> elements.
+ * @param {Node} root - The node whose text to highlight.
+ * @param {string} query - The search query.
+ */
+function highlightText(root, query) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+  textNodes.forEach((node) => {
+    const parts = splitMatches(node.textContent, query);
+    if (parts.length === 1 && !parts[0].match) {
+      return;
+    }
+    const fragment = root.ownerDocument.createDocumentFragment();
+    parts.forEach((part) => {
+      if (part.match) {
+        const mark = root.ownerDocument.createElement('mark');
+        mark.className = 'bg-yellow-200 dark:text-gray-900 rounded-sm';
+        mark.textContent = part.text;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(root.ownerDocument.createTextNode(part.text));
+      }
+    });
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Cuts the text of a node after a number of characters, marking the cut with an
+ * ellipsis. Only the rendered text counts, and the markup around what is kept stays
+ * intact, so a preview never shows half a link or half of its Markdown source.
+ * @param {Node} root - The node whose text to cut.
+ * @param {number} length - The most characters of text to keep.
+ */
+function truncateRendered(root, length) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = length;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    // Line breaks between blocks are not shown, so they take nothing from the length
+    if (!node.textContent.trim()) {
+      continue;
+    }
+    if (node.textContent.length <= remaining) {
+      remaining -= node.textContent.length;
+      continue;
+    }
+    const range = root.ownerDocument.createRange();
+    range.setStart(node, remaining);
+    range.setEnd(root, root.childNodes.length);
+    range.deleteContents();
+    node.textContent += '...';
+    return;
+  }
+}
+
+/**
+ * Renders a todo body written in Markdown to sanitised HTML. Raw HTML in the body
+ * is kept only where it is safe, so scripts and event handlers never reach the page.
+ * @param {string} text - The Markdown source.
+ * @param {string} query - Search query to highlight in the rendered text.
+ * @param {number} length - The most characters of rendered text to show, for previews.
+ * @returns {string} The HTML.
+ */
+export function renderMarkdown(text, query = '', length = Infinity) {
+  const html = marked.parse(text, { gfm: true, breaks: true, async: false });
+  // The rendered text is never longer than its source
+  if (!query.trim() && text.length <= length) {
+    return DOMPurify.sanitize(html);
+  }
+  const body = DOMPurify.sanitize(html, { RETURN_DOM: true });
+  truncateRendered(body, length);
+  if (query.trim()) {
+    highlightText(body, query);
+  }
+  return body.innerHTML;
+}
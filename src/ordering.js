@@ -0,0 +1,110 @@
+import { dueMoment } from './due';
+
+// Priority columns, in display order
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Returns the time a todo is due, for sorting. Todos without a valid due date sort last.
+ * @param {Object} todo - The todo.
+ * @returns {number} The due time in milliseconds, or Infinity.
+ */
+function dueSortKey(todo) {
+  const due = dueMoment(todo);
+  return due && !Number.isNaN(due.getTime()) ? due.getTime() : Infinity;
+}
+
+/**
+ * Compares two todos in the same column. Manually ordered todos come first by their
+ * order field; the rest follow by due date, with undated todos last.
+ * @param {Object} a - The first todo.
+ * @param {Object} b - The second todo.
+ * @returns {number} The sort order.
+ */
+export function compareTodos(a, b) {
+  const aOrdered = Number.isFinite(a.order);
+  const bOrdered = Number.isFinite(b.order);
+  if (aOrdered && bOrdered) {
+    return a.order - b.order;
+  }
+  if (aOrdered !== bOrdered) {
+    return aOrdered ? -1 : 1;
+  }
+  const aDue = dueSortKey(a);
+  const bDue = dueSortKey(b);
+  return aDue === bDue ? 0 : aDue < bDue ? -1 : 1;
+}
+
+/**
+ * Returns the todos of one priority column in display order.
+ * @param {Array} todos - All todos.
+ * @param {string} priority - The column's priority.
+ * @returns {Array} The sorted column.
+ */
+export function sortColumn(todos, priority) {
+  return todos.filter((todo) => todo.priority === priority).sort(compareTodos);
+}
+
+/**
+ * Moves a todo to a position in a priority column, changing its priority if needed
+ * and renumbering the order of every todo in the target column.
+ * @param {Array} todos - All todos.
+ * @param {number} id - The ID of the todo to move.
+ * @param {string} priority - The target column's priority.
+ * @param {number|null} beforeId - The ID of the todo to place it before (null for the end).
+ * @returns {Array} The new todos array.
+ */
+export function moveTodo(todos, id, priority, beforeId = null) {
+  const movedTodo = todos.find((todo) => todo.id === id);
+  if (!movedTodo || beforeId === id) {
+    return todos;
+  }
+  const column = sortColumn(todos, priority).filter((todo) => todo.id !== id);
+  const index = column.findIndex((todo) => todo.id === beforeId);
+  column.splice(index === -1 ? column.length : index, 0, { ...movedTodo, priority });
+  const orders = new Map(column.map((todo, order) => [todo.id, order]));
+  const changed = column.some((todo) => {
+    const original = todos.find((item) => item.id === todo.id);
+    return original.priority !== priority || original.order !== orders.get(todo.id);
+  });
+  if (!changed) {
+    return todos;
+  }
+  return todos.map((todo) =>
+    orders.has(todo.id) ? { ...todo, priority, order: orders.get(todo.id) } : todo
+  );
+}
+
+/**
+ * Moves a todo one step up or down within its column, past the next card shown there.
+ * @param {Array} todos - All todos.
+ * @param {number} id - The ID of the todo to move.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ * @param {Array} visibleTodos - The todos shown on the board, so filtered-out, archived
+ *   and deleted todos are skipped over rather than swapped with.
+ * @returns {Array} The new todos array (unchanged at the ends of the column).
+ */
+export function shiftTodo(todos, id, offset, visibleTodos = todos) {
+  const movedTodo = todos.find((todo) => todo.id === id);
+  if (!movedTodo) {
+    return todos;
+  }
+  const column = sortColumn(visibleTodos, movedTodo.priority);
+  const index = column.findIndex((todo) => todo.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= column.length) {
+    return todos;
+  }
+  // Moving down means placing it before the todo after its new neighbour
+  const before = offset < 0 ? column[target] : column[target + 1];
+  return moveTodo(todos, id, movedTodo.priority, before ? before.id : null);
+}
+
+/**
+ * Returns the neighbouring priority column.
+ * @param {string} priority - The current priority.
+ * @param {number} offset - -1 for the column to the left, 1 for the column to the right.
+ * @returns {string|null} The neighbouring priority, or null at the edge of the board.
+ */
+export function adjacentPriority(priority, offset) {
+  return PRIORITIES[PRIORITIES.indexOf(priority) + offset] || null;
+}
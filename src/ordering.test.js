@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { sortColumn, shiftTodo } from './ordering';
+
+const TODOS = [
+  { id: 1, priority: 'high', order: 0 },
+  { id: 2, priority: 'high', order: 1 },
+  { id: 3, priority: 'high', order: 2 },
+  { id: 4, priority: 'high', order: 3 },
+  { id: 5, priority: 'low', order: 0 },
+];
+
+/**
+ * Lists the ids of the high priority column in display order.
+ * @param {Array} todos - The todos.
+ * @returns {Array} The ids.
+ */
+const highColumn = (todos) => sortColumn(todos, 'high').map((todo) => todo.id);
+
+describe('shiftTodo', () => {
+  it('swaps a todo with its neighbour', () => {
+    expect(highColumn(shiftTodo(TODOS, 2, -1))).toEqual([2, 1, 3, 4]);
+    expect(highColumn(shiftTodo(TODOS, 2, 1))).toEqual([1, 3, 2, 4]);
+  });
+
+  it('leaves the todos alone at the ends of the column', () => {
+    expect(shiftTodo(TODOS, 1, -1)).toBe(TODOS);
+    expect(shiftTodo(TODOS, 4, 1)).toBe(TODOS);
+  });
+
+  it('moves past the next shown todo, skipping hidden ones', () => {
+    const visible = TODOS.filter((todo) => todo.id !== 2 && todo.id !== 3);
+    expect(highColumn(shiftTodo(TODOS, 4, -1, visible))).toEqual([4, 1, 2, 3]);
+    expect(highColumn(shiftTodo(TODOS, 1, 1, visible))).toEqual([2, 3, 4, 1]);
+  });
+
+  it('leaves the todos alone at the ends of the shown column', () => {
+    const visible = TODOS.filter((todo) => todo.id !== 1);
+    expect(shiftTodo(TODOS, 2, -1, visible)).toBe(TODOS);
+  });
+
+  it('leaves a todo that is not shown where it is', () => {
+    expect(shiftTodo(TODOS, 2, 1, TODOS.filter((todo) => todo.id !== 2))).toBe(TODOS);
+  });
+});
@@ -0,0 +1,71 @@
+// Themes offered in the preferences; "system" follows the operating system
+export const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'system', label: 'System' },
+];
+
+// Accent colours offered in the preferences; their shades are defined in index.css
+export const ACCENTS = [
+  { value: 'purple', label: 'Purple' },
+  { value: 'blue', label: 'Blue' },
+  { value: 'indigo', label: 'Indigo' },
+  { value: 'green', label: 'Green' },
+];
+
+// Shortest and longest card title and body previews, in characters
+export const TITLE_LENGTH_RANGE = { min: 10, max: 100 };
+export const BODY_LENGTH_RANGE = { min: 20, max: 1000 };
+
+// Copy of the theme and accent kept in localStorage, which index.html reads to apply
+// them before the first paint, while the settings are still loading
+export const APPEARANCE_KEY = 'appearance';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Checks whether the operating system asks for a dark theme.
+ * @returns {boolean} Whether dark is preferred.
+ */
+function prefersDark() {
+  return Boolean(window.matchMedia) && window.matchMedia(DARK_QUERY).matches;
+}
+
+/**
+ * Applies the theme and accent colour to the page, and remembers them for the next load.
+ * @param {Object} settings - The settings, with theme and accent.
+ */
+export function applyAppearance({ theme, accent }) {
+  const root = document.documentElement;
+  root.classList.toggle('dark', theme === 'dark' || (theme === 'system' && prefersDark()));
+  root.dataset.accent = accent;
+  try {
+    localStorage.setItem(APPEARANCE_KEY, JSON.stringify({ theme, accent }));
+  } catch (error) {
+    console.error('Error saving the theme:', error);
+  }
+}
+
+/**
+ * Calls back whenever the operating system switches between light and dark.
+ * @param {Function} callback - Function called on each switch.
+ * @returns {Function} Function that stops watching.
+ */
+export function watchSystemTheme(callback) {
+  if (!window.matchMedia) {
+    return () => {};
+  }
+  const query = window.matchMedia(DARK_QUERY);
+  query.addEventListener('change', callback);
+  return () => query.removeEventListener('change', callback);
+}
+
+/**
+ * Shortens text for a card preview, marking the cut with an ellipsis.
+ * @param {string} text - The text.
+ * @param {number} length - The most characters to keep.
+ * @returns {string} The text, shortened if it was longer.
+ */
+export function truncateText(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
@@ -0,0 +1,223 @@
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { normalizeTag } from './categories';
+
+// Priority markers, e.g. "!high"; 1 to 3 match the board's priority shortcuts
+const PRIORITY_MARKERS = {
+  high: 'high',
+  medium: 'medium',
+  med: 'medium',
+  low: 'low',
+  1: 'high',
+  2: 'medium',
+  3: 'low',
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+// Counts written out in words, for "in a week" or "in two days"
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+/**
+ * Finds the name a word abbreviates, e.g. "fri" or "thurs", from its first three letters on.
+ * @param {Array} names - The full names.
+ * @param {string} word - The word typed.
+ * @returns {number} The index of the name, or -1.
+ */
+function nameIndex(names, word) {
+  const lower = word.toLowerCase();
+  return lower.length >= 3 ? names.findIndex((name) => name.startsWith(lower)) : -1;
+}
+
+/**
+ * Adds months to a date, moving days past the end of the month (e.g. the 31st in
+ * April) to its last day.
+ * @param {Date} date - The starting date.
+ * @param {number} months - The number of months to add.
+ * @returns {Date} The new date.
+ */
+function addMonths(date, months) {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * Finds the next date with the given month and day, today included.
+ * @param {Date} today - Today, at local midnight.
+ * @param {number} month - The month (0-11).
+ * @param {number} day - The day of the month.
+ * @returns {Date|null} The date, or null when the month has no such day.
+ */
+function nextMonthDay(today, month, day) {
+  for (const year of [today.getFullYear(), today.getFullYear() + 1]) {
+    const date = new Date(year, month, day);
+    if (date.getMonth() === month && date >= today) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/*
+ * The due date phrases understood, tried in order. Each pattern matches a whole phrase,
+ * and resolve turns its match into a date, or null when the words only look like a date.
+ */
+const DATE_PHRASES = [
+  {
+    // 2026-11-03
+    pattern: '(\\d{4})-(\\d{2})-(\\d{2})',
+    resolve: (today, [, year, month, day]) => {
+      const date = new Date(Number(year), Number(month) - 1, Number(day));
+      return date.getMonth() === Number(month) - 1 ? date : null;
+    },
+  },
+  {
+    pattern: '(today|tonight)',
+    resolve: (today) => today,
+  },
+  {
+    pattern: '(tomorrow|tmrw|tmr)',
+    resolve: (today) => addDays(today, 1),
+  },
+  {
+    // in 3 days, in a week, in two months
+    pattern: 'in\\s+(\\d+|[a-z]+)\\s+(day|week|month)s?',
+    resolve: (today, [, amount, unit]) => {
+      const count = /^\d+$/.test(amount) ? Number(amount) : NUMBER_WORDS[amount.toLowerCase()];
+      if (!count) {
+        return null;
+      }
+      if (unit.toLowerCase() === 'month') {
+        return addMonths(today, count);
+      }
+      return addDays(today, unit.toLowerCase() === 'week' ? count * 7 : count);
+    },
+  },
+  {
+    // fri and on friday: the next Friday, today included; next fri: Friday of next week
+    pattern: '(?:on\\s+)?(?:(next|this)\\s+)?([a-z]+)',
+    resolve: (today, [, modifier, word]) => {
+      const weekday = nameIndex(WEEKDAYS, word);
+      if (weekday === -1) {
+        return null;
+      }
+      if (modifier && modifier.toLowerCase() === 'next') {
+        return addDays(startOfWeek(today), 7 + weekday);
+      }
+      return addDays(today, (weekday - today.getDay() + 7) % 7);
+    },
+  },
+  {
+    // nov 3, on november 3rd
+    pattern: '(?:on\\s+)?([a-z]+)\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?',
+    resolve: (today, [, word, day]) => {
+      const month = nameIndex(MONTHS, word);
+      return month === -1 ? null : nextMonthDay(today, month, Number(day));
+    },
+  },
+  {
+    // 3 nov, on the 3rd of november
+    pattern: '(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?([a-z]+)',
+    resolve: (today, [, day, word]) => {
+      const month = nameIndex(MONTHS, word);
+      return month === -1 ? null : nextMonthDay(today, month, Number(day));
+    },
+  },
+];
+
+/**
+ * Finds the first due date phrase in the text.
+ * @param {string} text - The text typed.
+ * @param {Date} today - Today, at local midnight.
+ * @returns {Object|null} { date, index, length } of the phrase, or null when there is none.
+ */
+function findDate(text, today) {
+  for (const { pattern, resolve } of DATE_PHRASES) {
+    // A phrase stands alone between spaces or the ends of the text; a comma after it goes with it
+    const regex = new RegExp(`(^|\\s)${pattern},?(?=[\\s.;]|$)`, 'gi');
+    for (const match of text.matchAll(regex)) {
+      const date = resolve(today, [match[0].slice(match[1].length), ...match.slice(2)]);
+      if (date) {
+        return { date, index: match.index + match[1].length, length: match[0].length - match[1].length };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the category a "#word" names, by id or by name.
+ * @param {Array} categories - The categories.
+ * @param {string} word - The word after the #.
+ * @returns {Object|undefined} The category.
+ */
+function findCategory(categories, word) {
+  const lower = word.toLowerCase();
+  return categories.find((category) => category.id === lower || normalizeTag(category.name) === lower);
+}
+
+/**
+ * Works out a todo from a line typed into the quick-add bar, such as
+ * "Pay invoice tomorrow !high #work". "!high", "!medium" or "!low" (or !1 to !3) sets
+ * the priority, "#word" sets the category it names or else adds a tag, and a due date
+ * phrase such as "tomorrow", "next fri", "in 3 days", "nov 3" or "2026-11-03" sets the
+ * due date. Whatever is left is the title.
+ * @param {string} text - The text typed.
+ * @param {Array} categories - The categories "#word" can name.
+ * @param {Date} now - The current time, for relative dates.
+ * @returns {Object} { title, priority, category, tags, dueDate }, with null (or no tags) for parts not given.
+ */
+export function parseQuickAdd(text, categories, now) {
+  const result = { title: '', priority: null, category: null, tags: [], dueDate: null };
+  let rest = text.replace(/(^|\s)([!#])([\w-]+)(?=\s|$)/g, (match, space, marker, word) => {
+    if (marker === '!') {
+      const priority = PRIORITY_MARKERS[word.toLowerCase()];
+      if (!priority) {
+        return match;
+      }
+      result.priority = priority;
+      return space;
+    }
+    const category = !result.category && findCategory(categories, word);
+    if (category) {
+      result.category = category.id;
+    } else if (!result.tags.includes(normalizeTag(word))) {
+      result.tags.push(normalizeTag(word));
+    }
+    return space;
+  });
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const found = findDate(rest, today);
+  if (found) {
+    result.dueDate = toDateKey(found.date);
+    rest = `${rest.slice(0, found.index)}${rest.slice(found.index + found.length)}`;
+  }
+  result.title = rest.replace(/\s+/g, ' ').trim();
+  return result;
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from './quickAdd';
+import { DEFAULT_CATEGORIES } from './categories';
+
+// Monday 19 October 2026, mid-morning
+const NOW = new Date(2026, 9, 19, 9, 30);
+
+/**
+ * Parses a line against the default categories on NOW.
+ * @param {string} text - The text typed.
+ * @param {Date} now - The current time.
+ * @returns {Object} The parsed todo.
+ */
+const parse = (text, now = NOW) => parseQuickAdd(text, DEFAULT_CATEGORIES, now);
+
+describe('parseQuickAdd', () => {
+  it('picks the title, due date, priority and category out of a line', () => {
+    expect(parse('Pay invoice tomorrow !high #work')).toEqual({
+      title: 'Pay invoice',
+      priority: 'high',
+      category: 'work',
+      tags: [],
+      dueDate: '2026-10-20',
+    });
+  });
+
+  it('leaves parts that are not given as null', () => {
+    expect(parse('  Water the   plants ')).toEqual({
+      title: 'Water the plants',
+      priority: null,
+      category: null,
+      tags: [],
+      dueDate: null,
+    });
+  });
+
+  it.each([
+    ['today', '2026-10-19'],
+    ['tonight', '2026-10-19'],
+    ['tomorrow', '2026-10-20'],
+    ['in 3 days', '2026-10-22'],
+    ['in a week', '2026-10-26'],
+    ['in two weeks', '2026-11-02'],
+    ['in 2 months', '2026-12-19'],
+    ['mon', '2026-10-19'],
+    ['fri', '2026-10-23'],
+    ['on Thursday', '2026-10-22'],
+    ['this sat', '2026-10-24'],
+    ['next fri', '2026-10-30'],
+    ['next mon', '2026-10-26'],
+    ['next sunday', '2026-10-25'],
+    ['nov 3', '2026-11-03'],
+    ['on November 3rd', '2026-11-03'],
+    ['oct 1', '2027-10-01'],
+    ['3 nov', '2026-11-03'],
+    ['the 3rd of March', '2027-03-03'],
+    ['2026-12-24', '2026-12-24'],
+  ])('reads "%s" as %s', (phrase, dueDate) => {
+    const parsed = parse(`Call the bank ${phrase}`);
+    expect(parsed.dueDate).toBe(dueDate);
+    expect(parsed.title).toBe('Call the bank');
+  });
+
+  it('finds a date anywhere in the line', () => {
+    expect(parse('Tomorrow, call the bank')).toMatchObject({ title: 'call the bank', dueDate: '2026-10-20' });
+    expect(parse('Send the next fri report')).toMatchObject({ title: 'Send the report', dueDate: '2026-10-30' });
+  });
+
+  it('keeps the last day of a shorter month', () => {
+    expect(parse('Renew in 1 month', new Date(2027, 0, 31)).dueDate).toBe('2027-02-28');
+  });
+
+  it('leaves words that only look like dates in the title', () => {
+    expect(parse('Read may issue')).toMatchObject({ title: 'Read may issue', dueDate: null });
+    expect(parse('Email Sunny about feb 30')).toMatchObject({ title: 'Email Sunny about feb 30', dueDate: null });
+    expect(parse('Buy 3 apples')).toMatchObject({ title: 'Buy 3 apples', dueDate: null });
+    expect(parse('Plan 2026-02-30 launch')).toMatchObject({ title: 'Plan 2026-02-30 launch', dueDate: null });
+  });
+
+  it('reads priority markers, the last one winning', () => {
+    expect(parse('Ship it !low').priority).toBe('low');
+    expect(parse('Ship it !med').priority).toBe('medium');
+    expect(parse('Ship it !1 !3').priority).toBe('low');
+    expect(parse('Ship it !important')).toMatchObject({ title: 'Ship it !important', priority: null });
+  });
+
+  it('matches categories by id or name and turns other hashtags into tags', () => {
+    const categories = [...DEFAULT_CATEGORIES, { id: 'side-project', name: 'Side Project', color: 'pink' }];
+    expect(parseQuickAdd('Fix bug #Personal', categories, NOW).category).toBe('personal');
+    expect(parseQuickAdd('Fix bug #side-project', categories, NOW).category).toBe('side-project');
+    expect(parseQuickAdd('Fix bug #urgent #work #Urgent #home', categories, NOW)).toMatchObject({
+      title: 'Fix bug',
+      category: 'work',
+      tags: ['urgent', 'home'],
+    });
+  });
+
+  it('treats a second category as a tag', () => {
+    expect(parse('Plan trip #personal #work')).toMatchObject({ category: 'personal', tags: ['work'] });
+  });
+
+  it('leaves markers inside words alone', () => {
+    expect(parse('Reply to issue#42 now!')).toMatchObject({ title: 'Reply to issue#42 now!', tags: [] });
+  });
+});
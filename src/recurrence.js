@@ -0,0 +1,184 @@
+import { toDateKey, parseDateKey, addDays } from './dates';
+
+export const FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'interval', label: 'Every N days' },
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Creates a recurrence rule with defaults taken from the todo's due date.
+ * A rule looks like { frequency, interval, weekdays, monthDay, endDate, count, occurrence },
+ * where occurrence counts the instances created so far, starting at 1.
+ * @param {string} frequency - One of the FREQUENCY_OPTIONS values.
+ * @param {string} dueDate - The todo's due date (YYYY-MM-DD), or an empty string.
+ * @returns {Object} The recurrence rule.
+ */
+export function createRecurrence(frequency, dueDate) {
+  const start = dueDate ? parseDateKey(dueDate) : new Date();
+  return {
+    frequency,
+    interval: 2,
+    weekdays: [start.getDay()],
+    monthDay: start.getDate(),
+    endDate: '',
+    count: null,
+    occurrence: 1,
+  };
+}
+
+/**
+ * Checks a recurrence rule read from storage, an import or the server, and cleans it up
+ * so the next date can always be worked out: weekdays keeps only whole numbers 0-6,
+ * and the occurrence, count and end date fall back to their defaults when unreadable.
+ * @param {*} recurrence - The rule as read.
+ * @returns {Object|null} The cleaned rule, or null when it has an unknown frequency, a
+ *   monthDay that is not a whole number from 1 to 31, or an interval that is not a
+ *   whole number of at least 1.
+ */
+export function normalizeRecurrence(recurrence) {
+  if (
+    !recurrence ||
+    typeof recurrence !== 'object' ||
+    !FREQUENCY_OPTIONS.some((option) => option.value === recurrence.frequency) ||
+    !Number.isInteger(recurrence.monthDay) ||
+    recurrence.monthDay < 1 ||
+    recurrence.monthDay > 31 ||
+    !Number.isInteger(recurrence.interval) ||
+    recurrence.interval < 1
+  ) {
+    return null;
+  }
+  const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+  return {
+    ...recurrence,
+    weekdays: (Array.isArray(recurrence.weekdays) ? recurrence.weekdays : []).filter(
+      (day) => Number.isInteger(day) && day >= 0 && day <= 6
+    ),
+    endDate: /^\d{4}-\d{2}-\d{2}$/.test(recurrence.endDate) ? recurrence.endDate : '',
+    count: isPositiveInteger(recurrence.count) ? recurrence.count : null,
+    occurrence: isPositiveInteger(recurrence.occurrence) ? recurrence.occurrence : 1,
+  };
+}
+
+/**
+ * Returns the day the rule falls on in a given month, moving days past the end of
+ * the month (e.g. the 31st in April) to its last day.
+ * @param {number} year - The year.
+ * @param {number} month - The month (0-11).
+ * @param {number} monthDay - The rule's day of the month.
+ * @returns {Date} The date.
+ */
+function dayInMonth(year, month, monthDay) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(monthDay, lastDay));
+}
+
+/**
+ * Works out the date of the next occurrence after a given date, ignoring the end of the series.
+ * @param {string} fromDate - The current due date (YYYY-MM-DD).
+ * @param {Object} recurrence - The recurrence rule.
+ * @returns {string} The next due date (YYYY-MM-DD).
+ */
+export function nextDate(fromDate, recurrence) {
+  const from = parseDateKey(fromDate);
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = recurrence.weekdays && recurrence.weekdays.length ? recurrence.weekdays : [from.getDay()];
+    // A week holds every weekday, so a rule naming none of them still stops after it
+    let next = addDays(from, 1);
+    for (let day = 1; day < 7 && !weekdays.includes(next.getDay()); day++) {
+      next = addDays(next, 1);
+    }
+    return toDateKey(next);
+  }
+  if (recurrence.frequency === 'monthly') {
+    // Without a day of the month, the rule keeps the current due date's day
+    const monthDay = Number.isInteger(recurrence.monthDay) ? recurrence.monthDay : from.getDate();
+    const thisMonth = dayInMonth(from.getFullYear(), from.getMonth(), monthDay);
+    if (thisMonth > from) {
+      return toDateKey(thisMonth);
+    }
+    return toDateKey(dayInMonth(from.getFullYear(), from.getMonth() + 1, monthDay));
+  }
+  const interval = Number.isInteger(recurrence.interval) ? Math.max(1, recurrence.interval) : 1;
+  const days = recurrence.frequency === 'interval' ? interval : 1;
+  return toDateKey(addDays(from, days));
+}
+
+/**
+ * Works out the next occurrence of a recurring todo.
+ * @param {Object} todo - The recurring todo.
+ * @param {Date} now - The current date, used when the todo has no due date.
+ * @returns {Object|null} { dueDate, recurrence } for the next occurrence, or null once the series has ended.
+ */
+export function nextOccurrence(todo, now = new Date()) {
+  const { recurrence } = todo;
+  if (!recurrence) {
+    return null;
+  }
+  if (recurrence.count && recurrence.occurrence >= recurrence.count) {
+    return null;
+  }
+  const dueDate = nextDate(todo.dueDate || toDateKey(now), recurrence);
+  if (recurrence.endDate && dueDate > recurrence.endDate) {
+    return null;
+  }
+  return { dueDate, recurrence: { ...recurrence, occurrence: recurrence.occurrence + 1 } };
+}
+
+/**
+ * Completes a recurring todo. The completed instance keeps no rule, so reopening and
+ * completing it again does not create a second copy of the next occurrence. The next
+ * occurrence starts with its subtasks unchecked, and without the timestamps or the
+ * logged time of the todo it was copied from. It keeps the estimate.
+ * @param {Object} todo - The recurring todo.
+ * @param {number} nextId - The id for the next occurrence.
+ * @returns {Object} { completed, next } where next is null once the series has ended.
+ */
+export function completeOccurrence(todo, nextId) {
+  const { recurrence, ...rest } = todo;
+  const { createdAt, completedAt, updatedAt, timeEntries, ...template } = todo;
+  const next = nextOccurrence(todo);
+  return {
+    completed: { ...rest, completed: true },
+    next: next
+      ? {
+          ...template,
+          ...next,
+          id: nextId,
+          completed: false,
+          ...(todo.subtasks && {
+            subtasks: todo.subtasks.map((subtask) => ({ ...subtask, completed: false })),
+          }),
+        }
+      : null,
+  };
+}
+
+/**
+ * Describes a recurrence rule for display on a card.
+ * @param {Object} recurrence - The recurrence rule.
+ * @returns {string} The description, e.g. "Weekly on Mon, Thu until 2024-12-31".
+ */
+export function describeRecurrence(recurrence) {
+  let description;
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = [...(recurrence.weekdays || [])].sort().map((day) => WEEKDAY_LABELS[day]);
+    description = weekdays.length ? `Weekly on ${weekdays.join(', ')}` : 'Weekly';
+  } else if (recurrence.frequency === 'monthly') {
+    description = `Monthly on day ${recurrence.monthDay}`;
+  } else if (recurrence.frequency === 'interval') {
+    description = `Every ${recurrence.interval} days`;
+  } else {
+    description = 'Daily';
+  }
+  if (recurrence.endDate) {
+    description += ` until ${recurrence.endDate}`;
+  } else if (recurrence.count) {
+    description += ` (${recurrence.occurrence} of ${recurrence.count})`;
+  }
+  return description;
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { createRecurrence, normalizeRecurrence, nextDate, nextOccurrence } from './recurrence';
+import { validateTodo } from './importExport';
+import { repairTodo } from './storage';
+
+// Monday 19 October 2026
+const MONDAY = '2026-10-19';
+
+/**
+ * Builds a rule starting from the defaults for MONDAY.
+ * @param {string} frequency - The frequency.
+ * @param {Object} changes - Fields to change.
+ * @returns {Object} The recurrence rule.
+ */
+const rule = (frequency, changes = {}) => ({ ...createRecurrence(frequency, MONDAY), ...changes });
+
+describe('nextDate', () => {
+  it('moves a daily rule on by a day', () => {
+    expect(nextDate(MONDAY, rule('daily'))).toBe('2026-10-20');
+  });
+
+  it('moves a weekly rule to the next chosen weekday', () => {
+    expect(nextDate(MONDAY, rule('weekly', { weekdays: [3, 5] }))).toBe('2026-10-21');
+    expect(nextDate(MONDAY, rule('weekly', { weekdays: [1] }))).toBe('2026-10-26');
+    expect(nextDate('2026-10-24', rule('weekly', { weekdays: [0] }))).toBe('2026-10-25');
+  });
+
+  it('keeps the due date weekday when a weekly rule names none', () => {
+    expect(nextDate(MONDAY, rule('weekly', { weekdays: [] }))).toBe('2026-10-26');
+  });
+
+  it.each([[[7]], [[9]], [['1']], [[-1, 1.5]]])('stops after a week for weekdays %j', (weekdays) => {
+    expect(nextDate(MONDAY, rule('weekly', { weekdays }))).toBe('2026-10-26');
+  });
+
+  it('moves a monthly rule to its day this month or next', () => {
+    expect(nextDate(MONDAY, rule('monthly', { monthDay: 25 }))).toBe('2026-10-25');
+    expect(nextDate(MONDAY, rule('monthly', { monthDay: 19 }))).toBe('2026-11-19');
+    expect(nextDate(MONDAY, rule('monthly', { monthDay: 5 }))).toBe('2026-11-05');
+  });
+
+  it('moves a monthly rule past the end of a short month to its last day', () => {
+    expect(nextDate('2026-10-31', rule('monthly', { monthDay: 31 }))).toBe('2026-11-30');
+    expect(nextDate('2027-01-31', rule('monthly', { monthDay: 31 }))).toBe('2027-02-28');
+  });
+
+  it('keeps the due date day when a monthly rule has no monthDay', () => {
+    expect(nextDate(MONDAY, { frequency: 'monthly' })).toBe('2026-11-19');
+  });
+
+  it('moves an interval rule on by its number of days', () => {
+    expect(nextDate(MONDAY, rule('interval', { interval: 10 }))).toBe('2026-10-29');
+    expect(nextDate(MONDAY, { frequency: 'interval', interval: 0 })).toBe('2026-10-20');
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('counts the occurrence it creates', () => {
+    expect(nextOccurrence({ dueDate: MONDAY, recurrence: rule('daily') })).toEqual({
+      dueDate: '2026-10-20',
+      recurrence: rule('daily', { occurrence: 2 }),
+    });
+  });
+
+  it('starts from today when the todo has no due date', () => {
+    expect(nextOccurrence({ dueDate: '', recurrence: rule('daily') }, new Date(2026, 9, 19)).dueDate).toBe(
+      '2026-10-20'
+    );
+  });
+
+  it('ends the series after its count', () => {
+    const todo = { dueDate: MONDAY, recurrence: rule('daily', { count: 3, occurrence: 2 }) };
+    expect(nextOccurrence(todo).recurrence.occurrence).toBe(3);
+    expect(nextOccurrence({ ...todo, recurrence: rule('daily', { count: 3, occurrence: 3 }) })).toBeNull();
+  });
+
+  it('ends the series after its end date', () => {
+    expect(nextOccurrence({ dueDate: MONDAY, recurrence: rule('daily', { endDate: '2026-10-20' }) })).not.toBeNull();
+    expect(nextOccurrence({ dueDate: MONDAY, recurrence: rule('daily', { endDate: MONDAY }) })).toBeNull();
+  });
+
+  it('returns null for a todo that does not repeat', () => {
+    expect(nextOccurrence({ dueDate: MONDAY })).toBeNull();
+  });
+});
+
+describe('normalizeRecurrence', () => {
+  it('keeps a valid rule as it is', () => {
+    expect(normalizeRecurrence(rule('weekly', { weekdays: [1, 3] }))).toEqual(rule('weekly', { weekdays: [1, 3] }));
+  });
+
+  it('drops weekdays that are not whole numbers from 0 to 6', () => {
+    expect(normalizeRecurrence(rule('weekly', { weekdays: [1, 7, '2', 3.5, 6] })).weekdays).toEqual([1, 6]);
+  });
+
+  it('falls back to the defaults for an unreadable end date, count and occurrence', () => {
+    expect(normalizeRecurrence(rule('daily', { endDate: 'soon', count: 0, occurrence: 'two' }))).toEqual(
+      rule('daily')
+    );
+  });
+
+  it.each([
+    ['an unknown frequency', { frequency: 'yearly' }],
+    ['a missing monthDay', { monthDay: undefined }],
+    ['a monthDay past 31', { monthDay: 32 }],
+    ['an interval of 0', { interval: 0 }],
+    ['an interval that is not a number', { interval: '3' }],
+  ])('rejects a rule with %s', (label, changes) => {
+    expect(normalizeRecurrence(rule('daily', changes))).toBeNull();
+  });
+
+  it('rejects values that are not rules', () => {
+    expect(normalizeRecurrence('weekly')).toBeNull();
+    expect(normalizeRecurrence(null)).toBeNull();
+  });
+});
+
+describe('recurrence rules entering the app', () => {
+  it('rejects an imported todo with a bad rule', () => {
+    expect(validateTodo({ title: 'Gym', recurrence: { frequency: 'weekly', weekdays: [9] } }).errors).toEqual([
+      'recurrence must have a known frequency, weekdays from 0 to 6, a monthDay from 1 to 31 and an interval of 1 or more',
+    ]);
+    expect(validateTodo({ title: 'Gym', recurrence: rule('weekly', { weekdays: [1, 9] }) }).errors).toHaveLength(1);
+  });
+
+  it('imports a todo with a valid rule', () => {
+    expect(validateTodo({ title: 'Gym', recurrence: rule('weekly') }).todo.recurrence).toEqual(rule('weekly'));
+    expect(validateTodo({ title: 'Gym', recurrence: null }).todo.recurrence).toBeNull();
+  });
+
+  it('repairs stored and pulled todos, dropping rules that cannot be repaired', () => {
+    const todo = { id: 1, title: 'Gym' };
+    expect(repairTodo(todo)).toBe(todo);
+    expect(repairTodo({ ...todo, recurrence: rule('weekly', { weekdays: [9] }) })).toEqual({
+      ...todo,
+      recurrence: rule('weekly', { weekdays: [] }),
+    });
+    expect(repairTodo({ ...todo, recurrence: { frequency: 'monthly' } })).toEqual(todo);
+  });
+});
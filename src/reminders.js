@@ -0,0 +1,117 @@
+import { dueMoment } from './due';
+
+// Reminder offsets a todo can choose, in minutes before it is due
+export const REMINDER_OPTIONS = [
+  { value: 0, label: 'At due time' },
+  { value: 15, label: '15 minutes before' },
+  { value: 60, label: '1 hour before' },
+  { value: 1440, label: '1 day before' },
+];
+
+// Reminders missed by more than this (e.g. while the browser was closed) are dropped
+const MISSED_REMINDER_LIMIT = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the reminders of every open todo with a due date.
+ * @param {Array} todos - The todos.
+ * @returns {Array} The reminders as { tag, title, body, at } with at in milliseconds.
+ *   The tag changes when the due date changes, so a rescheduled todo reminds again.
+ */
+export function collectReminders(todos) {
+  return todos.flatMap((todo) => {
+    const due = dueMoment(todo);
+    if (!due || todo.completed || !todo.reminders) {
+      return [];
+    }
+    return todo.reminders.map((offset) => {
+      const at = due.getTime() - offset * 60 * 1000;
+      return {
+        tag: `todo-${todo.id}-${offset}-${at}`,
+        title: todo.title,
+        body: `Due ${todo.dueTime ? `at ${todo.dueTime} ` : ''}on ${todo.dueDate}`,
+        at,
+      };
+    });
+  });
+}
+
+/**
+ * Picks the reminders that should be shown now.
+ * @param {Array} reminders - The reminders from collectReminders.
+ * @param {Array} firedTags - Tags of reminders already shown.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Array} The reminders to show.
+ */
+export function dueReminders(reminders, firedTags, now = Date.now()) {
+  return reminders.filter(
+    (reminder) => reminder.at <= now && reminder.at > now - MISSED_REMINDER_LIMIT && !firedTags.includes(reminder.tag)
+  );
+}
+
+/**
+ * Drops tags of reminders too old to fire again, so the fired list does not grow forever.
+ * @param {Array} firedTags - Tags of reminders already shown.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Array} The tags still worth keeping.
+ */
+export function pruneFiredTags(firedTags, now = Date.now()) {
+  return firedTags.filter((tag) => Number(tag.split('-').pop()) > now - MISSED_REMINDER_LIMIT);
+}
+
+/**
+ * Checks whether this browser can show notifications.
+ * @returns {boolean} Whether the Notification API is available.
+ */
+export function notificationsSupported() {
+  return typeof Notification !== 'undefined';
+}
+
+/**
+ * Asks the service worker for periodic wake-ups, where supported, so reminders can be
+ * checked while the app is closed. Needs notification permission.
+ */
+export async function enableBackgroundReminders() {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if ('periodicSync' in registration) {
+      await registration.periodicSync.register('todo-reminders', { minInterval: 15 * 60 * 1000 });
+    }
+  } catch (error) {
+    console.error('Error enabling background reminders:', error);
+  }
+}
+
+/**
+ * Hands the upcoming reminders to the service worker, which schedules them for when the app is closed.
+ * @param {Array} reminders - The reminders from collectReminders.
+ */
+export async function scheduleInWorker(reminders) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  // Wait for the worker registered at startup to activate
+  const registration = await navigator.serviceWorker.ready;
+  registration.active.postMessage({ type: 'schedule-reminders', reminders });
+}
+
+/**
+ * Shows a reminder notification. Notifications share the reminder's tag, so one the
+ * service worker already showed is replaced rather than duplicated.
+ * @param {Object} reminder - The reminder.
+ */
+export async function showReminder(reminder) {
+  const options = { body: reminder.body, tag: reminder.tag, icon: '/icon-192.png' };
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(reminder.title, options);
+    } else {
+      new Notification(reminder.title, options);
+    }
+  } catch (error) {
+    console.error('Error showing a reminder:', error);
+  }
+}
@@ -0,0 +1,251 @@
+import { sameTodos } from './sync';
+import { repairTodo } from './storage';
+
+// How often to pull changes made on other machines
+export const PULL_INTERVAL = 30 * 1000;
+// Wait after a local change before pushing, so a burst of edits goes out together
+const PUSH_DELAY = 1000;
+
+/*
+ * A sync adapter connects the app to a remote store of todos. Any object with these
+ * two methods can be passed to createRemoteSync:
+ * - pull(since) resolves to { todos, serverTime }: every todo the server stored after
+ *   the given server time, including soft-deleted todos and the tombstones
+ *   ({ id, purged: true }) of todos removed from the trash.
+ * - push(todo) resolves to the server's copy of the todo after the push. When the
+ *   server already holds a newer version, by updatedAt, it keeps and returns that one.
+ * Both reject when the server cannot be reached.
+ */
+
+/**
+ * Creates a sync adapter for the REST API served by server/index.js.
+ * @param {string} baseUrl - The API root, e.g. '/api'.
+ * @returns {Object} The adapter ({ pull, push }).
+ */
+export function createRestAdapter(baseUrl) {
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(`The sync server responded with ${response.status}.`);
+    }
+    return response.json();
+  };
+  return {
+    pull: (since) => request(`/todos?since=${since}`),
+    push: (todo) => request(`/todos/${encodeURIComponent(todo.id)}`, { method: 'PUT', body: JSON.stringify(todo) }),
+  };
+}
+
+/**
+ * Removes the timestamp from a todo, so versions can be compared by content.
+ * @param {Object|undefined} todo - The todo.
+ * @returns {Object|undefined} The todo without updatedAt.
+ */
+function withoutStamp(todo) {
+  if (!todo) {
+    return todo;
+  }
+  const { updatedAt, ...rest } = todo;
+  return rest;
+}
+
+/**
+ * Checks whether two versions of a todo have the same content, ignoring when they were saved.
+ * @param {Object|undefined} a - The first version.
+ * @param {Object|undefined} b - The second version.
+ * @returns {boolean} Whether they match.
+ */
+export function sameContent(a, b) {
+  return sameTodos(withoutStamp(a), withoutStamp(b));
+}
+
+/**
+ * Works out the changes waiting to be pushed. A todo is queued when it differs from
+ * the server's copy, and a todo the server has but the list no longer does is queued
+ * as a tombstone. A change undone before it was pushed drops out of the queue.
+ * @param {Array} queue - The changes queued so far.
+ * @param {Object} known - The server's copy of each todo, keyed by id.
+ * @param {Array} todos - The current todos.
+ * @param {number} now - The current time, stamped on newly queued changes.
+ * @returns {Array} The new queue.
+ */
+export function queueChanges(queue, known, todos, now) {
+  const queued = new Map(queue.map((todo) => [String(todo.id), todo]));
+  const current = new Set(todos.map((todo) => String(todo.id)));
+  const changes = todos
+    .filter((todo) => !sameContent(todo, known[String(todo.id)]))
+    .map((todo) => {
+      const previous = queued.get(String(todo.id));
+      // Restamp only when the todo changed again, so the server sees the latest edit as newest
+      return previous && sameContent(previous, todo) ? previous : { ...todo, updatedAt: now };
+    });
+  const removals = Object.keys(known)
+    .filter((id) => !current.has(id) && !known[id].purged)
+    .map((id) => {
+      const previous = queued.get(id);
+      return previous && previous.purged ? previous : { id: known[id].id, purged: true, updatedAt: now };
+    });
+  return [...changes, ...removals];
+}
+
+/**
+ * Merges todos received from the server into the list. Changed todos are replaced,
+ * new ones are added at the end and tombstones remove their todo.
+ * @param {Array} todos - The current todos.
+ * @param {Array} remoteTodos - The todos received from the server.
+ * @returns {Array} The merged todos, or the same array when nothing changed.
+ */
+export function applyRemoteTodos(todos, remoteTodos) {
+  const remote = new Map(remoteTodos.map((todo) => [String(todo.id), todo]));
+  let changed = false;
+  const merged = todos.flatMap((todo) => {
+    const remoteTodo = remote.get(String(todo.id));
+    if (!remoteTodo) {
+      return [todo];
+    }
+    remote.delete(String(todo.id));
+    if (remoteTodo.purged) {
+      changed = true;
+      return [];
+    }
+    if (sameContent(todo, remoteTodo)) {
+      return [todo];
+    }
+    changed = true;
+    return [remoteTodo];
+  });
+  remote.forEach((remoteTodo) => {
+    if (!remoteTodo.purged) {
+      changed = true;
+      merged.push(remoteTodo);
+    }
+  });
+  return changed ? merged : todos;
+}
+
+/**
+ * Keeps the todos in step with a remote store through a sync adapter. Local changes
+ * are queued and pushed shortly after they happen, and changes made elsewhere are
+ * pulled on an interval. While the server cannot be reached the queue is kept, and it
+ * is replayed when the browser comes back online.
+ * @param {Object} adapter - The sync adapter ({ pull, push }).
+ * @param {Object} options - Sync options.
+ * @param {Object} options.state - The saved sync state ({ queue, known, lastPulled }).
+ * @param {Function} options.onRemoteChanges - Function called with todos changed on the server.
+ * @param {Function} options.onStatus - Function called with { status, pending, error } when the status changes.
+ * @param {Function} options.onStateChange - Function called with the sync state to save.
+ * @returns {Object} { update(todos), syncNow(), close() }.
+ */
+export function createRemoteSync(adapter, { state, onRemoteChanges, onStatus, onStateChange }) {
+  let { queue, known, lastPulled } = state;
+  let status = 'syncing';
+  let error = null;
+  let syncing = false;
+  // Set when a sync is requested while one is running
+  let syncAgain = false;
+  let closed = false;
+
+  /**
+   * Reports the current status.
+   * @param {string} newStatus - 'syncing', 'synced', 'offline' or 'error'.
+   * @param {string|null} message - Description of the last error.
+   */
+  const report = (newStatus, message = null) => {
+    status = newStatus;
+    error = message;
+    if (!closed) {
+      onStatus({ status, pending: queue.length, error });
+    }
+  };
+
+  const saveState = () => onStateChange({ queue, known, lastPulled });
+
+  /**
+   * Pushes the queued changes, then pulls the changes made elsewhere.
+   */
+  const sync = async () => {
+    if (closed) {
+      return;
+    }
+    if (syncing) {
+      syncAgain = true;
+      return;
+    }
+    if (navigator.onLine === false) {
+      report('offline');
+      return;
+    }
+    syncing = true;
+    report('syncing');
+    try {
+      // Versions the server kept over ours because they were newer
+      const kept = [];
+      for (const todo of [...queue]) {
+        const stored = await adapter.push(todo);
+        known = { ...known, [String(todo.id)]: stored };
+        // A change made while the push was in flight stays queued
+        queue = queue.filter((entry) => entry !== todo);
+        if (!sameContent(stored, todo)) {
+          kept.push(stored);
+        }
+        saveState();
+      }
+      const { todos, serverTime } = await adapter.pull(lastPulled);
+      known = { ...known, ...Object.fromEntries(todos.map((todo) => [String(todo.id), todo])) };
+      lastPulled = serverTime;
+      saveState();
+      const pending = new Set(queue.map((todo) => String(todo.id)));
+      const incoming = [...kept, ...todos].filter((todo) => !pending.has(String(todo.id)));
+      if (incoming.length && !closed) {
+        onRemoteChanges(incoming.map(repairTodo));
+      }
+      report('synced');
+    } catch (syncError) {
+      console.error('Error syncing with the server:', syncError);
+      // fetch rejects with a TypeError when the network is down
+      report(syncError instanceof TypeError ? 'offline' : 'error', syncError.message);
+    } finally {
+      syncing = false;
+    }
+    if (syncAgain) {
+      syncAgain = false;
+      sync();
+    }
+  };
+
+  // Start on the next tick, so a sync closed straight away never touches the server
+  let pushTimer = setTimeout(sync, 0);
+  const pullTimer = setInterval(sync, PULL_INTERVAL);
+  const handleOffline = () => report('offline');
+  window.addEventListener('online', sync);
+  window.addEventListener('offline', handleOffline);
+
+  return {
+    /**
+     * Queues the differences between the todos and the server's copy.
+     * @param {Array} todos - The current todos.
+     */
+    update(todos) {
+      const newQueue = queueChanges(queue, known, todos, Date.now());
+      if (sameTodos(newQueue, queue)) {
+        return;
+      }
+      queue = newQueue;
+      saveState();
+      report(status, error);
+      clearTimeout(pushTimer);
+      pushTimer = setTimeout(sync, PUSH_DELAY);
+    },
+    syncNow: sync,
+    close() {
+      closed = true;
+      clearTimeout(pushTimer);
+      clearInterval(pullTimer);
+      window.removeEventListener('online', sync);
+      window.removeEventListener('offline', handleOffline);
+    },
+  };
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { waitFor } from '@testing-library/dom';
+import { createSyncServer } from '../server/index.js';
+import { createRestAdapter, createRemoteSync, applyRemoteTodos, queueChanges } from './remoteSync';
+
+const TODO = { id: 1, title: 'Write report', body: '', priority: 'high', completed: false, updatedAt: 1 };
+
+let server;
+let baseUrl;
+let clients;
+
+/**
+ * Starts a client of the sync server with its own todo list.
+ * @param {Object} adapter - The sync adapter to use.
+ * @returns {Promise<Object>} The client ({ todos, status, remoteSync, change(todos) }), after its first sync.
+ */
+async function startClient(adapter = createRestAdapter(baseUrl)) {
+  const client = { todos: [], status: null };
+  client.remoteSync = createRemoteSync(adapter, {
+    state: { queue: [], known: {}, lastPulled: 0 },
+    onRemoteChanges: (remoteTodos) => {
+      client.todos = applyRemoteTodos(client.todos, remoteTodos);
+    },
+    onStatus: (status) => {
+      client.status = status;
+    },
+    onStateChange: () => {},
+  });
+  client.change = (todos) => {
+    client.todos = todos;
+    client.remoteSync.update(todos);
+  };
+  clients.push(client);
+  await waitFor(() => expect(client.status.status).toBe('synced'));
+  return client;
+}
+
+beforeEach(async () => {
+  clients = [];
+  server = createSyncServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+  clients.forEach((client) => client.remoteSync.close());
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('queueChanges', () => {
+  it('queues changed todos and tombstones, and drops changes that were undone', () => {
+    const known = { 1: TODO, 2: { ...TODO, id: 2 } };
+    const edited = { ...TODO, title: 'Write summary' };
+    const queue = queueChanges([], known, [edited], 50);
+    expect(queue).toEqual([
+      { ...edited, updatedAt: 50 },
+      { id: 2, purged: true, updatedAt: 50 },
+    ]);
+    expect(queueChanges(queue, known, [TODO, { ...TODO, id: 2 }], 60)).toEqual([]);
+  });
+});
+
+describe('remote sync', () => {
+  it('pushes local changes and pulls them on another machine', async () => {
+    const first = await startClient();
+    const second = await startClient();
+
+    first.change([TODO]);
+    await first.remoteSync.syncNow();
+    expect(first.status).toEqual({ status: 'synced', pending: 0, error: null });
+
+    await second.remoteSync.syncNow();
+    expect(second.todos).toEqual([expect.objectContaining({ id: 1, title: 'Write report' })]);
+
+    // The merged todo matches the server's copy, so it is not pushed back
+    second.change(second.todos);
+    expect(second.status.pending).toBe(0);
+  });
+
+  it('keeps the newest version when two machines edit the same todo', async () => {
+    const first = await startClient();
+    const second = await startClient();
+    first.change([TODO]);
+    await first.remoteSync.syncNow();
+    await second.remoteSync.syncNow();
+
+    second.change([{ ...second.todos[0], title: 'Second edit' }]);
+    await second.remoteSync.syncNow();
+    first.change([{ ...TODO, title: 'First edit' }]);
+    await first.remoteSync.syncNow();
+    await second.remoteSync.syncNow();
+
+    expect(first.todos[0].title).toBe('First edit');
+    expect(second.todos[0].title).toBe('First edit');
+  });
+
+  it('syncs soft deletes and removes purged todos elsewhere', async () => {
+    const first = await startClient();
+    const second = await startClient();
+    first.change([TODO]);
+    await first.remoteSync.syncNow();
+    await second.remoteSync.syncNow();
+
+    first.change([{ ...TODO, deletedAt: 5 }]);
+    await first.remoteSync.syncNow();
+    await second.remoteSync.syncNow();
+    expect(second.todos[0].deletedAt).toBe(5);
+
+    first.change([]);
+    await first.remoteSync.syncNow();
+    await second.remoteSync.syncNow();
+    expect(second.todos).toEqual([]);
+  });
+
+  it('queues changes while offline and replays them when the connection returns', async () => {
+    const rest = createRestAdapter(baseUrl);
+    let online = true;
+    // Fails like fetch does when the network is down
+    const adapter = {
+      pull: (since) => (online ? rest.pull(since) : Promise.reject(new TypeError('Failed to fetch'))),
+      push: (todo) => (online ? rest.push(todo) : Promise.reject(new TypeError('Failed to fetch'))),
+    };
+    const client = await startClient(adapter);
+    const other = await startClient();
+
+    online = false;
+    client.change([TODO]);
+    client.change([TODO, { ...TODO, id: 2, title: 'Book flights' }]);
+    await client.remoteSync.syncNow();
+    expect(client.status).toEqual({ status: 'offline', pending: 2, error: 'Failed to fetch' });
+
+    online = true;
+    window.dispatchEvent(new Event('online'));
+    await waitFor(() => expect(client.status).toEqual({ status: 'synced', pending: 0, error: null }));
+
+    await other.remoteSync.syncNow();
+    expect(other.todos.map((todo) => todo.title)).toEqual(['Write report', 'Book flights']);
+  });
+});
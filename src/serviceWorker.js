@@ -0,0 +1,40 @@
+/**
+ * Registers the service worker that caches the app for offline use and delivers reminders.
+ * @param {Function} onUpdate - Function called with the registration when a new version
+ *   has been downloaded and is waiting to take over.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null where service workers are unavailable.
+ */
+export async function registerServiceWorker(onUpdate) {
+  if (!('serviceWorker' in navigator)) {
+    return null;
+  }
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    // A worker already waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdate(registration);
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdate(registration);
+        }
+      });
+    });
+    return registration;
+  } catch (error) {
+    console.error('Error registering the service worker:', error);
+    return null;
+  }
+}
+
+/**
+ * Switches to the waiting new version and reloads the page once it is in charge.
+ * @param {ServiceWorkerRegistration} registration - The registration with a waiting worker.
+ */
+export function applyUpdate(registration) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'skip-waiting' });
+}
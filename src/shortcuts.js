@@ -0,0 +1,79 @@
+// Every keyboard shortcut, grouped for the "?" overlay
+export const SHORTCUT_GROUPS = [
+  {
+    title: 'General',
+    shortcuts: [
+      { keys: 'Ctrl+K', description: 'Open the command palette' },
+      { keys: 'N', description: 'Add a task' },
+      { keys: '/', description: 'Search' },
+      { keys: 'Ctrl+Z', description: 'Undo' },
+      { keys: 'Ctrl+Shift+Z', description: 'Redo' },
+      { keys: '?', description: 'Show keyboard shortcuts' },
+      { keys: 'Esc', description: 'Close a dialog or leave the focused task' },
+    ],
+  },
+  {
+    title: 'Board',
+    shortcuts: [
+      { keys: 'J / \u2193', description: 'Focus the next task' },
+      { keys: 'K / \u2191', description: 'Focus the previous task' },
+      { keys: 'H / \u2190', description: 'Focus a task in the column to the left' },
+      { keys: 'L / \u2192', description: 'Focus a task in the column to the right' },
+      { keys: 'E / Enter', description: 'Edit the focused task' },
+      { keys: 'X / Space', description: 'Complete or reopen the focused task' },
+      { keys: 'Delete / Backspace', description: 'Delete the focused task' },
+      { keys: '1 / 2 / 3', description: 'Move the focused task to high, medium or low priority' },
+    ],
+  },
+  {
+    title: 'Task dialog',
+    shortcuts: [
+      { keys: 'Enter', description: 'Save, from a single-line field' },
+      { keys: 'Ctrl+Enter', description: 'Save, from any field' },
+      { keys: 'Esc', description: 'Cancel' },
+    ],
+  },
+];
+
+/**
+ * Checks whether a key press is aimed at a text field, where single-key shortcuts
+ * must not fire.
+ * @param {EventTarget} target - The event target.
+ * @returns {boolean} Whether the target accepts typing.
+ */
+export function isTypingTarget(target) {
+  const tagName = target.tagName;
+  return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || Boolean(target.isContentEditable);
+}
+
+/**
+ * Picks the task to focus when moving through the board with the keyboard.
+ * @param {Array} columns - The visible todo ids of each column, left to right.
+ * @param {number|string|null} focusedId - The id of the focused todo, or null.
+ * @param {string} direction - 'next', 'previous', 'left' or 'right'.
+ * @returns {number|string|null} The id to focus, or null when there are no todos.
+ */
+export function moveFocus(columns, focusedId, direction) {
+  const order = columns.flat();
+  if (!order.length) {
+    return null;
+  }
+  const index = order.indexOf(focusedId);
+  if (index === -1) {
+    return order[0];
+  }
+  if (direction === 'next' || direction === 'previous') {
+    const step = direction === 'next' ? 1 : -1;
+    return order[Math.min(Math.max(index + step, 0), order.length - 1)];
+  }
+  const column = columns.findIndex((ids) => ids.includes(focusedId));
+  const row = columns[column].indexOf(focusedId);
+  const step = direction === 'right' ? 1 : -1;
+  // Skip empty columns; stay put at the edge of the board
+  for (let target = column + step; target >= 0 && target < columns.length; target += step) {
+    if (columns[target].length) {
+      return columns[target][Math.min(row, columns[target].length - 1)];
+    }
+  }
+  return focusedId;
+}
@@ -0,0 +1,157 @@
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { dueMoment, isOverdue } from './due';
+import { PRIORITIES } from './ordering';
+import { getCategory } from './categories';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How far back the completion charts reach
+export const DAYS_SHOWN = 14;
+export const WEEKS_SHOWN = 8;
+
+/**
+ * Counts the todos completed on each of the last few days.
+ * @param {Array} todos - The todos.
+ * @param {Date} now - The current date.
+ * @param {number} days - The number of days, ending today.
+ * @returns {Array} { key, label, value } per day, oldest first.
+ */
+export function completedPerDay(todos, now, days = DAYS_SHOWN) {
+  const counts = {};
+  todos
+    .filter((todo) => todo.completed && todo.completedAt)
+    .forEach((todo) => {
+      const key = toDateKey(new Date(todo.completedAt));
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  return Array.from({ length: days }, (_, index) => {
+    const day = addDays(now, index - days + 1);
+    const key = toDateKey(day);
+    return {
+      key,
+      label: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      value: counts[key] || 0,
+    };
+  });
+}
+
+/**
+ * Counts the todos completed in each of the last few weeks, Sunday to Saturday.
+ * @param {Array} todos - The todos.
+ * @param {Date} now - The current date.
+ * @param {number} weeks - The number of weeks, ending with this one.
+ * @returns {Array} { key, label, value } per week, oldest first.
+ */
+export function completedPerWeek(todos, now, weeks = WEEKS_SHOWN) {
+  const counts = {};
+  todos
+    .filter((todo) => todo.completed && todo.completedAt)
+    .forEach((todo) => {
+      const key = toDateKey(startOfWeek(new Date(todo.completedAt)));
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  const thisWeek = startOfWeek(now);
+  return Array.from({ length: weeks }, (_, index) => {
+    const start = addDays(thisWeek, (index - weeks + 1) * 7);
+    const key = toDateKey(start);
+    return {
+      key,
+      label: start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      value: counts[key] || 0,
+    };
+  });
+}
+
+/**
+ * Averages the time from creating a todo to completing it.
+ * @param {Array} todos - The todos.
+ * @returns {number|null} The average in milliseconds, or null when no completed todo has both times.
+ */
+export function averageTimeToComplete(todos) {
+  const durations = todos
+    .filter((todo) => todo.completed && todo.completedAt && todo.createdAt)
+    .map((todo) => todo.completedAt - todo.createdAt);
+  if (!durations.length) {
+    return null;
+  }
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+}
+
+/**
+ * Formats a duration for the dashboard, in its largest whole unit.
+ * @param {number} duration - The duration in milliseconds.
+ * @returns {string} The duration, e.g. "3 days" or "less than a minute".
+ */
+export function formatDuration(duration) {
+  const units = [
+    [DAY, 'day'],
+    [HOUR, 'hour'],
+    [MINUTE, 'minute'],
+  ];
+  for (const [size, name] of units) {
+    // Whole units only, like the due date labels: 13 hours is not yet a day
+    const count = Math.floor(duration / size);
+    if (count >= 1) {
+      return `${count} ${name}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return 'less than a minute';
+}
+
+/**
+ * Counts open todos past their due date, and completed todos that were finished late.
+ * @param {Array} todos - The todos.
+ * @param {Date} now - The current time.
+ * @returns {Object} { overdue, completedLate }.
+ */
+export function overdueCounts(todos, now) {
+  return {
+    overdue: todos.filter((todo) => isOverdue(todo, now)).length,
+    completedLate: todos.filter((todo) => {
+      const due = todo.completed && todo.completedAt && dueMoment(todo);
+      return Boolean(due) && todo.completedAt > due.getTime();
+    }).length,
+  };
+}
+
+/**
+ * Counts open and completed todos in each group.
+ * @param {Array} todos - The todos.
+ * @param {Array} groups - The groups, { key, label }, in display order.
+ * @param {Function} groupOf - Function returning a todo's group key.
+ * @returns {Array} { key, label, open, done } per group.
+ */
+function countOpenAndDone(todos, groups, groupOf) {
+  return groups.map((group) => {
+    const members = todos.filter((todo) => groupOf(todo) === group.key);
+    const done = members.filter((todo) => todo.completed).length;
+    return { ...group, open: members.length - done, done };
+  });
+}
+
+/**
+ * Counts open and completed todos per priority.
+ * @param {Array} todos - The todos.
+ * @returns {Array} { key, label, open, done } per priority.
+ */
+export function openAndDoneByPriority(todos) {
+  const groups = PRIORITIES.map((priority) => ({
+    key: priority,
+    label: priority.charAt(0).toUpperCase() + priority.slice(1),
+  }));
+  return countOpenAndDone(todos, groups, (todo) => todo.priority);
+}
+
+/**
+ * Counts open and completed todos per category, including deleted categories still in use.
+ * @param {Array} todos - The todos.
+ * @param {Array} categories - The categories.
+ * @returns {Array} { key, label, open, done } per category with at least one todo.
+ */
+export function openAndDoneByCategory(todos, categories) {
+  const ids = [...new Set([...categories.map((category) => category.id), ...todos.map((todo) => todo.category)])];
+  const groups = ids.map((id) => ({ key: id, label: getCategory(categories, id).name }));
+  return countOpenAndDone(todos, groups, (todo) => todo.category).filter((group) => group.open + group.done > 0);
+}
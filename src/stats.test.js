@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  completedPerDay,
+  completedPerWeek,
+  averageTimeToComplete,
+  formatDuration,
+  overdueCounts,
+  openAndDoneByCategory,
+  openAndDoneByPriority,
+} from './stats';
+import { DEFAULT_CATEGORIES } from './categories';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Monday 19 October 2026, mid-morning
+const NOW = new Date(2026, 9, 19, 9, 30);
+
+/**
+ * Builds a todo completed at a local time.
+ * @param {number} id - The todo id.
+ * @param {Array} time - The year, month, day and optionally hours and minutes.
+ * @returns {Object} The completed todo.
+ */
+const completedAt = (id, ...time) => ({ id, completed: true, completedAt: new Date(...time).getTime() });
+
+describe('completedPerDay', () => {
+  it('counts completions on the local day they happened, ending today', () => {
+    const todos = [
+      completedAt(1, 2026, 9, 19, 0, 0),
+      completedAt(2, 2026, 9, 18, 23, 59),
+      completedAt(3, 2026, 9, 18, 0, 0),
+      completedAt(4, 2026, 9, 16, 12, 0),
+    ];
+    expect(completedPerDay(todos, NOW, 4).map(({ key, value }) => [key, value])).toEqual([
+      ['2026-10-16', 1],
+      ['2026-10-17', 0],
+      ['2026-10-18', 2],
+      ['2026-10-19', 1],
+    ]);
+  });
+
+  it('leaves out open todos, todos without a completion time and days before the range', () => {
+    const todos = [
+      { ...completedAt(1, 2026, 9, 19, 8, 0), completed: false },
+      { id: 2, completed: true },
+      completedAt(3, 2026, 9, 15, 23, 59),
+    ];
+    expect(completedPerDay(todos, NOW, 4).every((day) => day.value === 0)).toBe(true);
+  });
+});
+
+describe('completedPerWeek', () => {
+  it('counts completions in weeks running Sunday to Saturday, ending this week', () => {
+    const todos = [
+      completedAt(1, 2026, 9, 18, 0, 0),
+      completedAt(2, 2026, 9, 17, 23, 59),
+      completedAt(3, 2026, 9, 11, 0, 0),
+      completedAt(4, 2026, 9, 19, 9, 0),
+    ];
+    expect(completedPerWeek(todos, NOW, 3).map(({ key, value }) => [key, value])).toEqual([
+      ['2026-10-04', 0],
+      ['2026-10-11', 2],
+      ['2026-10-18', 2],
+    ]);
+  });
+});
+
+describe('averageTimeToComplete', () => {
+  it('averages completed todos that have both times', () => {
+    const todos = [
+      { completed: true, createdAt: HOUR, completedAt: 3 * HOUR },
+      { completed: true, createdAt: HOUR, completedAt: 5 * HOUR },
+      { completed: true, completedAt: 9 * HOUR },
+      { completed: true, createdAt: HOUR },
+      { completed: false, createdAt: 0, completedAt: 100 * HOUR },
+    ];
+    expect(averageTimeToComplete(todos)).toBe(3 * HOUR);
+  });
+
+  it('returns null when no completed todo has both times', () => {
+    expect(averageTimeToComplete([{ completed: true, completedAt: HOUR }, { completed: false }])).toBeNull();
+  });
+});
+
+describe('formatDuration', () => {
+  it.each([
+    [30 * 1000, 'less than a minute'],
+    [MINUTE, '1 minute'],
+    [59 * MINUTE + 59 * 1000, '59 minutes'],
+    [90 * MINUTE, '1 hour'],
+    [13 * HOUR, '13 hours'],
+    [23 * HOUR + 59 * MINUTE, '23 hours'],
+    [DAY, '1 day'],
+    [3.9 * DAY, '3 days'],
+  ])('formats %i ms as "%s"', (duration, expected) => {
+    expect(formatDuration(duration)).toBe(expected);
+  });
+});
+
+describe('overdueCounts', () => {
+  it('counts open todos past their due date or time', () => {
+    const todos = [
+      { dueDate: '2026-10-18' },
+      { dueDate: '2026-10-19' },
+      { dueDate: '2026-10-19', dueTime: '09:00' },
+      { dueDate: '2026-10-19', dueTime: '10:00' },
+      { dueDate: '2026-10-18', completed: true },
+      { dueDate: '' },
+    ];
+    expect(overdueCounts(todos, NOW).overdue).toBe(2);
+  });
+
+  it('counts a todo without a due time as late only once its due date has ended', () => {
+    const todos = [
+      { ...completedAt(1, 2026, 9, 18, 23, 59), dueDate: '2026-10-18' },
+      { ...completedAt(2, 2026, 9, 19, 0, 0), dueDate: '2026-10-18' },
+      { ...completedAt(3, 2026, 9, 18, 12, 0), dueDate: '2026-10-18', dueTime: '11:00' },
+      { ...completedAt(4, 2026, 9, 18, 12, 0), dueDate: '2026-10-18', dueTime: '12:00' },
+      { ...completedAt(5, 2026, 9, 18, 12, 0), dueDate: '' },
+      { completed: true, dueDate: '2026-10-01' },
+    ];
+    expect(overdueCounts(todos, NOW)).toEqual({ overdue: 0, completedLate: 2 });
+  });
+});
+
+describe('open and done counts', () => {
+  const todos = [
+    { priority: 'high', category: 'work' },
+    { priority: 'high', category: 'work', completed: true },
+    { priority: 'low', category: 'errands' },
+    { priority: 'low', category: 'errands', completed: true },
+  ];
+
+  it('counts every priority', () => {
+    expect(openAndDoneByPriority(todos)).toEqual([
+      { key: 'high', label: 'High', open: 1, done: 1 },
+      { key: 'medium', label: 'Medium', open: 0, done: 0 },
+      { key: 'low', label: 'Low', open: 1, done: 1 },
+    ]);
+  });
+
+  it('keeps categories deleted since and leaves out unused ones', () => {
+    expect(openAndDoneByCategory(todos, DEFAULT_CATEGORIES)).toEqual([
+      { key: 'work', label: 'Work', open: 1, done: 1 },
+      { key: 'errands', label: 'Errands', open: 1, done: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,547 @@
+import { isIndexedDbAvailable, idbGet, idbSet, idbDelete, idbKeys } from './idb';
+import { DEFAULT_CATEGORIES } from './categories';
+import { normalizeRecurrence } from './recurrence';
+import { THEMES, ACCENTS, TITLE_LENGTH_RANGE, BODY_LENGTH_RANGE } from './preferences';
+import { VIEWS } from './calendar';
+
+// Board holding the todos saved before there were boards
+export const DEFAULT_BOARD_ID = 'default';
+
+// Storage keys
+export const TODOS_KEY = 'todos';
+export const HISTORY_KEY = 'todosHistory';
+export const CATEGORIES_KEY = 'categories';
+export const FIRED_REMINDERS_KEY = 'firedReminders';
+export const VIEW_KEY = 'view';
+export const SETTINGS_KEY = 'settings';
+export const DRAFTS_KEY = 'drafts';
+export const SYNC_STATE_KEY = 'syncState';
+export const BOARDS_KEY = 'boards';
+const BACKUP_PREFIX = 'todos.backup.';
+
+// Settings used until the user changes them
+export const DEFAULT_SETTINGS = {
+  // Days a deleted todo stays in the trash before it is purged
+  trashRetentionDays: 30,
+  // 'light', 'dark' or 'system', and the accent colour of buttons and highlights
+  theme: 'system',
+  accent: 'purple',
+  // Characters of a todo's title and body shown on its card
+  titleLength: 25,
+  bodyLength: 150,
+};
+
+// Version of the todo shape written by this build
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Migrations from each schema version to the next, indexed by the version they upgrade from.
+ * Version 0 is the bare array written before the versioned envelope; to change the
+ * todo shape, bump SCHEMA_VERSION and append a migration here.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: fill in fields missing from older or hand-edited todos
+  (todos) =>
+    todos.map((todo) => ({
+      body: '',
+      priority: 'medium',
+      category: 'general',
+      dueDate: '',
+      completed: false,
+      ...todo,
+    })),
+  // 1 -> 2: todos record when they were created; ids were creation times until now
+  (todos) =>
+    todos.map((todo) => (todo.createdAt || !Number.isFinite(todo.id) ? todo : { ...todo, createdAt: todo.id })),
+  // 2 -> 3: the single list becomes the default board
+  (todos) => todos.map((todo) => (todo.boardId ? todo : { ...todo, boardId: DEFAULT_BOARD_ID })),
+];
+
+/**
+ * Repairs the parts of a todo the app cannot work with, whatever version saved it,
+ * such as a hand-edited recurrence rule. A rule that cannot be repaired is dropped, and
+ * so are time log entries that are not entries.
+ * @param {Object} todo - The todo read from storage or pulled from the server.
+ * @returns {Object} The repaired todo, or the same todo when nothing needed repairing.
+ */
+export function repairTodo(todo) {
+  let repaired = todo;
+  if (todo.recurrence !== undefined && todo.recurrence !== null) {
+    const { recurrence, ...rest } = repaired;
+    const normalized = normalizeRecurrence(recurrence);
+    repaired = normalized ? { ...rest, recurrence: normalized } : rest;
+  }
+  if (
+    todo.timeEntries !== undefined &&
+    !(Array.isArray(todo.timeEntries) && todo.timeEntries.every((entry) => entry && typeof entry === 'object'))
+  ) {
+    const timeEntries = Array.isArray(todo.timeEntries)
+      ? todo.timeEntries.filter((entry) => entry && typeof entry === 'object')
+      : [];
+    repaired = { ...repaired, timeEntries };
+  }
+  return repaired;
+}
+
+/**
+ * Upgrades todos from an older schema version to the current one, and repairs them.
+ * @param {Array} todos - The stored todos.
+ * @param {number} fromVersion - The schema version they were stored with.
+ * @returns {Array} The migrated todos.
+ */
+export function migrateTodos(todos, fromVersion) {
+  return MIGRATIONS.slice(fromVersion)
+    .reduce((migrated, migrate) => migrate(migrated), todos)
+    .map(repairTodo);
+}
+
+// Backend used before IndexedDB existed, and as a fallback where it is unavailable
+const localStorageBackend = {
+  read: async (key) => localStorage.getItem(key),
+  write: async (key, raw) => localStorage.setItem(key, raw),
+  remove: async (key) => localStorage.removeItem(key),
+  keys: async () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+};
+
+const indexedDbBackend = {
+  read: async (key) => {
+    const raw = await idbGet(key);
+    return raw === undefined ? null : raw;
+  },
+  write: idbSet,
+  remove: idbDelete,
+  keys: idbKeys,
+};
+
+let backendPromise = null;
+
+/**
+ * Copies the todos, history and backups saved by older builds from localStorage into
+ * IndexedDB, then removes them from localStorage. Does nothing once IndexedDB holds todos.
+ */
+async function migrateFromLocalStorage() {
+  if ((await idbGet(TODOS_KEY)) !== undefined) {
+    return;
+  }
+  const keys = (await localStorageBackend.keys()).filter(
+    (key) => key === TODOS_KEY || key === HISTORY_KEY || key.startsWith(BACKUP_PREFIX)
+  );
+  for (const key of keys) {
+    await idbSet(key, localStorage.getItem(key));
+  }
+  keys.forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * Picks the storage backend: IndexedDB where it works, after migrating any data saved
+ * in localStorage, and localStorage otherwise.
+ * @returns {Promise<Object>} The backend.
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (isIndexedDbAvailable()) {
+        try {
+          await migrateFromLocalStorage();
+          return indexedDbBackend;
+        } catch (error) {
+          console.error('IndexedDB is not usable, falling back to localStorage:', error);
+        }
+      }
+      return localStorageBackend;
+    })();
+  }
+  return backendPromise;
+}
+
+/**
+ * Checks whether a failed write means the storage quota is used up.
+ * @param {Error} error - The error thrown.
+ * @returns {boolean} Whether the storage is full.
+ */
+function isQuotaExceeded(error) {
+  return (
+    error instanceof DOMException &&
+    (error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014)
+  );
+}
+
+/**
+ * Writes a value to storage as JSON.
+ * @param {string} key - The storage key.
+ * @param {*} value - The value to write.
+ * @returns {Promise<Object>} { error } with a user-facing message when the write failed.
+ */
+async function writeJSON(key, value) {
+  try {
+    const backend = await getBackend();
+    await backend.write(key, JSON.stringify(value));
+    return { error: null };
+  } catch (error) {
+    console.error(`Error saving ${key} to storage:`, error);
+    if (isQuotaExceeded(error)) {
+      return {
+        error: 'Browser storage is full, so recent changes were not saved. Export a backup and delete old tasks to free up space.',
+      };
+    }
+    return { error: 'Recent changes could not be saved to browser storage.' };
+  }
+}
+
+/**
+ * Keeps an unreadable stored value under a backup key so it is not overwritten.
+ * @param {Object} backend - The storage backend.
+ * @param {string} raw - The raw stored value.
+ * @returns {Promise<string|null>} The backup key, or null if the backup could not be written.
+ */
+async function backupRawValue(backend, raw) {
+  try {
+    // Reuse an identical earlier backup rather than piling up copies on every reload
+    for (const key of await backend.keys()) {
+      if (key.startsWith(BACKUP_PREFIX) && (await backend.read(key)) === raw) {
+        return key;
+      }
+    }
+    const backupKey = `${BACKUP_PREFIX}${Date.now()}`;
+    await backend.write(backupKey, raw);
+    return backupKey;
+  } catch (error) {
+    console.error('Error backing up unreadable todos:', error);
+    return null;
+  }
+}
+
+/**
+ * Unwraps a stored envelope, accepting the bare array written by older builds.
+ * @param {*} data - The parsed stored value.
+ * @returns {Object|null} { version, todos }, or null if the value is not recognised.
+ */
+function unwrapEnvelope(data) {
+  if (Array.isArray(data)) {
+    return { version: 0, todos: data };
+  }
+  if (
+    data &&
+    typeof data === 'object' &&
+    Number.isInteger(data.version) &&
+    data.version >= 0 &&
+    Array.isArray(data.todos)
+  ) {
+    return { version: data.version, todos: data.todos };
+  }
+  return null;
+}
+
+/**
+ * Loads the todos, migrating them to the current schema. Unreadable data is copied
+ * to a backup key before the app starts with an empty list. Data saved by a newer build
+ * is left alone and newerVersion is set, so the app is not started over it.
+ * @returns {Promise<Object>} { todos, error, newerVersion } with a user-facing message when loading failed.
+ */
+export async function loadTodos() {
+  let backend;
+  let raw;
+  try {
+    backend = await getBackend();
+    raw = await backend.read(TODOS_KEY);
+  } catch (error) {
+    console.error('Error reading todos from storage:', error);
+    return { todos: [], error: 'Browser storage is not available, so changes will not be saved.' };
+  }
+  if (raw === null) {
+    return { todos: [], error: null };
+  }
+
+  let envelope = null;
+  try {
+    envelope = unwrapEnvelope(JSON.parse(raw));
+  } catch (error) {
+    console.error('Error parsing todos from storage:', error);
+  }
+  if (!envelope) {
+    const backupKey = await backupRawValue(backend, raw);
+    return {
+      todos: [],
+      error: backupKey
+        ? `Saved tasks could not be read and were kept under the "${backupKey}" storage key. Starting with an empty list.`
+        : 'Saved tasks could not be read. Starting with an empty list.',
+    };
+  }
+  if (envelope.version > SCHEMA_VERSION) {
+    return {
+      todos: [],
+      error: 'Saved tasks were written by a newer version of this app and were left untouched. Reload the page to open them in the newer version.',
+      newerVersion: true,
+    };
+  }
+  return { todos: migrateTodos(envelope.todos, envelope.version), error: null };
+}
+
+/**
+ * Saves the todos in a versioned envelope.
+ * @param {Array} todos - The todos to save.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveTodos(todos) {
+  return writeJSON(TODOS_KEY, { version: SCHEMA_VERSION, todos });
+}
+
+/**
+ * Migrates the todos in every entry of a saved history.
+ * @param {Object} history - The saved history ({ entries, position }).
+ * @param {number} version - The schema version it was saved with.
+ * @returns {Object|null} The migrated history, or null if it is not readable.
+ */
+function migrateHistory(history, version) {
+  if (
+    !history ||
+    !Array.isArray(history.entries) ||
+    !history.entries.every((entry) => entry && Array.isArray(entry.todos))
+  ) {
+    return null;
+  }
+  return {
+    entries: history.entries.map((entry) => ({ ...entry, todos: migrateTodos(entry.todos, version) })),
+    position: history.position,
+  };
+}
+
+/**
+ * Loads the saved undo/redo history of each board, migrating the todos in every entry.
+ * Builds without boards saved a single history, which belongs to the default board.
+ * @returns {Promise<Object>} The histories ({ entries, position }) keyed by board id; unreadable ones are left out.
+ */
+export async function loadHistoryData() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(HISTORY_KEY));
+    const version = data && Number.isInteger(data.version) ? data.version : 0;
+    if (!data || version > SCHEMA_VERSION) {
+      return {};
+    }
+    const saved = data.histories && typeof data.histories === 'object' ? data.histories : { [DEFAULT_BOARD_ID]: data };
+    return Object.fromEntries(
+      Object.entries(saved)
+        .map(([boardId, history]) => [boardId, migrateHistory(history, version)])
+        .filter(([, history]) => history)
+    );
+  } catch (error) {
+    console.error('Error loading history from storage:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves the undo/redo history of each board in a versioned envelope.
+ * @param {Object} histories - The histories ({ entries, position }) keyed by board id.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveHistoryData(histories) {
+  return writeJSON(HISTORY_KEY, { version: SCHEMA_VERSION, histories });
+}
+
+/**
+ * Loads the boards, in the user's order, and the board last shown.
+ * @returns {Promise<Object|null>} { boards, activeBoardId } with boards as { id, name }, or null when none are saved.
+ */
+export async function loadBoardList() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(BOARDS_KEY));
+    if (data && Array.isArray(data.boards) && data.boards.length) {
+      return { boards: data.boards, activeBoardId: data.activeBoardId };
+    }
+  } catch (error) {
+    console.error('Error loading boards from storage:', error);
+  }
+  return null;
+}
+
+/**
+ * Saves the boards and the board shown in a versioned envelope.
+ * @param {Array} boards - The boards ({ id, name }).
+ * @param {string} activeBoardId - The id of the board shown.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveBoardList(boards, activeBoardId) {
+  return writeJSON(BOARDS_KEY, { version: SCHEMA_VERSION, boards, activeBoardId });
+}
+
+/**
+ * Loads the user's categories, falling back to the default ones.
+ * @returns {Promise<Array>} The categories.
+ */
+export async function loadCategories() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(CATEGORIES_KEY));
+    if (data && Array.isArray(data.categories) && data.categories.length) {
+      return data.categories;
+    }
+  } catch (error) {
+    console.error('Error loading categories from storage:', error);
+  }
+  return DEFAULT_CATEGORIES;
+}
+
+/**
+ * Saves the user's categories in a versioned envelope.
+ * @param {Array} categories - The categories.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveCategories(categories) {
+  return writeJSON(CATEGORIES_KEY, { version: SCHEMA_VERSION, categories });
+}
+
+/**
+ * Loads the tags of the reminders already shown, so reopening the app does not repeat them.
+ * @returns {Promise<Array>} The reminder tags.
+ */
+export async function loadFiredReminders() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(FIRED_REMINDERS_KEY));
+    if (data && Array.isArray(data.tags)) {
+      return data.tags;
+    }
+  } catch (error) {
+    console.error('Error loading reminders from storage:', error);
+  }
+  return [];
+}
+
+/**
+ * Saves the tags of the reminders already shown in a versioned envelope.
+ * @param {Array} tags - The reminder tags.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveFiredReminders(tags) {
+  return writeJSON(FIRED_REMINDERS_KEY, { version: SCHEMA_VERSION, tags });
+}
+
+/**
+ * Loads the view (one of VIEWS) the list was last shown in.
+ * @returns {Promise<string>} The view, 'board' when none is saved or it is not a known view.
+ */
+export async function loadView() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(VIEW_KEY));
+    // A view saved by a newer build, or edited by hand, falls back to the board
+    if (data && VIEWS.some((option) => option.value === data.view)) {
+      return data.view;
+    }
+  } catch (error) {
+    console.error('Error loading the view from storage:', error);
+  }
+  return 'board';
+}
+
+/**
+ * Saves the view the list is shown in, in a versioned envelope.
+ * @param {string} view - The view.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveView(view) {
+  return writeJSON(VIEW_KEY, { version: SCHEMA_VERSION, view });
+}
+
+/**
+ * Loads the user's settings, filling in defaults for any not saved yet.
+ * @returns {Promise<Object>} The settings.
+ */
+export async function loadSettings() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(SETTINGS_KEY));
+    if (data && data.settings) {
+      return repairSettings({ ...DEFAULT_SETTINGS, ...data.settings });
+    }
+  } catch (error) {
+    console.error('Error loading settings from storage:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+/**
+ * Brings saved appearance settings back within what the preferences offer: an unknown
+ * theme or accent falls back to the default, and card lengths are clamped to their range.
+ * @param {Object} settings - The settings as loaded.
+ * @returns {Object} The repaired settings.
+ */
+function repairSettings(settings) {
+  const clamp = (value, range, fallback) =>
+    Number.isFinite(value) ? Math.min(range.max, Math.max(range.min, Math.round(value))) : fallback;
+  return {
+    ...settings,
+    theme: THEMES.some((theme) => theme.value === settings.theme) ? settings.theme : DEFAULT_SETTINGS.theme,
+    accent: ACCENTS.some((accent) => accent.value === settings.accent) ? settings.accent : DEFAULT_SETTINGS.accent,
+    titleLength: clamp(settings.titleLength, TITLE_LENGTH_RANGE, DEFAULT_SETTINGS.titleLength),
+    bodyLength: clamp(settings.bodyLength, BODY_LENGTH_RANGE, DEFAULT_SETTINGS.bodyLength),
+  };
+}
+
+/**
+ * Saves the user's settings in a versioned envelope.
+ * @param {Object} settings - The settings.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveSettings(settings) {
+  return writeJSON(SETTINGS_KEY, { version: SCHEMA_VERSION, settings });
+}
+
+/**
+ * Loads the unsaved task dialog input, keyed by todo id ('new' for a task being added).
+ * @returns {Promise<Object>} The drafts.
+ */
+export async function loadDrafts() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(DRAFTS_KEY));
+    if (data && data.drafts && typeof data.drafts === 'object') {
+      return data.drafts;
+    }
+  } catch (error) {
+    console.error('Error loading drafts from storage:', error);
+  }
+  return {};
+}
+
+/**
+ * Saves the unsaved task dialog input in a versioned envelope.
+ * @param {Object} drafts - The drafts, keyed by todo id.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveDrafts(drafts) {
+  return writeJSON(DRAFTS_KEY, { version: SCHEMA_VERSION, drafts });
+}
+
+/**
+ * Loads the remote sync state: the changes waiting to be pushed, the server's copy of
+ * each todo, and when the server was last pulled from.
+ * @returns {Promise<Object|null>} { queue, known, lastPulled }, or null before the first sync.
+ */
+export async function loadSyncState() {
+  try {
+    const backend = await getBackend();
+    const data = JSON.parse(await backend.read(SYNC_STATE_KEY));
+    if (data && Array.isArray(data.queue) && data.known && Number.isFinite(data.lastPulled)) {
+      return { queue: data.queue, known: data.known, lastPulled: data.lastPulled };
+    }
+  } catch (error) {
+    console.error('Error loading the sync state from storage:', error);
+  }
+  return null;
+}
+
+/**
+ * Saves the remote sync state in a versioned envelope.
+ * @param {Object} state - { queue, known, lastPulled }.
+ * @returns {Promise<Object>} { error } with a user-facing message when saving failed.
+ */
+export function saveSyncState(state) {
+  return writeJSON(SYNC_STATE_KEY, { version: SCHEMA_VERSION, ...state });
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { DEFAULT_SETTINGS, SCHEMA_VERSION, SETTINGS_KEY, TODOS_KEY, loadSettings, loadTodos } from './storage';
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('loadSettings', () => {
+  it('falls back to the defaults for unknown themes and accents, and clamps card lengths', async () => {
+    localStorage.setItem(
+      SETTINGS_KEY,
+      JSON.stringify({ settings: { theme: 'sepia', accent: 'orange', titleLength: 500, bodyLength: 'long' } })
+    );
+    expect(await loadSettings()).toEqual({ ...DEFAULT_SETTINGS, titleLength: 100 });
+  });
+
+  it('keeps valid settings', async () => {
+    const settings = { ...DEFAULT_SETTINGS, theme: 'dark', accent: 'green', titleLength: 10, bodyLength: 1000 };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ settings }));
+    expect(await loadSettings()).toEqual(settings);
+  });
+});
+
+describe('loadTodos', () => {
+  it('leaves tasks saved by a newer build untouched instead of starting over them', async () => {
+    const raw = JSON.stringify({ version: SCHEMA_VERSION + 1, todos: [{ id: 1, title: 'Paint fence' }] });
+    localStorage.setItem(TODOS_KEY, raw);
+    const { todos, error, newerVersion } = await loadTodos();
+    expect(todos).toEqual([]);
+    expect(newerVersion).toBe(true);
+    expect(error).toMatch(/newer version/);
+    expect(Object.keys(localStorage)).toEqual([TODOS_KEY]);
+    expect(localStorage.getItem(TODOS_KEY)).toBe(raw);
+  });
+});
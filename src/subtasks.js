@@ -0,0 +1,51 @@
+/**
+ * Creates a subtask with an id unique within its todo.
+ * @param {Array} subtasks - The todo's current subtasks.
+ * @param {string} title - The subtask's title.
+ * @returns {Object} The new subtask ({ id, title, completed }).
+ */
+export function createSubtask(subtasks, title) {
+  const id = subtasks.reduce((maxId, subtask) => Math.max(maxId, subtask.id), 0) + 1;
+  return { id, title, completed: false };
+}
+
+/**
+ * Counts a todo's completed subtasks.
+ * @param {Object} todo - The todo.
+ * @returns {Object} { done, total }.
+ */
+export function subtaskProgress(todo) {
+  const subtasks = todo.subtasks || [];
+  return {
+    done: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length,
+  };
+}
+
+/**
+ * Checks whether saving a todo should mark it complete because it is set to
+ * complete itself once every subtask is done.
+ * @param {Object} todo - The todo being saved.
+ * @returns {boolean} Whether the todo should be completed.
+ */
+export function shouldAutoComplete(todo) {
+  const { done, total } = subtaskProgress(todo);
+  return Boolean(todo.autoCompleteSubtasks) && !todo.completed && total > 0 && done === total;
+}
+
+/**
+ * Moves a subtask one step up or down.
+ * @param {Array} subtasks - The subtasks.
+ * @param {number} index - The index of the subtask to move.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ * @returns {Array} The reordered subtasks (unchanged at either end of the list).
+ */
+export function moveSubtask(subtasks, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= subtasks.length) {
+    return subtasks;
+  }
+  const reordered = [...subtasks];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
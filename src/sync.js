@@ -0,0 +1,125 @@
+const CHANNEL_NAME = 'todos-sync';
+// localStorage key used to pass messages where BroadcastChannel is unavailable
+const FALLBACK_KEY = 'todos.sync';
+
+/**
+ * Opens a channel to the app's other open tabs. Uses BroadcastChannel, falling back
+ * to localStorage `storage` events in browsers without it. Neither delivers a tab's
+ * own messages back to it.
+ * @param {Function} onMessage - Function called with each message from another tab.
+ * @returns {Object} { broadcast(message), close() }.
+ */
+export function createTabSync(onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      broadcast: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== FALLBACK_KEY || !event.newValue) {
+      return;
+    }
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.error('Error reading a message from another tab:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    broadcast: (message) => {
+      try {
+        // The timestamp makes every write a change, so repeated messages still fire events
+        localStorage.setItem(FALLBACK_KEY, JSON.stringify({ message, sentAt: Date.now() }));
+      } catch (error) {
+        console.error('Error sending a message to other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+}
+
+/**
+ * Checks whether two values are the same todo (or todo list) by content.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} Whether they match.
+ */
+export function sameTodos(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Indexes todos by id.
+ * @param {Array} todos - The todos.
+ * @returns {Map} The todos keyed by string id.
+ */
+function indexById(todos) {
+  return new Map(todos.map((todo) => [String(todo.id), todo]));
+}
+
+/**
+ * Merges the todos received from another tab into this tab's todos, per todo id.
+ * The base is the list this tab last shared with the others: a todo changed only
+ * on one side takes that side's version, and a todo changed differently on both
+ * sides keeps the local version and is reported as a conflict.
+ * @param {Array} localTodos - This tab's current todos.
+ * @param {Array} baseTodos - The todos this tab last sent or received.
+ * @param {Array} remoteTodos - The todos received from the other tab.
+ * @param {Array} forcedIds - Ids whose remote version wins, e.g. after the other tab resolved a conflict.
+ * @returns {Object} { todos, conflicts }, conflicts as { id, local, remote } with undefined for a deleted side.
+ */
+export function mergeTodos(localTodos, baseTodos, remoteTodos, forcedIds = []) {
+  const local = indexById(localTodos);
+  const base = indexById(baseTodos);
+  const remote = indexById(remoteTodos);
+  const forced = new Set(forcedIds.map(String));
+  // Keep the other tab's order, followed by todos that only exist here
+  const ids = [...new Set([...remote.keys(), ...local.keys()])];
+
+  const todos = [];
+  const conflicts = [];
+  ids.forEach((id) => {
+    const localTodo = local.get(id);
+    const baseTodo = base.get(id);
+    const remoteTodo = remote.get(id);
+    let merged;
+    if (forced.has(id) || sameTodos(localTodo, baseTodo)) {
+      merged = remoteTodo;
+    } else if (sameTodos(remoteTodo, baseTodo) || sameTodos(localTodo, remoteTodo)) {
+      merged = localTodo;
+    } else {
+      merged = localTodo;
+      conflicts.push({ id: (localTodo || remoteTodo).id, local: localTodo, remote: remoteTodo });
+    }
+    if (merged) {
+      todos.push(merged);
+    }
+  });
+  return { todos, conflicts };
+}
+
+/**
+ * Updates the list of open conflicts after a merge: conflicts found by the merge
+ * replace earlier ones for the same todo, and earlier conflicts are dropped once both
+ * tabs agree on the todo again.
+ * @param {Array} previous - The conflicts open before the merge.
+ * @param {Array} found - The conflicts found by the merge.
+ * @param {Array} mergedTodos - The todos after the merge.
+ * @param {Array} remoteTodos - The todos received from the other tab.
+ * @returns {Array} The open conflicts.
+ */
+export function reconcileConflicts(previous, found, mergedTodos, remoteTodos) {
+  const merged = indexById(mergedTodos);
+  const remote = indexById(remoteTodos);
+  const foundIds = new Set(found.map((conflict) => String(conflict.id)));
+  const stillOpen = previous.filter((conflict) => {
+    const id = String(conflict.id);
+    return !foundIds.has(id) && !sameTodos(merged.get(id), remote.get(id));
+  });
+  return [...stillOpen, ...found];
+}
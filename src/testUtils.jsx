@@ -0,0 +1,47 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import App from './App';
+import { createHistory } from './history';
+import { DEFAULT_CATEGORIES } from './categories';
+import { DEFAULT_SETTINGS } from './storage';
+
+// A task with every kind of detail the cards show
+export const TODO = {
+  id: 1,
+  title: 'Write report',
+  body: 'Quarterly numbers',
+  priority: 'high',
+  category: 'work',
+  dueDate: '2030-01-15',
+  completed: false,
+  tags: ['finance'],
+  boardId: 'default',
+  estimate: 90,
+  timeEntries: [{ id: 1, start: new Date('2029-12-31T10:00').getTime(), end: new Date('2029-12-31T10:45').getTime() }],
+};
+
+export const BOARDS = [
+  { id: 'default', name: 'My Tasks' },
+  { id: 'errands', name: 'Errands' },
+];
+
+/**
+ * Renders the whole app with the given todos on the first of two boards.
+ * @param {Array} todos - The saved todos.
+ * @param {string} view - The view to start in.
+ * @returns {Object} The render result.
+ */
+export function renderApp(todos, view = 'board') {
+  return render(
+    <App
+      initialBoards={BOARDS.map((board, index) => ({ ...board, history: createHistory(index ? [] : todos) }))}
+      initialBoardId="default"
+      initialCategories={DEFAULT_CATEGORIES}
+      initialError={null}
+      initialFiredReminders={[]}
+      initialView={view}
+      initialSettings={DEFAULT_SETTINGS}
+      initialDrafts={{}}
+    />
+  );
+}
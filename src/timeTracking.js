@@ -0,0 +1,179 @@
+import { toDateKey } from './dates';
+import { getCategory } from './categories';
+import { escapeCsvField, downloadFile } from './importExport';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Columns of the time report export
+const REPORT_HEADERS = ['Category', 'Tasks', 'Logged hours', 'Estimated hours'];
+
+/**
+ * Finds the time entry still being timed on a todo.
+ * @param {Object} todo - The todo.
+ * @returns {Object|undefined} The entry with no end, if the todo's timer is running.
+ */
+export function runningEntry(todo) {
+  return (todo.timeEntries || []).find((entry) => entry.end === null);
+}
+
+/**
+ * Starts a todo's timer by opening a new time entry.
+ * @param {Object} todo - The todo.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Object} The todo with the running entry added.
+ */
+export function startTimer(todo, now) {
+  return { ...todo, timeEntries: [...(todo.timeEntries || []), { id: now, start: now, end: null }] };
+}
+
+/**
+ * Stops a todo's timer by closing its running entry.
+ * @param {Object} todo - The todo.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Object} The todo with the entry closed, or the same todo when no timer was running.
+ */
+export function stopTimer(todo, now) {
+  if (!runningEntry(todo)) {
+    return todo;
+  }
+  return {
+    ...todo,
+    timeEntries: todo.timeEntries.map((entry) => (entry.end === null ? { ...entry, end: now } : entry)),
+  };
+}
+
+/**
+ * Adds up the time logged on a todo, counting a running entry up to now. Entries
+ * still being filled in, without a start or an end, count for nothing.
+ * @param {Object} todo - The todo.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} The time logged in milliseconds.
+ */
+export function loggedTime(todo, now) {
+  return (todo.timeEntries || []).reduce((sum, entry) => {
+    const end = entry.end === null ? now : entry.end;
+    if (typeof entry.start !== 'number' || typeof end !== 'number') {
+      return sum;
+    }
+    return sum + Math.max(0, end - entry.start);
+  }, 0);
+}
+
+/**
+ * Formats logged or estimated time in hours and whole minutes.
+ * @param {number} duration - The duration in milliseconds.
+ * @returns {string} The duration, e.g. "1h 25m", "2h" or "0m".
+ */
+export function formatTime(duration) {
+  const minutes = Math.floor(duration / MINUTE);
+  const hours = Math.floor(minutes / 60);
+  if (!hours) {
+    return `${minutes}m`;
+  }
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+/**
+ * Finds the first time entry the task dialog cannot save: one without a start, or
+ * with an end before its start. Only a running entry may have no end.
+ * @param {Array} entries - The time entries.
+ * @returns {number} The index of the entry, or -1 when they are all valid.
+ */
+export function invalidTimeEntry(entries) {
+  return entries.findIndex(
+    (entry) => typeof entry.start !== 'number' || (entry.end !== null && !(entry.end >= entry.start))
+  );
+}
+
+/**
+ * Formats a time as the value of a datetime-local input.
+ * @param {number} time - The time in milliseconds.
+ * @returns {string} The local date and time, e.g. "2026-10-19T09:30".
+ */
+export function toDateTimeInput(time) {
+  const date = new Date(time);
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${toDateKey(date)}T${hours}:${minutes}`;
+}
+
+/**
+ * Reads the value of a datetime-local input as a local time.
+ * @param {string} value - The input value.
+ * @returns {number|undefined} The time in milliseconds, or undefined when the input is empty or
+ *   incomplete (null would mark an end as still running).
+ */
+export function parseDateTimeInput(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value);
+  if (!match) {
+    return undefined;
+  }
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+/**
+ * Totals the time logged and estimated on todos, per category. Todos with neither
+ * are left out.
+ * @param {Array} todos - The todos.
+ * @param {Array} categories - The categories, for their names.
+ * @param {number} now - The current time in milliseconds, for running timers.
+ * @returns {Array} { key, label, tasks, logged, estimated } per category, in category order,
+ *   with the times in milliseconds.
+ */
+export function timeReport(todos, categories, now) {
+  const rows = new Map(categories.map((category) => [category.id, null]));
+  todos.forEach((todo) => {
+    const logged = loggedTime(todo, now);
+    const estimated = (todo.estimate || 0) * MINUTE;
+    if (!logged && !estimated) {
+      return;
+    }
+    const row = rows.get(todo.category) || {
+      key: todo.category,
+      label: getCategory(categories, todo.category).name,
+      tasks: 0,
+      logged: 0,
+      estimated: 0,
+    };
+    rows.set(todo.category, {
+      ...row,
+      tasks: row.tasks + 1,
+      logged: row.logged + logged,
+      estimated: row.estimated + estimated,
+    });
+  });
+  return [...rows.values()].filter(Boolean);
+}
+
+/**
+ * Serializes a time report as CSV, in hours to two decimal places, with a total row.
+ * @param {Array} rows - The rows from timeReport.
+ * @returns {string} The CSV text.
+ */
+export function timeReportToCSV(rows) {
+  const total = rows.reduce(
+    (sum, row) => ({
+      label: 'Total',
+      tasks: sum.tasks + row.tasks,
+      logged: sum.logged + row.logged,
+      estimated: sum.estimated + row.estimated,
+    }),
+    { label: 'Total', tasks: 0, logged: 0, estimated: 0 }
+  );
+  const lines = [...rows, total].map((row) =>
+    [row.label, row.tasks, (row.logged / HOUR).toFixed(2), (row.estimated / HOUR).toFixed(2)]
+      .map(escapeCsvField)
+      .join(',')
+  );
+  return [REPORT_HEADERS.join(','), ...lines].join('\r\n');
+}
+
+/**
+ * Downloads a time report as a CSV file.
+ * @param {Array} rows - The rows from timeReport.
+ */
+export function downloadTimeReport(rows) {
+  downloadFile(timeReportToCSV(rows), `time-report-${toDateKey(new Date())}.csv`, 'text/csv');
+}
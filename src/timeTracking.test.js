@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  startTimer,
+  stopTimer,
+  runningEntry,
+  loggedTime,
+  formatTime,
+  invalidTimeEntry,
+  toDateTimeInput,
+  parseDateTimeInput,
+  timeReport,
+  timeReportToCSV,
+} from './timeTracking';
+import { DEFAULT_CATEGORIES } from './categories';
+import { validateTodo, parseImport } from './importExport';
+import { repairTodo } from './storage';
+import { completeTodos } from './bulk';
+import { moveToTrash, archiveTodos } from './trash';
+
+const MINUTE = 60 * 1000;
+const NOW = new Date(2026, 9, 19, 9, 30).getTime();
+
+describe('timers', () => {
+  it('opens an entry on start and closes it on stop', () => {
+    const started = startTimer({ id: 1, title: 'Draft' }, NOW);
+    expect(runningEntry(started)).toEqual({ id: NOW, start: NOW, end: null });
+
+    const stopped = stopTimer(started, NOW + 20 * MINUTE);
+    expect(runningEntry(stopped)).toBeUndefined();
+    expect(stopped.timeEntries).toEqual([{ id: NOW, start: NOW, end: NOW + 20 * MINUTE }]);
+  });
+
+  it('leaves a todo without a running timer as it is', () => {
+    const todo = { id: 1, timeEntries: [{ id: 1, start: NOW, end: NOW + MINUTE }] };
+    expect(stopTimer(todo, NOW)).toBe(todo);
+  });
+
+  it('counts a running entry up to now and skips unfinished ones', () => {
+    const todo = {
+      timeEntries: [
+        { id: 1, start: NOW - 60 * MINUTE, end: NOW - 30 * MINUTE },
+        { id: 2, start: NOW - 10 * MINUTE, end: null },
+        { id: 3, start: undefined, end: NOW },
+      ],
+    };
+    expect(loggedTime(todo, NOW)).toBe(40 * MINUTE);
+    expect(loggedTime({}, NOW)).toBe(0);
+  });
+});
+
+describe('formatTime', () => {
+  it.each([
+    [0, '0m'],
+    [59 * 1000, '0m'],
+    [25 * MINUTE, '25m'],
+    [120 * MINUTE, '2h'],
+    [85 * MINUTE, '1h 25m'],
+  ])('formats %i ms as %s', (duration, expected) => {
+    expect(formatTime(duration)).toBe(expected);
+  });
+});
+
+describe('time entries', () => {
+  it('finds entries without a start or ending before they start', () => {
+    expect(invalidTimeEntry([{ start: NOW, end: null }, { start: NOW, end: NOW }])).toBe(-1);
+    expect(invalidTimeEntry([{ start: NOW, end: NOW }, { start: NOW, end: NOW - MINUTE }])).toBe(1);
+    expect(invalidTimeEntry([{ start: undefined, end: NOW }])).toBe(0);
+    expect(invalidTimeEntry([{ start: NOW, end: undefined }])).toBe(0);
+  });
+
+  it('converts to and from datetime-local values in local time', () => {
+    expect(toDateTimeInput(NOW)).toBe('2026-10-19T09:30');
+    expect(parseDateTimeInput('2026-10-19T09:30')).toBe(NOW);
+    expect(parseDateTimeInput('')).toBeUndefined();
+  });
+});
+
+describe('timeReport', () => {
+  const todos = [
+    { id: 1, category: 'work', estimate: 60, timeEntries: [{ id: 1, start: NOW, end: NOW + 90 * MINUTE }] },
+    { id: 2, category: 'work', estimate: 30 },
+    { id: 3, category: 'personal' },
+    { id: 4, category: 'gone', timeEntries: [{ id: 1, start: NOW - 15 * MINUTE, end: null }] },
+  ];
+
+  it('totals logged and estimated time per category, leaving out untimed tasks', () => {
+    expect(timeReport(todos, DEFAULT_CATEGORIES, NOW)).toEqual([
+      { key: 'work', label: 'Work', tasks: 2, logged: 90 * MINUTE, estimated: 90 * MINUTE },
+      { key: 'gone', label: 'Gone', tasks: 1, logged: 15 * MINUTE, estimated: 0 },
+    ]);
+  });
+
+  it('exports hours with a total row', () => {
+    expect(timeReportToCSV(timeReport(todos, DEFAULT_CATEGORIES, NOW)).split('\r\n')).toEqual([
+      'Category,Tasks,Logged hours,Estimated hours',
+      'Work,2,1.50,1.50',
+      'Gone,1,0.25,0.00',
+      'Total,3,1.75,1.50',
+    ]);
+  });
+});
+
+describe('importing tracked time', () => {
+  it('keeps a valid estimate and time log', () => {
+    const timeEntries = [
+      { id: 1, start: NOW, end: NOW + MINUTE },
+      { id: 2, start: NOW + MINUTE, end: null },
+    ];
+    expect(validateTodo({ title: 'Draft', estimate: 90, timeEntries }).todo).toMatchObject({ estimate: 90, timeEntries });
+  });
+
+  it.each([-1, '90', NaN, Infinity])('rejects an estimate of %s', (estimate) => {
+    expect(validateTodo({ title: 'Draft', estimate }).errors).toEqual(['estimate must be a number of minutes']);
+  });
+
+  it.each([
+    ['text', 'x'],
+    ['an entry that is not an object', [null]],
+    ['an entry without an id', [{ start: NOW, end: null }]],
+    ['an entry without a start', [{ id: 1, end: NOW }]],
+    ['an entry ending before its start', [{ id: 1, start: NOW, end: NOW - MINUTE }]],
+    ['an entry with a missing end', [{ id: 1, start: NOW }]],
+  ])('rejects a time log of %s', (label, timeEntries) => {
+    expect(validateTodo({ title: 'Draft', timeEntries }).errors).toEqual([
+      'timeEntries must be a list of entries with an id, a start and an end that is null or after the start',
+    ]);
+  });
+
+  it('keeps only the first running timer across the imported todos', () => {
+    const running = (id) => ({ id, title: `Task ${id}`, timeEntries: [{ id: 1, start: NOW, end: null }] });
+    const { todos } = parseImport('todos.json', JSON.stringify([running(1), running(2), running(3)]));
+    expect(todos.map(runningEntry)).toEqual([{ id: 1, start: NOW, end: null }, undefined, undefined]);
+    todos.slice(1).forEach((todo) => expect(todo.timeEntries[0].end).toBeGreaterThanOrEqual(NOW));
+  });
+
+  it('repairs stored and pulled time logs that are not lists of entries', () => {
+    const entry = { id: 1, start: NOW, end: null };
+    expect(repairTodo({ id: 1, timeEntries: 'x' })).toEqual({ id: 1, timeEntries: [] });
+    expect(repairTodo({ id: 1, timeEntries: [null, entry, 3] })).toEqual({ id: 1, timeEntries: [entry] });
+    expect(runningEntry(repairTodo({ id: 1, timeEntries: 'x' }))).toBeUndefined();
+  });
+});
+
+describe('todos leaving the board', () => {
+  const todos = [
+    { id: 1, title: 'Draft', completed: false, timeEntries: [{ id: 1, start: NOW, end: null }] },
+    { id: 2, title: 'Review', completed: false },
+  ];
+  const later = NOW + 10 * MINUTE;
+
+  it.each([
+    ['completing', (list) => completeTodos(list, [1, 2], true, later, later)],
+    ['deleting', (list) => moveToTrash(list, [1, 2], later)],
+    ['archiving', (list) => archiveTodos(list, [1, 2], later)],
+  ])('stops their timers on %s', (label, leave) => {
+    const [timed, untimed] = leave(todos);
+    expect(timed.timeEntries).toEqual([{ id: 1, start: NOW, end: later }]);
+    expect(untimed).not.toHaveProperty('timeEntries');
+  });
+
+  it('stops the timer of a recurring todo before creating its next occurrence', () => {
+    const recurring = { ...todos[0], dueDate: '2026-10-19', recurrence: { frequency: 'daily', interval: 1, occurrence: 1 } };
+    const [completed, next] = completeTodos([recurring], [1], true, later, later);
+    expect(completed.timeEntries).toEqual([{ id: 1, start: NOW, end: later }]);
+    expect(next).not.toHaveProperty('timeEntries');
+  });
+});
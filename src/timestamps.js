@@ -0,0 +1,27 @@
+/**
+ * Stamps the todos that are new or changed since the previous list. Every change sets
+ * updatedAt, a new todo gets createdAt, and completing a todo sets completedAt while
+ * reopening it clears it. Unchanged todos are the same objects in both lists, so they
+ * keep their stamps.
+ * @param {Array} previousTodos - The todos before the change.
+ * @param {Array} todos - The todos after the change.
+ * @param {number} now - The current time.
+ * @returns {Array} The stamped todos.
+ */
+export function stampChanges(previousTodos, todos, now) {
+  const unchanged = new Set(previousTodos);
+  const previousIds = new Set(previousTodos.map((todo) => todo.id));
+  return todos.map((todo) => {
+    if (unchanged.has(todo)) {
+      return todo;
+    }
+    const { completedAt, ...rest } = todo;
+    return {
+      ...rest,
+      // Imported todos keep the creation time they were exported with
+      ...(!previousIds.has(todo.id) && !todo.createdAt && { createdAt: now }),
+      updatedAt: now,
+      ...(todo.completed && { completedAt: completedAt || now }),
+    };
+  });
+}
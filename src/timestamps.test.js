@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { stampChanges } from './timestamps';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Monday 19 October 2026, mid-morning
+const NOW = new Date(2026, 9, 19, 9, 30);
+
+describe('stampChanges', () => {
+  const now = NOW.getTime();
+  const earlier = now - DAY;
+
+  it('stamps new todos with their creation time', () => {
+    expect(stampChanges([], [{ id: 1, title: 'Draft' }], now)).toEqual([
+      { id: 1, title: 'Draft', createdAt: now, updatedAt: now },
+    ]);
+  });
+
+  it('keeps the creation time an imported todo was exported with', () => {
+    const [stamped] = stampChanges([], [{ id: 1, title: 'Draft', createdAt: earlier }], now);
+    expect(stamped).toEqual({ id: 1, title: 'Draft', createdAt: earlier, updatedAt: now });
+  });
+
+  it('leaves unchanged todos as they are', () => {
+    const todo = { id: 1, title: 'Draft', createdAt: earlier, updatedAt: earlier };
+    expect(stampChanges([todo], [todo], now)[0]).toBe(todo);
+  });
+
+  it('stamps a change without touching the creation time', () => {
+    const todo = { id: 1, title: 'Draft', createdAt: earlier, updatedAt: earlier };
+    expect(stampChanges([todo], [{ ...todo, title: 'Final' }], now)[0]).toEqual({
+      id: 1,
+      title: 'Final',
+      createdAt: earlier,
+      updatedAt: now,
+    });
+  });
+
+  it('sets the completion time on completing and clears it on reopening', () => {
+    const todo = { id: 1, title: 'Draft', createdAt: earlier, updatedAt: earlier, completed: false };
+    const [completed] = stampChanges([todo], [{ ...todo, completed: true }], now);
+    expect(completed.completedAt).toBe(now);
+
+    const [edited] = stampChanges([completed], [{ ...completed, title: 'Final' }], now + HOUR);
+    expect(edited.completedAt).toBe(now);
+
+    const [reopened] = stampChanges([edited], [{ ...edited, completed: false }], now + 2 * HOUR);
+    expect(reopened).not.toHaveProperty('completedAt');
+  });
+});
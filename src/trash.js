@@ -0,0 +1,111 @@
+import { stopTimer } from './timeTracking';
+
+// Choices for how long deleted todos stay in the trash, in days
+export const RETENTION_OPTIONS = [1, 7, 14, 30, 60, 90];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a todo belongs on the board: neither archived nor in the trash.
+ * @param {Object} todo - The todo.
+ * @returns {boolean} Whether the todo is active.
+ */
+export function isActive(todo) {
+  return !todo.deletedAt && !todo.archivedAt;
+}
+
+/**
+ * Sets or clears a timestamp field on the given todos.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos to change.
+ * @param {string} field - 'deletedAt' or 'archivedAt'.
+ * @param {number|null} timestamp - The time in milliseconds, or null to clear the field.
+ * @returns {Array} The updated todos.
+ */
+function stamp(todos, ids, field, timestamp) {
+  return todos.map((todo) => {
+    if (!ids.includes(todo.id)) {
+      return todo;
+    }
+    const { [field]: previous, ...rest } = todo;
+    return timestamp === null ? rest : { ...rest, [field]: timestamp };
+  });
+}
+
+/**
+ * Stops the timers running on the given todos, so time is not logged on a todo that
+ * has left the board.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos leaving the board.
+ * @param {number} now - The time in milliseconds.
+ * @returns {Array} The updated todos.
+ */
+function stopTimers(todos, ids, now) {
+  return todos.map((todo) => (ids.includes(todo.id) ? stopTimer(todo, now) : todo));
+}
+
+/**
+ * Moves todos to the trash, stopping their timers.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos to delete.
+ * @param {number} now - The deletion time in milliseconds.
+ * @returns {Array} The updated todos.
+ */
+export function moveToTrash(todos, ids, now = Date.now()) {
+  return stamp(stopTimers(todos, ids, now), ids, 'deletedAt', now);
+}
+
+/**
+ * Restores todos from the trash to wherever they were before.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos to restore.
+ * @returns {Array} The updated todos.
+ */
+export function restoreFromTrash(todos, ids) {
+  return stamp(todos, ids, 'deletedAt', null);
+}
+
+/**
+ * Moves todos to the archive, stopping their timers.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos to archive.
+ * @param {number} now - The archiving time in milliseconds.
+ * @returns {Array} The updated todos.
+ */
+export function archiveTodos(todos, ids, now = Date.now()) {
+  return stamp(stopTimers(todos, ids, now), ids, 'archivedAt', now);
+}
+
+/**
+ * Moves todos from the archive back to the board.
+ * @param {Array} todos - The todos.
+ * @param {Array} ids - The ids of the todos to unarchive.
+ * @returns {Array} The updated todos.
+ */
+export function unarchiveTodos(todos, ids) {
+  return stamp(todos, ids, 'archivedAt', null);
+}
+
+/**
+ * Lists the todos that have been in the trash longer than the retention period.
+ * @param {Array} todos - The todos.
+ * @param {number} retentionDays - How many days deleted todos are kept.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Array} The ids of the todos to purge.
+ */
+export function expiredTrash(todos, retentionDays, now = Date.now()) {
+  return todos
+    .filter((todo) => todo.deletedAt && now - todo.deletedAt >= retentionDays * DAY)
+    .map((todo) => todo.id);
+}
+
+/**
+ * Counts the whole days left before a deleted todo is purged.
+ * @param {Object} todo - The deleted todo.
+ * @param {number} retentionDays - How many days deleted todos are kept.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} The days left, at least 0.
+ */
+export function daysUntilPurge(todo, retentionDays, now = Date.now()) {
+  return Math.max(0, Math.ceil((todo.deletedAt + retentionDays * DAY - now) / DAY));
+}
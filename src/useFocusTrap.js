@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+
+// Elements that can take keyboard focus
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * Lists the focusable elements inside a container, in tab order.
+ * @param {HTMLElement} container - The container.
+ * @returns {Array} The focusable elements.
+ */
+function focusableElements(container) {
+  return [...container.querySelectorAll(FOCUSABLE_SELECTOR)];
+}
+
+/**
+ * Keeps keyboard focus inside a dialog while it is open. Focus moves into the dialog
+ * when it opens, Tab and Shift+Tab wrap around its edges, Escape calls onEscape, and
+ * focus returns to the element that opened the dialog when it closes.
+ * @param {Object} containerRef - Ref to the dialog element.
+ * @param {boolean} isOpen - Whether the dialog is open.
+ * @param {Function} onEscape - Function called when Escape is pressed inside the dialog.
+ */
+export default function useFocusTrap(containerRef, isOpen, onEscape) {
+  // Keep the latest callback without re-running the effect on every render
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    if (!isOpen || !containerRef.current) {
+      return undefined;
+    }
+    const container = containerRef.current;
+    const opener = document.activeElement;
+    if (!container.contains(document.activeElement)) {
+      const [first] = focusableElements(container);
+      (first || container).focus();
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && onEscapeRef.current) {
+        event.preventDefault();
+        onEscapeRef.current();
+        return;
+      }
+      if (event.key !== 'Tab') {
+        return;
+      }
+      const elements = focusableElements(container);
+      if (!elements.length) {
+        event.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+    container.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      // The opener may be gone, e.g. a card deleted from inside the dialog
+      if (opener && opener.isConnected && typeof opener.focus === 'function') {
+        opener.focus();
+      }
+    };
+  }, [isOpen]);
+}
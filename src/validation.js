@@ -0,0 +1,53 @@
+import { dueMoment } from './due';
+import { invalidTimeEntry } from './timeTracking';
+
+// Longest title and body the task dialog accepts
+export const TITLE_MAX_LENGTH = 100;
+export const BODY_MAX_LENGTH = 5000;
+
+/**
+ * Checks the task dialog's fields.
+ * @param {Object} todo - The todo being edited.
+ * @returns {Object} Error messages keyed by field name; empty when the todo is valid.
+ */
+export function validateTodoForm(todo) {
+  const errors = {};
+  const title = todo.title.trim();
+  if (!title) {
+    errors.title = 'Enter a title.';
+  } else if (title.length > TITLE_MAX_LENGTH) {
+    errors.title = `Keep the title to ${TITLE_MAX_LENGTH} characters or fewer.`;
+  }
+  if (todo.body.length > BODY_MAX_LENGTH) {
+    errors.body = `Keep the body to ${BODY_MAX_LENGTH} characters or fewer.`;
+  }
+  if (todo.dueDate && Number.isNaN(dueMoment(todo).getTime())) {
+    errors.dueDate = 'Enter a valid date.';
+  }
+  // The estimate is kept in minutes; a cleared field leaves it undefined
+  if (todo.estimate !== undefined && !(todo.estimate >= 0)) {
+    errors.estimate = 'Enter an estimate of zero hours or more.';
+  }
+  if (invalidTimeEntry(todo.timeEntries || []) !== -1) {
+    errors.timeEntries = 'Give each time entry a start, and an end after the start.';
+  }
+  return errors;
+}
+
+/**
+ * Checks whether a todo is being given a due date that has already passed. Due dates
+ * left as they were are not flagged, so an overdue task can still be edited.
+ * @param {Object} todo - The todo being edited.
+ * @param {Object|null} initialTodo - The todo before editing (null for a new todo).
+ * @param {Date} now - The current time.
+ * @returns {boolean} Whether the due date needs confirming.
+ */
+export function needsPastDueConfirmation(todo, initialTodo, now) {
+  if (!todo.dueDate) {
+    return false;
+  }
+  if (initialTodo && initialTodo.dueDate === todo.dueDate && (initialTodo.dueTime || '') === (todo.dueTime || '')) {
+    return false;
+  }
+  return dueMoment(todo) < now;
+}
@@ -4,8 +4,17 @@
         "./index.html",
         "./src/**/*.{js,ts,jsx,tsx}",
       ],
+      // Dark mode follows the "dark" class on <html>, set from the preferences before the first paint
+      darkMode: 'class',
       theme: {
-        extend: {},
+        extend: {
+          colors: {
+            // The accent colour chosen in the preferences, defined per accent in index.css
+            accent: Object.fromEntries(
+              [100, 300, 400, 500, 600, 700, 800].map((shade) => [shade, `rgb(var(--accent-${shade}) / <alpha-value>)`])
+            ),
+          },
+        },
       },
       plugins: [],
     }
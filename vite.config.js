@@ -0,0 +1,47 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * Writes precache-manifest.js next to the build, listing every file the service worker
+ * should cache for offline use. The version changes with any file's content, so the
+ * browser sees a changed service worker on each new deploy.
+ * @returns {Object} The Vite plugin.
+ */
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      const hash = createHash('sha256');
+      const files = Object.values(bundle).map((file) => {
+        hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source);
+        return file.fileName;
+      });
+      // Public files are copied as they are; the service worker itself must not be cached
+      const publicFiles = readdirSync('public').filter((name) => name !== 'sw.js');
+      publicFiles.forEach((name) => hash.update(name).update(readFileSync(join('public', name))));
+      const urls = ['/', ...[...files, ...publicFiles].filter((name) => !name.endsWith('.map')).map((name) => `/${name}`)];
+      const manifest = { version: hash.digest('hex').slice(0, 12), urls };
+      writeFileSync(join(options.dir, 'precache-manifest.js'), `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n`);
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [react(), precacheManifest()],
+  server: {
+    // Stand-in sync server from `npm run server`, reached at VITE_SYNC_URL=/api
+    proxy: {
+      '/api': {
+        target: 'http://localhost:3001',
+        rewrite: (path) => path.replace(/^\/api/, ''),
+      },
+    },
+  },
+  test: {
+    environment: 'jsdom',
+  },
+});